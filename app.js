@@ -1,269 +1,5 @@
 // Voronoi Filter Image Processing App
-// Using custom Voronoi implementation (not d3-delaunay)
-
-// ============================================================================
-// Point Class
-// ============================================================================
-class Point {
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-  }
-
-  equals(other) {
-    return Math.abs(this.x - other.x) < 0.000001 && 
-           Math.abs(this.y - other.y) < 0.000001;
-  }
-}
-
-// ============================================================================
-// Triangle Class
-// ============================================================================
-class Triangle {
-  constructor(p1, p2, p3) {
-    this.points = [p1, p2, p3];
-    this.edges = [
-      [p1, p2],
-      [p2, p3],
-      [p3, p1]
-    ];
-    this.calculateCircumcenter();
-  }
-
-  calculateCircumcenter() {
-    const [p1, p2, p3] = this.points;
-    const D = 2 * (p1.x * (p2.y - p3.y) + 
-                  p2.x * (p3.y - p1.y) + 
-                  p3.x * (p1.y - p2.y));
-    
-    const Ux = ((p1.x * p1.x + p1.y * p1.y) * (p2.y - p3.y) +
-               (p2.x * p2.x + p2.y * p2.y) * (p3.y - p1.y) +
-               (p3.x * p3.x + p3.y * p3.y) * (p1.y - p2.y)) / D;
-    
-    const Uy = ((p1.x * p1.x + p1.y * p1.y) * (p3.x - p2.x) +
-               (p2.x * p2.x + p2.y * p2.y) * (p1.x - p3.x) +
-               (p3.x * p3.x + p3.y * p3.y) * (p2.x - p1.x)) / D;
-
-    this.circumcenter = new Point(Ux, Uy);
-    
-    this.radiusSquared = (p1.x - Ux) * (p1.x - Ux) + 
-                       (p1.y - Uy) * (p1.y - Uy);
-  }
-
-  containsPoint(point) {
-    const dx = point.x - this.circumcenter.x;
-    const dy = point.y - this.circumcenter.y;
-    const distSquared = dx * dx + dy * dy;
-    return distSquared <= this.radiusSquared * (1 + 0.000001);
-  }
-}
-
-// ============================================================================
-// VoronoiDiagram Class
-// ============================================================================
-class VoronoiDiagram {
-  constructor(width, height, points) {
-    this.width = width;
-    this.height = height;
-    this.points = points;
-    this.triangles = [];
-    this.cells = new Map();
-  }
-
-  async generate() {
-    await this.generateTriangulation();
-    await this.generateVoronoiCells();
-    return this;
-  }
-
-  async generateTriangulation() {
-    return new Promise(resolve => {
-      setTimeout(() => {
-        // Add super-triangle
-        const margin = Math.max(this.width, this.height) * 2;
-        const p1 = new Point(-margin, -margin);
-        const p2 = new Point(this.width + margin, -margin);
-        const p3 = new Point(this.width/2, this.height + margin);
-        
-        this.triangles = [new Triangle(p1, p2, p3)];
-
-        // Add points one by one
-        for (const point of this.points) {
-          const badTriangles = [];
-          
-          // Find all triangles where point lies in their circumcircle
-          for (const triangle of this.triangles) {
-            if (triangle.containsPoint(point)) {
-              badTriangles.push(triangle);
-            }
-          }
-          
-          // Find boundary of the polygonal hole
-          const boundary = [];
-          for (const triangle of badTriangles) {
-            for (const edge of triangle.edges) {
-              let isShared = false;
-              for (const otherTriangle of badTriangles) {
-                if (triangle === otherTriangle) continue;
-                
-                for (const otherEdge of otherTriangle.edges) {
-                  if ((edge[0].equals(otherEdge[0]) && edge[1].equals(otherEdge[1])) ||
-                      (edge[0].equals(otherEdge[1]) && edge[1].equals(otherEdge[0]))) {
-                    isShared = true;
-                    break;
-                  }
-                }
-                if (isShared) break;
-              }
-              if (!isShared) {
-                boundary.push(edge);
-              }
-            }
-          }
-          
-          // Remove bad triangles
-          this.triangles = this.triangles.filter(t => !badTriangles.includes(t));
-          
-          // Create new triangles from point and boundary edges
-          for (const edge of boundary) {
-            this.triangles.push(new Triangle(edge[0], edge[1], point));
-          }
-        }
-
-        // Remove triangles that share vertices with super-triangle
-        this.triangles = this.triangles.filter(triangle => {
-          return !triangle.points.some(p => 
-            p === p1 || p === p2 || p === p3
-          );
-        });
-        resolve();
-      }, 0);
-    });
-  }
-
-  async generateVoronoiCells() {
-    return new Promise(resolve => {
-      setTimeout(() => {
-        // Initialize cells for each point
-        for (const point of this.points) {
-          this.cells.set(point, []);
-        }
-
-        // For each triangle, add its circumcenter to the cells of its vertices
-        for (const triangle of this.triangles) {
-          for (const point of triangle.points) {
-            const cell = this.cells.get(point);
-            if (cell) {
-              cell.push(triangle.circumcenter);
-            }
-          }
-        }
-
-        // Sort points in each cell clockwise
-        for (const [point, cell] of this.cells) {
-          this.sortPointsClockwise(cell, point);
-        }
-        resolve();
-      }, 0);
-    });
-  }
-
-  sortPointsClockwise(points, center) {
-    points.sort((a, b) => {
-      const angleA = Math.atan2(a.y - center.y, a.x - center.x);
-      const angleB = Math.atan2(b.y - center.y, b.x - center.x);
-      return angleA - angleB;
-    });
-  }
-}
-
-// ============================================================================
-// Helper Functions
-// ============================================================================
-function calculateCentroid(polygon, width, height) {
-  let minX = Infinity;
-  let minY = Infinity;
-  let maxX = -Infinity;
-  let maxY = -Infinity;
-  
-  // Find min and max coordinates
-  for (const point of polygon) {
-    minX = Math.min(minX, point.x);
-    minY = Math.min(minY, point.y);
-    maxX = Math.max(maxX, point.x);
-    maxY = Math.max(maxY, point.y);
-  }
-  
-  // Calculate middle point
-  let x = (minX + maxX) / 2;
-  let y = (minY + maxY) / 2;
-  
-  // Ensure centroid is within image bounds
-  x = Math.max(0, Math.min(width - 1, x));
-  y = Math.max(0, Math.min(height - 1, y));
-  
-  return { x, y };
-}
-
-function getAverageColorAtPoint(ctx, centerX, centerY, smoothness) {
-  const halfSize = Math.floor(smoothness / 2);
-  
-  // Get exact pixel coordinates
-  const x = Math.floor(centerX);
-  const y = Math.floor(centerY);
-  
-  // Ensure we don't sample outside the image bounds
-  const startX = Math.max(0, x - halfSize);
-  const startY = Math.max(0, y - halfSize);
-  const endX = Math.min(ctx.canvas.width, x + halfSize + 1);
-  const endY = Math.min(ctx.canvas.height, y + halfSize + 1);
-  
-  const imageData = ctx.getImageData(startX, startY, 
-                                   endX - startX, 
-                                   endY - startY);
-  const data = imageData.data;
-  
-  let r = 0, g = 0, b = 0, count = 0;
-  
-  for (let i = 0; i < data.length; i += 4) {
-    r += data[i];
-    g += data[i + 1];
-    b += data[i + 2];
-    count++;
-  }
-  
-  if (count === 0) return { r: 0, g: 0, b: 0 };
-  
-  return {
-    r: Math.round(r / count),
-    g: Math.round(g / count),
-    b: Math.round(b / count)
-  };
-}
-
-function generatePoints(count, width, height) {
-  const points = [];
-  
-  // Add border points for clean edges
-  points.push(new Point(0, 0));
-  points.push(new Point(width, 0));
-  points.push(new Point(0, height));
-  points.push(new Point(width, height));
-  points.push(new Point(width/2, 0));
-  points.push(new Point(width/2, height));
-  points.push(new Point(0, height/2));
-  points.push(new Point(width, height/2));
-  
-  // Add random points
-  for (let i = 0; i < count - 8; i++) {
-    points.push(new Point(
-      Math.random() * width,
-      Math.random() * height
-    ));
-  }
-  
-  return points;
-}
+// User interface; the Voronoi engine lives in voronoi.js and runs in worker.js
 
 // ============================================================================
 // Main Application
@@ -274,15 +10,148 @@ const imageInput = document.getElementById('image-input');
 const urlInput = document.getElementById('url-input');
 const loadUrlBtn = document.getElementById('load-url-btn');
 const uploadBtn = document.getElementById('upload-btn');
+const mosaicInput = document.getElementById('mosaic-input');
+const openMosaicBtn = document.getElementById('open-mosaic-btn');
 const fileNameDisplay = document.getElementById('file-name');
+const maxSizeSelect = document.getElementById('max-size-select');
+const imageError = document.getElementById('image-error');
+const imageErrorText = document.getElementById('image-error-text');
+const imageErrorCloseBtn = document.getElementById('image-error-close');
 const pointsInput = document.getElementById('points-input');
 const smoothnessInput = document.getElementById('smoothness-input');
+const distributionSelect = document.getElementById('distribution-select');
+const jitterInput = document.getElementById('jitter-input');
+const poissonAttemptsInput = document.getElementById('poisson-attempts-input');
+const detailBiasInput = document.getElementById('detail-bias-input');
+const pointCountDisplay = document.getElementById('point-count-display');
+const colorModeSelect = document.getElementById('color-mode-select');
+const paletteSelect = document.getElementById('palette-select');
+const paletteSizeInput = document.getElementById('palette-size-input');
+const customPaletteInput = document.getElementById('custom-palette-input');
+const tessellationSelect = document.getElementById('tessellation-select');
+const backgroundColorInput = document.getElementById('background-color-input');
+const strokeColorInput = document.getElementById('stroke-color-input');
+const strokeOpacityInput = document.getElementById('stroke-opacity-input');
+const outlineModeSelect = document.getElementById('outline-mode-select');
+const outlineAmountInput = document.getElementById('outline-amount-input');
+const lineJoinSelect = document.getElementById('line-join-select');
+const lineCapSelect = document.getElementById('line-cap-select');
+const gapInput = document.getElementById('gap-input');
+const gapColorInput = document.getElementById('gap-color-input');
 const thicknessInput = document.getElementById('thickness-input');
 const processBtn = document.getElementById('process-btn');
 const downloadBtn = document.getElementById('download-btn');
 const copySvgBtn = document.getElementById('copy-svg-btn');
+const downloadSvgBtn = document.getElementById('download-svg-btn');
+const downloadJsonBtn = document.getElementById('download-json-btn');
+const fabricationBtn = document.getElementById('fabrication-btn');
+const exportModal = document.getElementById('image-export-modal');
+const exportSizeSelect = document.getElementById('export-size-select');
+const exportScaleInput = document.getElementById('export-scale-input');
+const exportPaperSelect = document.getElementById('export-paper-select');
+const exportDpiInput = document.getElementById('export-dpi-input');
+const exportFormatSelect = document.getElementById('export-format-select');
+const exportQualityInput = document.getElementById('export-quality-input');
+const exportQualityDisplay = document.getElementById('export-quality-display');
+const exportSizeDisplay = document.getElementById('export-size-display');
+const exportStatus = document.getElementById('export-status');
+const exportSaveBtn = document.getElementById('export-save-btn');
+const svgExportModal = document.getElementById('svg-export-modal');
+const svgPrecisionSelect = document.getElementById('svg-precision-select');
+const svgStyleSelect = document.getElementById('svg-style-select');
+const svgMergeInput = document.getElementById('svg-merge-input');
+const svgMetadataInput = document.getElementById('svg-metadata-input');
+const svgSizeDisplay = document.getElementById('svg-size-display');
+const svgCopyBtn = document.getElementById('svg-copy-btn');
+const svgSaveBtn = document.getElementById('svg-save-btn');
+const fabricationModal = document.getElementById('fabrication-modal');
+const fabricationFormatSelect = document.getElementById('fabrication-format-select');
+const fabricationWidthInput = document.getElementById('fabrication-width-input');
+const fabricationUnitsSelect = document.getElementById('fabrication-units-select');
+const fabricationKerfInput = document.getElementById('fabrication-kerf-input');
+const fabricationLayersInput = document.getElementById('fabrication-layers-input');
+const fabricationOrderInput = document.getElementById('fabrication-order-input');
+const fabricationSummaryDisplay = document.getElementById('fabrication-summary-display');
+const fabricationSaveBtn = document.getElementById('fabrication-save-btn');
+const animateBtn = document.getElementById('animate-btn');
+const animationModal = document.getElementById('animation-modal');
+const animationCanvas = document.getElementById('animation-canvas');
+const animationPlayBtn = document.getElementById('animation-play-btn');
+const animationTimelineInput = document.getElementById('animation-timeline-input');
+const animationTimeDisplay = document.getElementById('animation-time-display');
+const animationModeSelect = document.getElementById('animation-mode-select');
+const animationAmplitudeInput = document.getElementById('animation-amplitude-input');
+const animationAmplitudeDisplay = document.getElementById('animation-amplitude-display');
+const animationDurationInput = document.getElementById('animation-duration-input');
+const animationFpsSelect = document.getElementById('animation-fps-select');
+const animationSizeSelect = document.getElementById('animation-size-select');
+const animationStatus = document.getElementById('animation-status');
+const animationGifBtn = document.getElementById('animation-gif-btn');
+const animationWebmBtn = document.getElementById('animation-webm-btn');
+const cancelBtn = document.getElementById('cancel-btn');
+const stopBtn = document.getElementById('stop-btn');
+const statusMessage = document.getElementById('status-message');
+const appError = document.getElementById('app-error');
+const appErrorText = document.getElementById('app-error-text');
+const appErrorCloseBtn = document.getElementById('app-error-close');
+const shortcutsBtn = document.getElementById('shortcuts-btn');
+const shortcutsModal = document.getElementById('shortcuts-modal');
+const shortcutsList = document.getElementById('shortcuts-list');
+const singleKeyShortcutsInput = document.getElementById('single-key-shortcuts-input');
+const relaxInput = document.getElementById('relax-input');
+const relaxWeightedInput = document.getElementById('relax-weighted-input');
+const edgeStrengthInput = document.getElementById('edge-strength-input');
+const edgeOverlayInput = document.getElementById('edge-overlay-input');
+const seedInput = document.getElementById('seed-input');
+const randomizeSeedBtn = document.getElementById('randomize-seed-btn');
+const maskContrastInput = document.getElementById('mask-contrast-input');
+const maskThicknessInput = document.getElementById('mask-thickness-input');
+const maskInput = document.getElementById('mask-input');
+const paintMaskBtn = document.getElementById('paint-mask-btn');
+const loadMaskBtn = document.getElementById('load-mask-btn');
+const clearMaskBtn = document.getElementById('clear-mask-btn');
+const maskBrush = document.getElementById('mask-brush');
+const brushSizeInput = document.getElementById('brush-size-input');
+const brushModeSelect = document.getElementById('brush-mode-select');
+const livePreviewInput = document.getElementById('live-preview-input');
+const editBtn = document.getElementById('edit-btn');
+const undoBtn = document.getElementById('undo-btn');
+const redoBtn = document.getElementById('redo-btn');
+const editHelp = document.getElementById('edit-help');
+const batchDrop = document.getElementById('batch-drop');
+const batchInput = document.getElementById('batch-input');
+const batchAddBtn = document.getElementById('batch-add-btn');
+const batchList = document.getElementById('batch-list');
+const batchPngInput = document.getElementById('batch-png-input');
+const batchSvgInput = document.getElementById('batch-svg-input');
+const batchRunBtn = document.getElementById('batch-run-btn');
+const batchCancelBtn = document.getElementById('batch-cancel-btn');
+const batchZipBtn = document.getElementById('batch-zip-btn');
+const batchClearBtn = document.getElementById('batch-clear-btn');
+const savePresetBtn = document.getElementById('save-preset-btn');
+const loadPresetBtn = document.getElementById('load-preset-btn');
+const presetInput = document.getElementById('preset-input');
 const canvas = document.getElementById('canvas');
 const ctx = canvas.getContext('2d');
+const viewer = document.getElementById('viewer');
+const viewerStage = document.getElementById('viewer-stage');
+const compareCanvas = document.getElementById('compare-canvas');
+const compareDivider = document.getElementById('compare-divider');
+const compareInput = document.getElementById('compare-input');
+const peekBtn = document.getElementById('peek-btn');
+const zoomOutBtn = document.getElementById('zoom-out-btn');
+const zoomInBtn = document.getElementById('zoom-in-btn');
+const zoomFitBtn = document.getElementById('zoom-fit-btn');
+const zoomActualBtn = document.getElementById('zoom-actual-btn');
+const zoomDisplay = document.getElementById('zoom-display');
+const compareLabel = document.getElementById('compare-label');
+const historyUndoBtn = document.getElementById('history-undo-btn');
+const historyRedoBtn = document.getElementById('history-redo-btn');
+const historyList = document.getElementById('history-list');
+const historyStatus = document.getElementById('history-status');
+
+// Label restored on the process button after a job ends
+const PROCESS_BUTTON_TEXT = 'Process Image';
 
 // Default image URL
 const DEFAULT_IMAGE_URL = 'https://upload.wikimedia.org/wikipedia/commons/thumb/e/ec/Mona_Lisa%2C_by_Leonardo_da_Vinci%2C_from_C2RMF_retouched.jpg/960px-Mona_Lisa%2C_by_Leonardo_da_Vinci%2C_from_C2RMF_retouched.jpg';
@@ -291,20 +160,66 @@ const DEFAULT_IMAGE_URL = 'https://upload.wikimedia.org/wikipedia/commons/thumb/
 let originalImage = null;
 let originalCtx = null;
 let processedVoronoiData = null; // Stores processed cells with colors for SVG generation
+let activeJob = null; // In-flight processing job ({ promise, cancel })
+let editor = null; // MosaicEditor for processedVoronoiData, made on the first edit
+let editMode = false;
+let edgeOverlay = null; // Detected edges of the original as a magenta layer, made on first use
 
-// Function to load and display image
-function loadImage(img) {
-  originalImage = img;
+// Show the unprocessed source image on the canvas
+function drawOriginalImage() {
   // Set canvas size to match image
-  canvas.width = img.width;
-  canvas.height = img.height;
+  canvas.width = originalImage.width;
+  canvas.height = originalImage.height;
   
   // Fill with white background first
   ctx.fillStyle = '#ffffff';
   ctx.fillRect(0, 0, canvas.width, canvas.height);
   
   // Draw original image
-  ctx.drawImage(img, 0, 0);
+  ctx.drawImage(originalImage, 0, 0);
+}
+
+// Draw the edges that edge alignment snaps seeds to over the canvas, when
+// the overlay is switched on
+function drawEdgeOverlay() {
+  if (!edgeOverlayInput.checked || !originalCtx) return;
+  if (!edgeOverlay) {
+    const { width, height } = originalCtx.canvas;
+    const { edges } = detectEdges(originalCtx.getImageData(0, 0, width, height));
+    edgeOverlay = document.createElement('canvas');
+    edgeOverlay.width = width;
+    edgeOverlay.height = height;
+    const overlayCtx = edgeOverlay.getContext('2d');
+    const pixels = overlayCtx.createImageData(width, height);
+    for (let i = 0; i < edges.length; i++) {
+      if (!edges[i]) continue;
+      pixels.data[i * 4] = 255;
+      pixels.data[i * 4 + 2] = 255;
+      pixels.data[i * 4 + 3] = 255;
+    }
+    overlayCtx.putImageData(pixels, 0, 0);
+  }
+  ctx.drawImage(edgeOverlay, 0, 0, canvas.width, canvas.height);
+}
+
+// Function to load and display image
+function loadImage(img) {
+  // A job started on the previous image is no longer wanted
+  if (activeJob) {
+    activeJob.cancel();
+  }
+  setEditMode(false);
+  setPaintMode(false);
+  editor = null;
+  cancelLiveUpdate();
+  previewSource = null;
+  previewData = null;
+  edgeOverlay = null;
+  
+  // The previous image is never drawn again
+  if (originalImage && originalImage.close) originalImage.close();
+  originalImage = img;
+  drawOriginalImage();
   
   // Create a separate canvas for original image data (for color sampling)
   const originalCanvas = document.createElement('canvas');
@@ -312,28 +227,90 @@ function loadImage(img) {
   originalCanvas.width = canvas.width;
   originalCanvas.height = canvas.height;
   originalCtx.drawImage(img, 0, 0);
+  resetView();
   
   // Enable process button
   processBtn.disabled = false;
-  downloadBtn.disabled = true;
-  copySvgBtn.disabled = true;
-  processedVoronoiData = null;
+  peekBtn.disabled = false;
+  paintMaskBtn.disabled = false;
+  clearResult();
+  
+  // Steps and comparisons of the previous image do not apply to this one
+  savedSource = null;
+  setCompareRender(null);
+  resetProjectStates();
+  
+  updatePointCountDisplay();
+  scheduleLiveUpdate();
+}
+
+// Image loading: the file picker, paste, drops on the canvas and URLs all go
+// through decodeImage() (see ingest.js); failures show in a dismissible
+// message above the upload controls
+
+let imageSource = null; // { blob, name } of the loaded image, decoded again when the max size changes
+let ingestRequest = 0; // Bumped per load, so a slow load cannot replace a newer image
+
+function showImageError(message) {
+  imageErrorText.textContent = message;
+  imageError.hidden = false;
+}
+
+function hideImageError() {
+  imageError.hidden = true;
+}
+
+// Messages about the mosaic: progress and outcomes go to the status line
+// under the process buttons (read out by screen readers, role="status"),
+// failures to a dismissible notice above them (role="alert")
+
+function announce(message) {
+  statusMessage.textContent = message;
+}
+
+function showAppError(message) {
+  appErrorText.textContent = message;
+  appError.hidden = false;
+}
+
+function hideAppError() {
+  appError.hidden = true;
+}
+
+function maxImageDimension() {
+  return parseInt(maxSizeSelect.value) || 0;
+}
+
+// Load a file, blob or URL as the source image; name is shown next to the
+// upload button (empty for URLs)
+async function ingestImage(source, name) {
+  const request = ++ingestRequest;
+  hideImageError();
+  try {
+    const blob = typeof source === 'string' ? await fetchImage(source) : source;
+    const decoded = await decodeImage(blob, { maxDimension: maxImageDimension() });
+    if (request !== ingestRequest) {
+      if (decoded.image.close) decoded.image.close();
+      return;
+    }
+    
+    imageSource = { blob, name };
+    loadImage(decoded.image);
+    if (decoded.width === decoded.originalWidth) {
+      fileNameDisplay.textContent = name;
+    } else {
+      const original = `${decoded.originalWidth} × ${decoded.originalHeight}`;
+      fileNameDisplay.textContent = name ? `${name} (downscaled from ${original})` : `Downscaled from ${original}`;
+    }
+  } catch (error) {
+    if (request !== ingestRequest) return;
+    console.error('Error loading image:', error);
+    showImageError(error.message);
+  }
 }
 
-// Function to load image from URL
 function loadImageFromURL(url) {
-  // Clear file name display when loading from URL
-  fileNameDisplay.textContent = '';
-  
-  const img = new Image();
-  img.crossOrigin = 'anonymous';
-  img.onload = () => {
-    loadImage(img);
-  };
-  img.onerror = () => {
-    alert('Failed to load image from URL. Please check the URL and ensure CORS is enabled on the server.');
-  };
-  img.src = url;
+  return ingestImage(url, '');
 }
 
 // Upload button click handler
@@ -345,51 +322,117 @@ uploadBtn.addEventListener('click', () => {
 imageInput.addEventListener('change', (e) => {
   const file = e.target.files[0];
   if (!file) return;
-  
-  // Update file name display
-  fileNameDisplay.textContent = file.name;
-  
-  const reader = new FileReader();
-  reader.onload = (event) => {
-    const img = new Image();
-    img.onload = () => {
-      loadImage(img);
-    };
-    img.src = event.target.result;
-  };
-  reader.readAsDataURL(file);
+  ingestImage(file, file.name);
+  // Choosing the same file again should load it again
+  imageInput.value = '';
 });
 
 // Clipboard paste functionality
 document.addEventListener('paste', (e) => {
-  const items = e.clipboardData.items;
-  
-  for (let i = 0; i < items.length; i++) {
-    if (items[i].type.indexOf('image') !== -1) {
-      const blob = items[i].getAsFile();
-      const reader = new FileReader();
-      
-      reader.onload = (event) => {
-        const img = new Image();
-        img.onload = () => {
-          loadImage(img);
-          fileNameDisplay.textContent = 'Pasted from clipboard';
-        };
-        img.src = event.target.result;
-      };
-      
-      reader.readAsDataURL(blob);
-      e.preventDefault();
-      break;
+  const file = imageFileFromTransfer(e.clipboardData);
+  if (!file) return;
+  e.preventDefault();
+  ingestImage(file, 'Pasted from clipboard');
+});
+
+// Drop an image file, or an image dragged from another page, on the canvas
+viewer.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+  viewer.classList.add('viewer--drop');
+});
+
+viewer.addEventListener('dragleave', (e) => {
+  if (!viewer.contains(e.relatedTarget)) viewer.classList.remove('viewer--drop');
+});
+
+viewer.addEventListener('drop', (e) => {
+  e.preventDefault();
+  viewer.classList.remove('viewer--drop');
+  const mosaicFile = Array.from(e.dataTransfer.files || []).find(isMosaicFile);
+  const file = imageFileFromTransfer(e.dataTransfer);
+  const url = file ? null : imageURLFromTransfer(e.dataTransfer);
+  if (mosaicFile) {
+    openMosaicFile(mosaicFile);
+  } else if (file) {
+    ingestImage(file, file.name);
+  } else if (url) {
+    urlInput.value = url;
+    loadImageFromURL(url);
+  } else {
+    showImageError('Only image files, mosaic JSON files, or images dragged from another page, can be dropped here.');
+  }
+});
+
+maxSizeSelect.addEventListener('change', () => {
+  localStorage.setItem('maxImageSize', maxSizeSelect.value);
+  if (imageSource && imageSource.blob) ingestImage(imageSource.blob, imageSource.name);
+});
+
+function isMosaicFile(file) {
+  return file.type === 'application/json' || /\.json$/i.test(file.name || '');
+}
+
+// Open a mosaic saved with Download JSON (see createMosaicFile() in
+// voronoi.js). The file holds no source image, so the cells filled flat
+// stand in for it: color and point changes resample the mosaic itself.
+async function openMosaicFile(file) {
+  const request = ++ingestRequest;
+  hideImageError();
+  try {
+    let json;
+    try {
+      json = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error('The file is not valid JSON.');
     }
+    const data = readMosaicFile(json);
+    if (request !== ingestRequest) return;
+    
+    const flat = {
+      ...data,
+      style: strokeStyleFromSettings({ ...data.settings, tessellation: 'voronoi', gap: 0 }),
+      cells: data.cells.map(cell => ({ ...cell, lineThickness: 0 }))
+    };
+    loadImage(renderMosaicCanvas(flat, data.width, data.height));
+    imageSource = { blob: null, name: file.name };
+    fileNameDisplay.textContent = file.name;
+    
+    data.maskRevision = maskRevision;
+    restoringState = true;
+    cancelLiveUpdate();
+    showResult(data);
+    applySettings(data.settings);
+    updateSettingsHash();
+    restoringState = false;
+    recordProjectState();
+  } catch (error) {
+    restoringState = false;
+    if (request !== ingestRequest) return;
+    console.error('Error opening mosaic:', error);
+    showImageError(`The mosaic could not be opened: ${error.message}`);
   }
+}
+
+openMosaicBtn.addEventListener('click', () => {
+  mosaicInput.click();
+});
+
+mosaicInput.addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  openMosaicFile(file);
+  mosaicInput.value = '';
 });
 
+imageErrorCloseBtn.addEventListener('click', hideImageError);
+appErrorCloseBtn.addEventListener('click', hideAppError);
+
 // Load image from URL input
 loadUrlBtn.addEventListener('click', () => {
   const url = urlInput.value.trim();
   if (!url) {
-    alert('Please enter an image URL');
+    showImageError('Enter an image URL first.');
     return;
   }
   loadImageFromURL(url);
@@ -402,13 +445,17 @@ urlInput.addEventListener('keypress', (e) => {
   }
 });
 
-// Update slider progress fill for WebKit browsers
+// Update slider progress fill for WebKit browsers, and the value screen
+// readers announce: the one shown in the label (7x7, 50%), not the raw number
 function updateSliderProgress(slider) {
   const min = parseFloat(slider.min) || 0;
   const max = parseFloat(slider.max) || 100;
   const value = parseFloat(slider.value);
   const percentage = ((value - min) / (max - min)) * 100;
   slider.style.setProperty('--slider-progress', percentage + '%');
+  
+  const display = slider.labels.length > 0 && slider.labels[0].querySelector('span');
+  if (display) slider.setAttribute('aria-valuetext', display.textContent);
 }
 
 // Update smoothness display when slider changes
@@ -423,191 +470,1773 @@ pointsInput.addEventListener('input', (e) => {
   const points = e.target.value;
   document.getElementById('points-display').textContent = points;
   updateSliderProgress(e.target);
+  updatePointCountDisplay();
 });
 
-// Process image with Voronoi filter
-processBtn.addEventListener('click', async () => {
-  if (!originalImage || !originalCtx) return;
-  
-  processBtn.disabled = true;
-  const originalText = processBtn.textContent;
-  processBtn.textContent = 'Processing...';
+// Show how many seeds the chosen distribution will actually produce
+function updatePointCountDisplay() {
+  const settings = readSettings();
+  const width = originalImage ? canvas.width : 1000;
+  const height = originalImage ? canvas.height : 1000;
+  const count = estimatePointCount(settings.numPoints, width, height, settings);
+  const approximate = settings.distribution === 'poisson' ? '≈ ' : '';
+  pointCountDisplay.textContent = `${approximate}${count.toLocaleString()} points`;
+}
+
+// Show only the parameters of the selected distribution
+function updateDistributionControls() {
+  const distribution = distributionSelect.value;
+  document.querySelectorAll('[data-distributions]').forEach(group => {
+    group.hidden = !group.dataset.distributions.split(' ').includes(distribution);
+  });
   
-  try {
-    const numPoints = parseInt(pointsInput.value) || 2000;
-    const smoothness = parseInt(smoothnessInput.value) || 7;
-    const lineThickness = parseFloat(thicknessInput.value) || 3;
-    
-    const width = canvas.width;
-    const height = canvas.height;
-    
-    // Generate points
-    const points = generatePoints(numPoints, width, height);
-    
-    // Create Voronoi diagram
-    const voronoi = new VoronoiDiagram(width, height, points);
-    await voronoi.generate();
-    
-    // Clear canvas
-    ctx.clearRect(0, 0, width, height);
-    
-    // Process cells in chunks
-    const cells = Array.from(voronoi.cells.entries());
-    const totalCells = cells.length;
-    const chunkSize = Math.max(1, Math.floor(totalCells / 100));
-    let processed = 0;
-    
-    // Store processed data for SVG generation
-    const processedCells = [];
-    
-    await new Promise(resolve => {
-      function processChunk() {
-        const start = processed;
-        const end = Math.min(processed + chunkSize, totalCells);
-        
-        // Set line thickness
-        ctx.lineWidth = lineThickness;
-        
-        for (let i = start; i < end; i++) {
-          const [point, cell] = cells[i];
-          if (cell.length < 3) continue;
-          
-          const centroid = calculateCentroid(cell, width, height);
-          const color = getAverageColorAtPoint(originalCtx, centroid.x, centroid.y, smoothness);
-          
-          // Store cell data for SVG
-          processedCells.push({
-            points: cell.map(p => ({ x: p.x, y: p.y })),
-            color: { r: color.r, g: color.g, b: color.b },
-            lineThickness: lineThickness
-          });
-          
-          // Fill polygon
-          ctx.fillStyle = `rgb(${color.r},${color.g},${color.b})`;
-          ctx.beginPath();
-          ctx.moveTo(cell[0].x, cell[0].y);
-          
-          for (let j = 1; j < cell.length; j++) {
-            ctx.lineTo(cell[j].x, cell[j].y);
-          }
-          
-          ctx.closePath();
-          ctx.fill();
-          
-          // Draw polygon outline if thickness > 0
-          if (lineThickness > 0) {
-            ctx.strokeStyle = 'rgba(0,0,0,0.3)';
-            ctx.stroke();
-          }
-        }
-        
-        processed = end;
-        
-        // Update button text with progress
-        const percent = Math.round((processed / totalCells) * 100);
-        processBtn.textContent = `Processing... ${percent}%`;
-        
-        if (processed < totalCells) {
-          setTimeout(processChunk, 0);
-        } else {
-          resolve();
-        }
-      }
-      
-      // Start processing chunks
-      setTimeout(processChunk, 0);
-    });
-    
-    // Store processed data for SVG generation
-    processedVoronoiData = {
-      width: width,
-      height: height,
-      cells: processedCells
-    };
-    
-    // Reset button
-    processBtn.disabled = false;
-    processBtn.textContent = originalText;
-    downloadBtn.disabled = false;
-    copySvgBtn.disabled = false;
-    
-  } catch (error) {
-    console.error('Error processing image:', error);
-    alert('An error occurred while processing the image. Please try again.');
-    processBtn.disabled = false;
-    processBtn.textContent = originalText;
+  // Weighted relaxation uses the same detail density as the detail mode
+  if (relaxWeightedInput.checked) {
+    detailBiasInput.closest('.slider-group').hidden = false;
   }
+  updatePointCountDisplay();
+}
+
+distributionSelect.addEventListener('change', updateDistributionControls);
+
+jitterInput.addEventListener('input', (e) => {
+  document.getElementById('jitter-display').textContent = `${e.target.value}%`;
+  updateSliderProgress(e.target);
 });
 
-// Download processed image
-downloadBtn.addEventListener('click', () => {
-  if (!canvas) return;
-  
-  const link = document.createElement('a');
-  link.download = 'voronoi-filtered-image.png';
-  link.href = canvas.toDataURL('image/png');
-  link.click();
+poissonAttemptsInput.addEventListener('input', (e) => {
+  document.getElementById('poisson-attempts-display').textContent = e.target.value;
+  updateSliderProgress(e.target);
+});
+
+// Show only the parameters of the selected color mode and palette
+function updateColorControls() {
+  document.querySelectorAll('[data-color-modes]').forEach(group => {
+    group.hidden = !group.dataset.colorModes.split(' ').includes(colorModeSelect.value);
+  });
+  document.querySelectorAll('[data-palettes]').forEach(group => {
+    group.hidden = !group.dataset.palettes.split(' ').includes(paletteSelect.value);
+  });
+}
+
+colorModeSelect.addEventListener('change', updateColorControls);
+paletteSelect.addEventListener('change', updateColorControls);
+
+paletteSizeInput.addEventListener('input', (e) => {
+  document.getElementById('palette-size-display').textContent = e.target.value;
+  updateSliderProgress(e.target);
+});
+
+// Show the stroke color for fixed outlines, the amount for derived ones
+function updateStrokeControls() {
+  document.querySelectorAll('[data-outline-modes]').forEach(group => {
+    group.hidden = !group.dataset.outlineModes.split(' ').includes(outlineModeSelect.value);
+  });
+}
+
+outlineModeSelect.addEventListener('change', updateStrokeControls);
+
+// Show the background color for the styles that leave space between shapes
+function updateTessellationControls() {
+  document.querySelectorAll('[data-tessellations]').forEach(group => {
+    group.hidden = !group.dataset.tessellations.split(' ').includes(tessellationSelect.value);
+  });
+}
+
+tessellationSelect.addEventListener('change', updateTessellationControls);
+
+strokeOpacityInput.addEventListener('input', (e) => {
+  document.getElementById('stroke-opacity-display').textContent = `${e.target.value}%`;
+  updateSliderProgress(e.target);
+});
+
+outlineAmountInput.addEventListener('input', (e) => {
+  document.getElementById('outline-amount-display').textContent = `${e.target.value}%`;
+  updateSliderProgress(e.target);
+});
+
+maskContrastInput.addEventListener('input', (e) => {
+  document.getElementById('mask-contrast-display').textContent = `${e.target.value}x`;
+  updateSliderProgress(e.target);
+});
+
+maskThicknessInput.addEventListener('input', (e) => {
+  document.getElementById('mask-thickness-display').textContent = `${e.target.value}%`;
+  updateSliderProgress(e.target);
+});
+
+brushSizeInput.addEventListener('input', (e) => {
+  document.getElementById('brush-size-display').textContent = `${e.target.value}px`;
+  updateSliderProgress(e.target);
+});
+
+relaxInput.addEventListener('input', (e) => {
+  document.getElementById('relax-display').textContent = e.target.value;
+  updateSliderProgress(e.target);
+});
+
+relaxWeightedInput.addEventListener('change', updateDistributionControls);
+
+edgeStrengthInput.addEventListener('input', (e) => {
+  document.getElementById('edge-strength-display').textContent = `${e.target.value}%`;
+  updateSliderProgress(e.target);
 });
 
-// Generate SVG from processed Voronoi data
-function generateSVG(data) {
-  const { width, height, cells } = data;
+edgeOverlayInput.addEventListener('change', redrawCanvas);
+
+detailBiasInput.addEventListener('input', (e) => {
+  document.getElementById('detail-bias-display').textContent = `${e.target.value}%`;
+  updateSliderProgress(e.target);
+});
+
+// Draw processed Voronoi data onto a canvas context
+function renderVoronoi(context, data) {
+  const { width, height } = data;
+  const style = data.style || strokeStyleFromSettings(DEFAULT_SETTINGS);
+  const { background, shapes } = mosaicShapes(data);
   
-  let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n`;
+  context.clearRect(0, 0, width, height);
   
-  // Add each cell as a polygon
-  for (const cell of cells) {
-    const { points, color, lineThickness } = cell;
-    
-    // Build polygon points string
-    const pointsString = points.map(p => `${p.x},${p.y}`).join(' ');
-    
-    // Fill color
-    const fillColor = `rgb(${color.r},${color.g},${color.b})`;
-    
-    // Stroke color and width (matching canvas: rgba(0,0,0,0.3))
-    const strokeColor = 'rgba(0,0,0,0.3)';
-    const strokeWidth = lineThickness > 0 ? lineThickness : 0;
+  if (background) {
+    context.fillStyle = background;
+    context.fillRect(0, 0, width, height);
+  }
+  
+  context.lineJoin = style.lineJoin;
+  context.lineCap = style.lineCap;
+  
+  for (const shape of shapes) {
+    // Animation frames fade shapes in (see MosaicAnimation in voronoi.js)
+    if (shape.opacity <= 0) continue;
+    context.globalAlpha = shape.opacity;
     
-    svg += `  <polygon points="${pointsString}" fill="${fillColor}"`;
+    context.beginPath();
+    if (shape.type === 'circle') {
+      context.arc(shape.x, shape.y, shape.r, 0, Math.PI * 2);
+    } else {
+      const { points } = shape;
+      context.moveTo(points[0].x, points[0].y);
+      for (let j = 1; j < points.length; j++) {
+        context.lineTo(points[j].x, points[j].y);
+      }
+      if (shape.type === 'polygon') context.closePath();
+    }
     
-    if (strokeWidth > 0) {
-      svg += ` stroke="${strokeColor}" stroke-width="${strokeWidth}"`;
+    if (shape.fill && shape.fill !== 'none') {
+      context.fillStyle = shape.fill;
+      context.fill();
     }
     
-    svg += ` />\n`;
+    // Draw the outline if it has a width
+    if (shape.strokeWidth > 0) {
+      context.lineWidth = shape.strokeWidth;
+      context.strokeStyle = shape.stroke;
+      context.globalAlpha = shape.strokeOpacity * shape.opacity;
+      context.stroke();
+    }
+    context.globalAlpha = 1;
   }
+}
+
+// Read the current processing settings from the controls
+function readSettings() {
+  const lineThickness = parseFloat(thicknessInput.value);
+  const gap = parseFloat(gapInput.value);
+  return {
+    seed: seedInput.value.trim(),
+    numPoints: parseInt(pointsInput.value) || 2000,
+    distribution: distributionSelect.value,
+    jitter: parseInt(jitterInput.value) / 100,
+    poissonAttempts: parseInt(poissonAttemptsInput.value) || 30,
+    detailBias: parseInt(detailBiasInput.value) / 100,
+    relaxIterations: parseInt(relaxInput.value) || 0,
+    relaxWeighted: relaxWeightedInput.checked,
+    edgeStrength: parseInt(edgeStrengthInput.value) / 100,
+    colorMode: colorModeSelect.value,
+    smoothness: parseInt(smoothnessInput.value) || 7,
+    palette: paletteSelect.value,
+    paletteSize: parseInt(paletteSizeInput.value) || 8,
+    customPalette: customPaletteInput.value.trim(),
+    tessellation: tessellationSelect.value,
+    backgroundColor: backgroundColorInput.value,
+    lineThickness: isNaN(lineThickness) ? 3 : lineThickness,
+    strokeColor: strokeColorInput.value,
+    strokeOpacity: parseInt(strokeOpacityInput.value) / 100,
+    outlineMode: outlineModeSelect.value,
+    outlineAmount: parseInt(outlineAmountInput.value) / 100,
+    lineJoin: lineJoinSelect.value,
+    lineCap: lineCapSelect.value,
+    gap: isNaN(gap) ? 0 : gap,
+    gapColor: gapColorInput.value,
+    maskContrast: parseInt(maskContrastInput.value),
+    maskThickness: parseInt(maskThicknessInput.value) / 100
+  };
+}
+
+// Set the controls from a settings object, refreshing their displays
+function applySettings(settings) {
+  const { seed, numPoints, distribution, jitter, poissonAttempts, detailBias,
+          relaxIterations, relaxWeighted, edgeStrength, colorMode, smoothness, palette, paletteSize,
+          customPalette, tessellation, backgroundColor, lineThickness, strokeColor, strokeOpacity, outlineMode,
+          outlineAmount, lineJoin, lineCap, gap, gapColor, maskContrast,
+          maskThickness } = normalizeSettings(settings);
   
-  svg += `</svg>`;
+  const setValue = (input, value) => {
+    input.value = value;
+    input.dispatchEvent(new Event('input'));
+  };
   
-  return svg;
+  seedInput.value = seed;
+  setValue(pointsInput, numPoints);
+  distributionSelect.value = distribution;
+  setValue(jitterInput, Math.round(jitter * 100));
+  setValue(poissonAttemptsInput, poissonAttempts);
+  setValue(detailBiasInput, Math.round(detailBias * 100));
+  setValue(relaxInput, relaxIterations);
+  relaxWeightedInput.checked = relaxWeighted;
+  setValue(edgeStrengthInput, Math.round(edgeStrength * 100));
+  colorModeSelect.value = colorMode;
+  setValue(smoothnessInput, smoothness);
+  paletteSelect.value = palette;
+  setValue(paletteSizeInput, paletteSize);
+  customPaletteInput.value = customPalette;
+  tessellationSelect.value = tessellation;
+  backgroundColorInput.value = backgroundColor;
+  thicknessInput.value = lineThickness;
+  strokeColorInput.value = strokeColor;
+  setValue(strokeOpacityInput, Math.round(strokeOpacity * 100));
+  outlineModeSelect.value = outlineMode;
+  setValue(outlineAmountInput, Math.round(outlineAmount * 100));
+  lineJoinSelect.value = lineJoin;
+  lineCapSelect.value = lineCap;
+  gapInput.value = gap;
+  gapColorInput.value = gapColor;
+  setValue(maskContrastInput, maskContrast);
+  setValue(maskThicknessInput, Math.round(maskThickness * 100));
+  updateDistributionControls();
+  updateColorControls();
+  updateStrokeControls();
+  updateTessellationControls();
 }
 
-// Copy SVG to clipboard
-copySvgBtn.addEventListener('click', async () => {
-  if (!processedVoronoiData) {
-    alert('Please process an image first.');
-    return;
+// Mirror the current settings in the URL hash so the page link reproduces them
+function updateSettingsHash() {
+  history.replaceState(null, '', `#${serializeSettings(readSettings())}`);
+}
+
+// Pin down a seed so this exact result can be regenerated later
+function ensureSeed() {
+  if (!seedInput.value.trim()) {
+    seedInput.value = randomSeed();
+    updateSettingsHash();
   }
-  
+}
+
+// Start a processing job, in a worker when possible. Returns the result
+// promise plus cancel (rejects with an AbortError) and stop (ends Lloyd
+// relaxation early, resolving with the current iteration). Seeds from an
+// earlier result make the job only recolor them.
+function startProcessingJob(imageData, settings, { onProgress = () => {}, onIteration = () => {}, seeds = null, mask = null }) {
+  let worker = null;
   try {
-    const svg = generateSVG(processedVoronoiData);
-    
-    // Use Clipboard API to copy SVG as text
-    await navigator.clipboard.writeText(svg);
-    
-    // Provide user feedback
-    const originalText = copySvgBtn.textContent;
-    copySvgBtn.textContent = 'Copied!';
-    setTimeout(() => {
-      copySvgBtn.textContent = originalText;
-    }, 2000);
+    worker = new Worker('worker.js');
   } catch (error) {
-    console.error('Error copying SVG to clipboard:', error);
+    // Workers are unavailable (e.g. the page was opened from file://)
+    console.warn('Web Worker unavailable, processing on the main thread:', error);
+  }
+  
+  if (!worker) {
+    const controller = new AbortController();
+    let stopRequested = false;
+    return {
+      promise: processImage(imageData, settings, {
+        onProgress,
+        onIteration,
+        shouldStop: () => stopRequested,
+        signal: controller.signal,
+        seeds,
+        mask
+      }),
+      cancel: () => controller.abort(),
+      stop: () => {
+        stopRequested = true;
+      }
+    };
+  }
+  
+  let rejectJob = null;
+  const promise = new Promise((resolve, reject) => {
+    rejectJob = reject;
+    
+    worker.addEventListener('message', (e) => {
+      const message = e.data;
+      if (message.type === 'progress') {
+        onProgress(message.percent);
+      } else if (message.type === 'iteration') {
+        onIteration(message.data, message.iteration);
+      } else if (message.type === 'result') {
+        worker.terminate();
+        resolve(message.data);
+      } else if (message.type === 'error') {
+        worker.terminate();
+        reject(new Error(message.message));
+      }
+    });
+    
+    worker.addEventListener('error', (e) => {
+      worker.terminate();
+      reject(new Error(e.message || 'Worker failed to load'));
+    });
+    
+    // Transfer the pixel buffer instead of copying it
+    worker.postMessage({ type: 'process', imageData, settings, seeds, mask }, [imageData.data.buffer]);
+  });
+  
+  return {
+    promise,
+    cancel: () => {
+      worker.terminate();
+      rejectJob(new DOMException('Processing was cancelled', 'AbortError'));
+    },
+    stop: () => {
+      worker.postMessage({ type: 'stop' });
+    }
+  };
+}
+
+// Process image with Voronoi filter
+processBtn.addEventListener('click', async () => {
+  if (!originalImage || !originalCtx || activeJob) return;
+  
+  processBtn.disabled = true;
+  processBtn.textContent = 'Processing...';
+  cancelBtn.hidden = false;
+  hideAppError();
+  announce('Processing...');
+  viewer.setAttribute('aria-busy', 'true');
+  setEditMode(false);
+  editBtn.disabled = true;
+  
+  cancelLiveUpdate();
+  ensureSeed();
+  setPaintMode(false);
+  
+  const settings = readSettings();
+  stopBtn.hidden = settings.relaxIterations === 0;
+  stopBtn.disabled = false;
+  const imageData = originalCtx.getImageData(0, 0, canvas.width, canvas.height);
+  
+  const revision = maskRevision;
+  let announcedPercent = 0;
+  const job = startProcessingJob(imageData, settings, {
+    mask: currentMask(),
+    onProgress: percent => {
+      // Update button text with progress; the status line only every 10%,
+      // which is often enough for a screen reader
+      if (activeJob === job) {
+        processBtn.textContent = `Processing... ${percent}%`;
+        if (percent >= announcedPercent + 10) {
+          announcedPercent = percent - (percent % 10);
+          announce(`Processing... ${announcedPercent}%`);
+        }
+      }
+    },
+    onIteration: data => {
+      // Preview each relaxation step so it can be stopped when it looks right
+      if (activeJob === job) {
+        canvas.width = data.width;
+        canvas.height = data.height;
+        renderVoronoi(ctx, data);
+        drawEdgeOverlay();
+      }
+    }
+  });
+  activeJob = job;
+  
+  try {
+    const data = await job.promise;
+    
+    // Store processed data for SVG generation and draw it
+    data.maskRevision = revision;
+    showResult(data);
+    announce(`Mosaic ready: ${data.cells.length.toLocaleString()} cells`);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      announce('Processing cancelled');
+    } else {
+      console.error('Error processing image:', error);
+      announce('');
+      showAppError('An error occurred while processing the image. Please try again.');
+    }
+    
+    // Put back whatever was shown before the job's previews
+    if (activeJob === job) {
+      if (processedVoronoiData) {
+        canvas.width = processedVoronoiData.width;
+        canvas.height = processedVoronoiData.height;
+        renderVoronoi(ctx, processedVoronoiData);
+      } else {
+        drawOriginalImage();
+      }
+      drawEdgeOverlay();
+    }
+  } finally {
+    if (activeJob === job) {
+      activeJob = null;
+      processBtn.disabled = false;
+      editBtn.disabled = !processedVoronoiData;
+      processBtn.textContent = PROCESS_BUTTON_TEXT;
+      cancelBtn.hidden = true;
+      stopBtn.hidden = true;
+      viewer.removeAttribute('aria-busy');
+    }
+  }
+});
+
+// Live preview: a settings change shows a downscaled preview right away,
+// refined to full resolution once the controls are left alone. Changes to
+// colors only recolor the same seeds, and drawing options only redraw.
+
+// Longest side of the image previews are computed on
+const PREVIEW_MAX_DIMENSION = 480;
+
+// Delays after the last change before previewing and before refining (ms)
+const PREVIEW_DELAY = 100;
+const REFINE_DELAY = 800;
+
+let previewSource = null; // Downscaled original image, made on first use
+let previewData = null; // Last preview, at preview resolution
+let liveJob = null; // In-flight preview or refine job
+let previewTimer = null;
+let refineTimer = null;
+
+function cancelLiveUpdate() {
+  clearTimeout(previewTimer);
+  clearTimeout(refineTimer);
+  if (liveJob) {
+    liveJob.cancel();
+    liveJob = null;
+  }
+}
+
+// A fresh copy of the downscaled image (jobs take over the buffer they get)
+function previewImageData() {
+  if (!previewSource) {
+    const scale = Math.min(1, PREVIEW_MAX_DIMENSION / Math.max(canvas.width, canvas.height));
+    const previewCanvas = document.createElement('canvas');
+    previewCanvas.width = Math.max(1, Math.round(canvas.width * scale));
+    previewCanvas.height = Math.max(1, Math.round(canvas.height * scale));
+    const previewCtx = previewCanvas.getContext('2d');
+    previewCtx.drawImage(originalCtx.canvas, 0, 0, previewCanvas.width, previewCanvas.height);
+    previewSource = previewCtx.getImageData(0, 0, previewCanvas.width, previewCanvas.height);
+  }
+  const { data, width, height } = previewSource;
+  return new ImageData(new Uint8ClampedArray(data), width, height);
+}
+
+// Bring a mosaic up to date with settings, reusing as much of it as the
+// change allows. Resolves to null when the mosaic was superseded.
+async function updateMosaic(data, imageData, settings) {
+  // A different mask moves the seeds like any geometry setting
+  const change = !data || data.maskRevision !== maskRevision ? 'geometry' : settingsChange(data.settings, settings);
+  if (change === null) return data;
+  if (change === 'style') return restyleMosaic(data, settings);
+  
+  if (liveJob) liveJob.cancel();
+  const revision = maskRevision;
+  const job = startProcessingJob(imageData(), settings, {
+    seeds: change === 'color' ? data.cells.map(cell => cell.seed) : null,
+    mask: currentMask()
+  });
+  liveJob = job;
+  try {
+    const result = await job.promise;
+    result.maskRevision = revision;
+    return result;
+  } catch (error) {
+    if (error.name === 'AbortError') return null;
+    throw error;
+  } finally {
+    if (liveJob === job) liveJob = null;
+  }
+}
+
+// Make data the current result, as if it came from Process Image
+function showResult(data) {
+  processedVoronoiData = data;
+  editor = null;
+  redrawCanvas();
+  
+  downloadBtn.disabled = false;
+  downloadSvgBtn.disabled = false;
+  copySvgBtn.disabled = false;
+  downloadJsonBtn.disabled = false;
+  fabricationBtn.disabled = false;
+  animateBtn.disabled = false;
+  editBtn.disabled = false;
+  
+  recordProjectState();
+  scheduleHistorySave();
+}
+
+// Back to the source image, with no result to export
+function clearResult() {
+  processedVoronoiData = null;
+  editor = null;
+  redrawCanvas();
+  
+  downloadBtn.disabled = true;
+  downloadSvgBtn.disabled = true;
+  copySvgBtn.disabled = true;
+  downloadJsonBtn.disabled = true;
+  fabricationBtn.disabled = true;
+  animateBtn.disabled = true;
+  editBtn.disabled = true;
+}
+
+async function runPreview() {
+  const settings = readSettings();
+  try {
+    const data = await updateMosaic(previewData, previewImageData, settings);
+    if (!data || activeJob) return;
+    previewData = data;
+    
+    // Unless the refine already landed, show the preview stretched to full size
+    if (paintMode) return;
+    if (!processedVoronoiData || processedVoronoiData.maskRevision !== maskRevision ||
+        settingsChange(processedVoronoiData.settings, settings)) {
+      renderVoronoi(ctx, scaleMosaic(data, canvas.width, canvas.height));
+      drawEdgeOverlay();
+    }
+  } catch (error) {
+    console.error('Error previewing settings:', error);
+  }
+}
+
+async function runRefine() {
+  const settings = readSettings();
+  const fullImageData = () => originalCtx.getImageData(0, 0, canvas.width, canvas.height);
+  try {
+    const data = await updateMosaic(processedVoronoiData, fullImageData, settings);
+    if (!data || activeJob) return;
+    showResult(data);
+  } catch (error) {
+    console.error('Error processing image:', error);
+  }
+}
+
+function scheduleLiveUpdate() {
+  if (!livePreviewInput.checked || !originalCtx || activeJob) return;
+  ensureSeed();
+  setEditMode(false);
+  
+  // Drawing options apply to the full-resolution result straight away
+  const settings = readSettings();
+  if (processedVoronoiData && processedVoronoiData.maskRevision === maskRevision) {
+    const change = settingsChange(processedVoronoiData.settings, settings);
+    if (change === null || change === 'style') {
+      cancelLiveUpdate();
+      if (change) showResult(restyleMosaic(processedVoronoiData, settings));
+      return;
+    }
+  }
+  
+  clearTimeout(previewTimer);
+  clearTimeout(refineTimer);
+  previewTimer = setTimeout(runPreview, PREVIEW_DELAY);
+  refineTimer = setTimeout(runRefine, REFINE_DELAY);
+}
+
+document.querySelectorAll('.controls-grid input, .controls-grid select').forEach(control => {
+  control.addEventListener('input', scheduleLiveUpdate);
+  control.addEventListener('change', scheduleLiveUpdate);
+});
+
+livePreviewInput.addEventListener('change', () => {
+  localStorage.setItem('livePreview', livePreviewInput.checked ? 'on' : 'off');
+  if (livePreviewInput.checked) {
+    scheduleLiveUpdate();
+  } else {
+    cancelLiveUpdate();
+  }
+});
+
+// Viewer: the canvas is zoomed and panned with a CSS transform, so
+// canvasPoint() keeps mapping the pointer to canvas pixels in every mode.
+// The original image can be laid over the left part of the mosaic (split
+// view) or over all of it while the peek button is held.
+
+const ZOOM_STEP = 1.25; // Factor of the zoom buttons
+const MAX_ZOOM = 16; // Screen pixels per canvas pixel
+const WHEEL_ZOOM_RATE = 0.002; // Zoom exponent per wheel pixel
+
+let view = { zoom: null, x: 0, y: 0 }; // zoom null fits the image to the viewer
+const viewPointers = new Map(); // Pointers down on the viewer: id -> { x, y, pans }
+let comparePosition = 0.5; // Split position, a fraction of the image width
+let peeking = false;
+let compareSource = null; // Canvas last copied to compareCanvas
+let compareRender = null; // Past render shown instead of the original: { id, name, canvas }
+
+function fitZoom() {
+  return Math.min(viewer.clientWidth / canvas.width, viewer.clientHeight / canvas.height) || 1;
+}
+
+function currentZoom() {
+  return view.zoom === null ? fitZoom() : view.zoom;
+}
+
+// Zoom at which one canvas pixel covers one device pixel
+function actualZoom() {
+  return 1 / (window.devicePixelRatio || 1);
+}
+
+// Apply the view: the image is centered along an axis where it is smaller
+// than the viewer, and otherwise kept covering it
+function updateView() {
+  viewer.style.aspectRatio = `${canvas.width} / ${canvas.height}`;
+  viewerStage.style.width = `${canvas.width}px`;
+  
+  const zoom = currentZoom();
+  const place = (offset, size, available) => (size <= available ?
+    (available - size) / 2 : Math.min(0, Math.max(available - size, offset)));
+  view.x = place(view.x, canvas.width * zoom, viewer.clientWidth);
+  view.y = place(view.y, canvas.height * zoom, viewer.clientHeight);
+  viewerStage.style.transform = `translate(${view.x}px, ${view.y}px) scale(${zoom})`;
+  
+  viewer.classList.toggle('viewer--zoomed', view.zoom !== null);
+  viewer.classList.toggle('viewer--magnified', zoom > actualZoom());
+  zoomDisplay.textContent = `${Math.round((zoom / actualZoom()) * 100)}%`;
+  zoomOutBtn.disabled = zoom <= Math.min(fitZoom(), actualZoom());
+  zoomInBtn.disabled = zoom >= MAX_ZOOM;
+  updateCompare();
+}
+
+// Zoom around a point of the viewer (its center by default), keeping the
+// canvas pixel under it in place. Zooming out stops at the fitted size, or
+// at 1:1 for images smaller than the viewer.
+function zoomTo(zoom, originX = viewer.clientWidth / 2, originY = viewer.clientHeight / 2) {
+  const previous = currentZoom();
+  const fit = fitZoom();
+  zoom = Math.min(MAX_ZOOM, Math.max(Math.min(fit, actualZoom()), zoom));
+  view.x = originX - (originX - view.x) * zoom / previous;
+  view.y = originY - (originY - view.y) * zoom / previous;
+  view.zoom = zoom === fit ? null : zoom;
+  
+  updateView();
+  // Seeds are drawn at a fixed screen size
+  if (editMode && editor) drawMosaic();
+}
+
+function resetView() {
+  view = { zoom: null, x: 0, y: 0 };
+  viewPointers.clear();
+  updateView();
+}
+
+// Show the original (or a past render, see setCompareRender()) over the
+// mosaic as the split view or peek asks
+function updateCompare() {
+  const split = compareInput.checked && !paintMode;
+  const visible = Boolean(originalCtx) && (split || peeking);
+  compareCanvas.hidden = !visible;
+  compareDivider.hidden = !visible || peeking;
+  if (!visible) return;
+  
+  const source = compareRender ? compareRender.canvas : originalCtx.canvas;
+  if (compareSource !== source) {
+    compareCanvas.width = source.width;
+    compareCanvas.height = source.height;
+    compareCanvas.getContext('2d').drawImage(source, 0, 0);
+    compareSource = source;
+  }
+  
+  const position = peeking ? 1 : comparePosition;
+  const zoom = currentZoom();
+  compareCanvas.style.clipPath = `inset(0 ${(1 - position) * 100}% 0 0)`;
+  compareDivider.style.left = `${view.x + position * canvas.width * zoom}px`;
+  compareDivider.style.top = `${Math.max(0, view.y)}px`;
+  compareDivider.style.height = `${Math.min(viewer.clientHeight, canvas.height * zoom)}px`;
+  compareDivider.setAttribute('aria-valuenow', String(Math.round(position * 100)));
+}
+
+function setComparePosition(position) {
+  comparePosition = Math.min(1, Math.max(0, position));
+  updateCompare();
+}
+
+function setPeeking(enabled) {
+  if (peeking === enabled) return;
+  peeking = enabled;
+  peekBtn.setAttribute('aria-pressed', String(enabled));
+  updateCompare();
+}
+
+viewer.addEventListener('wheel', (e) => {
+  e.preventDefault();
+  const rect = viewer.getBoundingClientRect();
+  const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+  zoomTo(currentZoom() * Math.exp(-delta * WHEEL_ZOOM_RATE), e.clientX - rect.left, e.clientY - rect.top);
+}, { passive: false });
+
+// One pointer pans (the middle button always; the primary one unless it is
+// editing or painting), two touch points pan and pinch-zoom
+viewer.addEventListener('pointerdown', (e) => {
+  const pans = e.button === 1 || (e.button === 0 && !editMode && !paintMode);
+  if (!pans && e.pointerType !== 'touch') return;
+  if (pans) {
+    e.preventDefault();
+    viewer.setPointerCapture(e.pointerId);
+  }
+  viewPointers.set(e.pointerId, { x: e.clientX, y: e.clientY, pans });
+});
+
+viewer.addEventListener('pointermove', (e) => {
+  const pointer = viewPointers.get(e.pointerId);
+  if (!pointer) return;
+  
+  if (viewPointers.size >= 2) {
+    const [a, b] = [...viewPointers.values()];
+    const before = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, distance: Math.hypot(a.x - b.x, a.y - b.y) };
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+    const after = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, distance: Math.hypot(a.x - b.x, a.y - b.y) };
+    
+    const rect = viewer.getBoundingClientRect();
+    view.x += after.x - before.x;
+    view.y += after.y - before.y;
+    zoomTo(currentZoom() * (after.distance / before.distance || 1), after.x - rect.left, after.y - rect.top);
+    return;
+  }
+  
+  if (pointer.pans) {
+    view.x += e.clientX - pointer.x;
+    view.y += e.clientY - pointer.y;
+    updateView();
+  }
+  pointer.x = e.clientX;
+  pointer.y = e.clientY;
+});
+
+const endPan = (e) => {
+  if (!viewPointers.delete(e.pointerId)) return;
+  if (viewer.hasPointerCapture(e.pointerId)) viewer.releasePointerCapture(e.pointerId);
+};
+viewer.addEventListener('pointerup', endPan);
+viewer.addEventListener('pointercancel', endPan);
+
+window.addEventListener('resize', updateView);
+
+zoomInBtn.addEventListener('click', () => zoomTo(currentZoom() * ZOOM_STEP));
+zoomOutBtn.addEventListener('click', () => zoomTo(currentZoom() / ZOOM_STEP));
+zoomActualBtn.addEventListener('click', () => zoomTo(actualZoom()));
+zoomFitBtn.addEventListener('click', () => {
+  view.zoom = null;
+  updateView();
+  if (editMode && editor) drawMosaic();
+});
+
+compareInput.addEventListener('change', updateCompare);
+
+compareDivider.addEventListener('pointerdown', (e) => {
+  if (e.button !== 0) return;
+  e.preventDefault();
+  e.stopPropagation();
+  compareDivider.setPointerCapture(e.pointerId);
+});
+
+compareDivider.addEventListener('pointermove', (e) => {
+  if (!compareDivider.hasPointerCapture(e.pointerId)) return;
+  const rect = canvas.getBoundingClientRect();
+  setComparePosition((e.clientX - rect.left) / rect.width);
+});
+
+compareDivider.addEventListener('keydown', (e) => {
+  const steps = { ArrowLeft: -0.05, ArrowDown: -0.05, ArrowRight: 0.05, ArrowUp: 0.05 };
+  if (e.key in steps) {
+    setComparePosition(comparePosition + steps[e.key]);
+  } else if (e.key === 'Home' || e.key === 'End') {
+    setComparePosition(e.key === 'Home' ? 0 : 1);
+  } else {
+    return;
+  }
+  e.preventDefault();
+});
+
+// The original shows while the button is held, by pointer or keyboard
+peekBtn.addEventListener('pointerdown', (e) => {
+  if (e.button === 0) setPeeking(true);
+});
+for (const type of ['pointerup', 'pointerleave', 'pointercancel', 'blur']) {
+  peekBtn.addEventListener(type, () => setPeeking(false));
+}
+peekBtn.addEventListener('keydown', (e) => {
+  if (e.key === ' ' || e.key === 'Enter') {
+    e.preventDefault();
+    setPeeking(true);
+  }
+});
+peekBtn.addEventListener('keyup', (e) => {
+  if (e.key === ' ' || e.key === 'Enter') setPeeking(false);
+});
+
+// Region mask: painted over the original image or loaded from a grayscale
+// picture. White areas get smaller cells (see maskDensity() in voronoi.js).
+
+let maskCanvas = null; // Grayscale mask, or null for none
+let maskOverlay = null; // The mask as a red tint, shown while painting
+let maskRevision = 0; // Bumped on every change; results record the one they used
+let maskCache = null; // Mask bytes handed to jobs: { revision, mask }
+let paintMode = false;
+let brushPosition = null; // Last brush position (mask pixels) during a stroke
+
+function createMask(width, height) {
+  maskCanvas = document.createElement('canvas');
+  maskCanvas.width = width;
+  maskCanvas.height = height;
+  const maskCtx = maskCanvas.getContext('2d');
+  maskCtx.fillStyle = '#000000';
+  maskCtx.fillRect(0, 0, width, height);
+  
+  maskOverlay = document.createElement('canvas');
+  maskOverlay.width = width;
+  maskOverlay.height = height;
+  clearMaskBtn.disabled = false;
+}
+
+// The mask as { width, height, data } with one byte per pixel, or null
+function currentMask() {
+  if (!maskCanvas) return null;
+  if (!maskCache || maskCache.revision !== maskRevision) {
+    const { width, height } = maskCanvas;
+    const rgba = maskCanvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const data = new Uint8Array(width * height);
+    for (let i = 0; i < data.length; i++) data[i] = rgba[i * 4];
+    maskCache = { revision: maskRevision, mask: { width, height, data } };
+  }
+  return maskCache.mask;
+}
+
+function maskChanged() {
+  maskRevision++;
+  previewData = null;
+  scheduleLiveUpdate();
+}
+
+function clearMask() {
+  if (!maskCanvas) return;
+  maskCanvas = null;
+  maskOverlay = null;
+  clearMaskBtn.disabled = true;
+  maskChanged();
+  redrawCanvas();
+}
+
+// Any picture becomes a mask through its luminance, stretched to the image
+function setMaskFromImage(img) {
+  const width = originalImage ? originalImage.width : img.width;
+  const height = originalImage ? originalImage.height : img.height;
+  createMask(width, height);
+  
+  const maskCtx = maskCanvas.getContext('2d');
+  maskCtx.drawImage(img, 0, 0, width, height);
+  const pixels = maskCtx.getImageData(0, 0, width, height);
+  const overlayPixels = new ImageData(width, height);
+  const luminance = computeLuminance(pixels);
+  for (let i = 0; i < luminance.length; i++) {
+    const value = Math.round(luminance[i]);
+    pixels.data[i * 4] = pixels.data[i * 4 + 1] = pixels.data[i * 4 + 2] = value;
+    pixels.data[i * 4 + 3] = 255;
+    overlayPixels.data[i * 4] = 255;
+    overlayPixels.data[i * 4 + 3] = value;
+  }
+  maskCtx.putImageData(pixels, 0, 0);
+  maskOverlay.getContext('2d').putImageData(overlayPixels, 0, 0);
+  
+  maskChanged();
+  redrawCanvas();
+}
+
+function loadImageElement(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('The image could not be read'));
+    img.src = src;
+  });
+}
+
+// Draw the canvas for the current mode: the original image under the mask
+// while painting, otherwise the mosaic (or the original before processing).
+// The canvas is an image to screen readers, labelled with what it shows.
+function redrawCanvas() {
+  if (paintMode && originalImage) {
+    canvas.setAttribute('aria-label', 'Original image, painting the mask');
+    drawOriginalImage();
+    if (maskOverlay) {
+      ctx.globalAlpha = 0.5;
+      ctx.drawImage(maskOverlay, 0, 0, canvas.width, canvas.height);
+      ctx.globalAlpha = 1;
+    }
+  } else if (processedVoronoiData) {
+    canvas.setAttribute('aria-label', `Voronoi mosaic, ${processedVoronoiData.cells.length.toLocaleString()} cells`);
+    canvas.width = processedVoronoiData.width;
+    canvas.height = processedVoronoiData.height;
+    drawMosaic();
+  } else if (originalImage) {
+    canvas.setAttribute('aria-label', 'Original image');
+    drawOriginalImage();
+    drawEdgeOverlay();
+  }
+}
+
+function setPaintMode(enabled) {
+  if (enabled && !originalImage) return;
+  if (enabled) setEditMode(false);
+  if (enabled && !maskCanvas) createMask(originalImage.width, originalImage.height);
+  
+  const changed = paintMode !== enabled;
+  paintMode = enabled;
+  brushPosition = null;
+  paintMaskBtn.setAttribute('aria-pressed', String(enabled));
+  paintMaskBtn.textContent = enabled ? 'Done Painting' : 'Paint Mask';
+  maskBrush.hidden = !enabled;
+  canvas.classList.toggle('canvas--editing', enabled);
+  if (changed) redrawCanvas();
+  updateCompare();
+}
+
+function paintStroke(from, to) {
+  const dense = brushModeSelect.value === 'dense';
+  const width = parseInt(brushSizeInput.value) * maskCanvas.width / canvas.width;
+  
+  for (const [target, color] of [[maskCanvas, dense ? '#ffffff' : '#000000'], [maskOverlay, '#ff0000']]) {
+    const targetCtx = target.getContext('2d');
+    targetCtx.globalCompositeOperation = target === maskOverlay && !dense ? 'destination-out' : 'source-over';
+    targetCtx.strokeStyle = color;
+    targetCtx.lineWidth = width;
+    targetCtx.lineCap = 'round';
+    targetCtx.beginPath();
+    targetCtx.moveTo(from.x, from.y);
+    targetCtx.lineTo(to.x, to.y);
+    targetCtx.stroke();
+  }
+  redrawCanvas();
+}
+
+function maskPoint(e) {
+  const point = canvasPoint(e);
+  return {
+    x: point.x * maskCanvas.width / canvas.width,
+    y: point.y * maskCanvas.height / canvas.height
+  };
+}
+
+paintMaskBtn.addEventListener('click', () => {
+  setPaintMode(!paintMode);
+});
+
+loadMaskBtn.addEventListener('click', () => {
+  maskInput.click();
+});
+
+maskInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  
+  try {
+    setMaskFromImage((await decodeImage(file)).image);
+  } catch (error) {
+    console.error('Error loading mask:', error);
+    showAppError(`Failed to load mask: ${error.message}`);
+  } finally {
+    maskInput.value = '';
+  }
+});
+
+clearMaskBtn.addEventListener('click', clearMask);
+
+canvas.addEventListener('pointerdown', (e) => {
+  if (!paintMode || e.button !== 0) return;
+  e.preventDefault();
+  canvas.setPointerCapture(e.pointerId);
+  brushPosition = maskPoint(e);
+  paintStroke(brushPosition, brushPosition);
+});
+
+canvas.addEventListener('pointermove', (e) => {
+  if (!paintMode || !brushPosition) return;
+  const point = maskPoint(e);
+  paintStroke(brushPosition, point);
+  brushPosition = point;
+});
+
+const endStroke = (e) => {
+  if (!brushPosition) return;
+  if (canvas.hasPointerCapture(e.pointerId)) canvas.releasePointerCapture(e.pointerId);
+  brushPosition = null;
+  maskChanged();
+};
+canvas.addEventListener('pointerup', endStroke);
+canvas.addEventListener('pointercancel', endStroke);
+
+// Cell editing: seeds are drawn over the mosaic and edited with the pointer
+
+// How close (in screen pixels) a click must be to grab a seed
+const SEED_HIT_RADIUS = 8;
+
+let drag = null; // Seed being dragged: { index, start, pending, busy, released }
+
+// Screen pixels per canvas pixel, as the canvas is scaled to fit the page
+function canvasScale() {
+  return canvas.getBoundingClientRect().width / canvas.width || 1;
+}
+
+function canvasPoint(e) {
+  const rect = canvas.getBoundingClientRect();
+  const scale = canvasScale();
+  return {
+    x: Math.min(canvas.width, Math.max(0, (e.clientX - rect.left) / scale)),
+    y: Math.min(canvas.height, Math.max(0, (e.clientY - rect.top) / scale))
+  };
+}
+
+function drawSeeds() {
+  const radius = 3 / canvasScale();
+  ctx.lineWidth = 1 / canvasScale();
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+  ctx.fillStyle = '#ffffff';
+  editor.seeds.forEach((seed, i) => {
+    ctx.beginPath();
+    ctx.arc(seed.x, seed.y, drag && drag.index === i ? radius * 2 : radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  });
+}
+
+// Redraw the mosaic, with its seeds while editing
+function drawMosaic() {
+  renderVoronoi(ctx, processedVoronoiData);
+  drawEdgeOverlay();
+  if (editMode && editor) drawSeeds();
+}
+
+function updateUndoButtons() {
+  undoBtn.disabled = !editor || editor.undoStack.length === 0;
+  redoBtn.disabled = !editor || editor.redoStack.length === 0;
+}
+
+function setEditMode(enabled) {
+  if (enabled && !processedVoronoiData) return;
+  if (enabled) setPaintMode(false);
+  if (enabled && !editor) {
+    const imageData = originalCtx.getImageData(0, 0, canvas.width, canvas.height);
+    editor = new MosaicEditor(processedVoronoiData, imageData, currentMask());
+  }
+  
+  const changed = editMode !== enabled;
+  editMode = enabled;
+  drag = null;
+  editBtn.setAttribute('aria-pressed', String(enabled));
+  editBtn.textContent = enabled ? 'Done Editing' : 'Edit Cells';
+  undoBtn.hidden = redoBtn.hidden = editHelp.hidden = !enabled;
+  canvas.classList.toggle('canvas--editing', enabled);
+  updateUndoButtons();
+  if (changed && processedVoronoiData) drawMosaic();
+}
+
+// Publish the editor's cells as the current result, so exports see them
+async function runEdit(edit) {
+  try {
+    await edit;
+  } catch (error) {
+    console.error('Error editing cells:', error);
+  }
+  if (!editor) return;
+  processedVoronoiData = editor.toData();
+  drawMosaic();
+  updateUndoButtons();
+  recordProjectState();
+  scheduleHistorySave();
+}
+
+// Applies the latest drag position once the previous move has finished,
+// so a fast drag never queues up stale moves
+async function pumpDrag() {
+  if (!drag || drag.busy) return;
+  const current = drag;
+  current.busy = true;
+  while (current.pending) {
+    const point = current.pending;
+    current.pending = null;
+    await runEdit(editor.apply({ type: 'move', index: current.index, point }));
+  }
+  current.busy = false;
+  
+  // One undo step for the whole drag
+  if (current.released) {
+    const end = editor.seeds[current.index];
+    if (end.x !== current.start.x || end.y !== current.start.y) {
+      editor.record({ type: 'move', index: current.index, point: end },
+                    { type: 'move', index: current.index, point: current.start });
+    }
+    if (drag === current) drag = null;
+    drawMosaic();
+    updateUndoButtons();
+  }
+}
+
+editBtn.addEventListener('click', () => {
+  setEditMode(!editMode);
+});
+
+undoBtn.addEventListener('click', () => {
+  if (editor && !drag) runEdit(editor.undo());
+});
+
+redoBtn.addEventListener('click', () => {
+  if (editor && !drag) runEdit(editor.redo());
+});
+
+canvas.addEventListener('pointerdown', (e) => {
+  if (!editMode || !editor || editor.busy || drag || e.button !== 0) return;
+  e.preventDefault();
+  const point = canvasPoint(e);
+  
+  if (e.altKey) {
+    if (editor.seeds.length > 1) {
+      runEdit(editor.perform({ type: 'remove', index: editor.cellAt(point.x, point.y) }));
+    }
+    return;
+  }
+  
+  const index = editor.seedNear(point.x, point.y, SEED_HIT_RADIUS / canvasScale());
+  if (index === -1) {
+    runEdit(editor.perform({ type: 'insert', index: editor.seeds.length, point }));
+    return;
+  }
+  
+  canvas.setPointerCapture(e.pointerId);
+  drag = { index, start: editor.seeds[index], pending: null, busy: false, released: false };
+  drawMosaic();
+});
+
+canvas.addEventListener('pointermove', (e) => {
+  if (!drag || drag.released) return;
+  drag.pending = canvasPoint(e);
+  pumpDrag();
+});
+
+const endDrag = (e) => {
+  if (!drag || drag.released) return;
+  if (canvas.hasPointerCapture(e.pointerId)) canvas.releasePointerCapture(e.pointerId);
+  drag.released = true;
+  pumpDrag();
+};
+canvas.addEventListener('pointerup', endDrag);
+canvas.addEventListener('pointercancel', endDrag);
+
+// Ctrl/Cmd+Z undoes an edit, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes it
+document.addEventListener('keydown', (e) => {
+  if (!editMode || !editor || drag || !(e.ctrlKey || e.metaKey)) return;
+  if (e.target.closest('input, select, textarea')) return;
+  
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    runEdit(editor.undo());
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    runEdit(editor.redo());
+  }
+});
+
+// Stop relaxing and keep the current iteration
+stopBtn.addEventListener('click', () => {
+  if (activeJob) {
+    activeJob.stop();
+    stopBtn.disabled = true;
+  }
+});
+
+// Cancel an in-flight processing job
+cancelBtn.addEventListener('click', () => {
+  if (activeJob) {
+    activeJob.cancel();
+  }
+});
+
+// Pick a new random seed
+randomizeSeedBtn.addEventListener('click', () => {
+  seedInput.value = randomSeed();
+  updateSettingsHash();
+  announce(`New seed: ${seedInput.value}`);
+});
+
+// Keep the URL hash in sync with every settings control
+document.querySelectorAll('.controls-grid input, .controls-grid select').forEach(control => {
+  control.addEventListener('change', updateSettingsHash);
+});
+
+// Settings pasted into the address bar of an open page
+window.addEventListener('hashchange', () => {
+  applySettings(parseSettings(location.hash.slice(1)));
+});
+
+// Save the current settings as a JSON preset
+savePresetBtn.addEventListener('click', () => {
+  const preset = createPreset(readSettings(), maskCanvas ? maskCanvas.toDataURL('image/png') : null);
+  const blob = new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `voronoisaic-preset${preset.settings.seed ? `-${preset.settings.seed}` : ''}.json`);
+});
+
+loadPresetBtn.addEventListener('click', () => {
+  presetInput.click();
+});
+
+// Load settings from a JSON preset
+presetInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  
+  try {
+    const preset = JSON.parse(await file.text());
+    applySettings(readPreset(preset));
+    updateSettingsHash();
+    
+    // The preset's mask replaces the current one; no mask clears it
+    if (preset.mask) {
+      setMaskFromImage(await loadImageElement(preset.mask));
+    } else {
+      clearMask();
+    }
+  } catch (error) {
+    console.error('Error loading preset:', error);
+    showAppError(`Failed to load preset: ${error.message}`);
+  }
+  presetInput.value = '';
+});
+
+// Dialogs
+let modalOpener = null; // Element to refocus when the open dialog closes
+
+function openModal(modal) {
+  modalOpener = document.activeElement;
+  modal.hidden = false;
+  modal.querySelector('.modal__footer .button:last-child').focus();
+}
+
+// Closing fires a 'close' event on the backdrop so dialogs can clean up
+function closeModal(modal) {
+  if (modal.hidden) return;
+  modal.hidden = true;
+  modal.dispatchEvent(new Event('close'));
+  if (modalOpener) modalOpener.focus();
+}
+
+document.querySelectorAll('.modal-backdrop').forEach(modal => {
+  modal.querySelectorAll('[data-close-modal]').forEach(button => {
+    button.addEventListener('click', () => closeModal(modal));
+  });
+  
+  // Clicking the backdrop or pressing Escape dismisses the dialog
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal(modal);
+  });
+  
+  // Tab cycles through the dialog's controls instead of leaving it
+  modal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeModal(modal);
+    } else if (e.key === 'Tab') {
+      const focusable = [...modal.querySelectorAll('button, input, select, textarea, [tabindex]')]
+        .filter(element => !element.disabled && !element.closest('[hidden]') && element.tabIndex >= 0);
+      if (focusable.length === 0) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+  });
+});
+
+// Keyboard shortcuts: single keys, outside text fields (except Escape) and
+// dialogs. Each one clicks a button, so it does exactly what the button does
+// and nothing while the button is disabled or hidden. The help dialog lists
+// this table, and has a switch to turn off the character keys (Escape stays).
+const KEYBOARD_SHORTCUTS = [
+  { key: 'p', label: 'P', description: 'Process image', button: processBtn },
+  // Escape is pressed for all sorts of things; it is only ever a cancel
+  { key: 'Escape', label: 'Esc', description: 'Cancel processing', button: cancelBtn, quiet: true },
+  { key: 'd', label: 'D', description: 'Export image', button: downloadBtn },
+  { key: 's', label: 'S', description: 'Download SVG', button: downloadSvgBtn },
+  { key: 'c', label: 'C', description: 'Copy SVG', button: copySvgBtn },
+  { key: 'r', label: 'R', description: 'New random seed', button: randomizeSeedBtn },
+  { key: 'b', label: 'B', description: 'Toggle split view', button: compareInput },
+  { key: '?', label: '?', description: 'Show keyboard shortcuts', button: shortcutsBtn }
+];
+
+// Keys handled elsewhere, listed in the help dialog as well
+const OTHER_SHORTCUTS = [
+  { label: '⌘/Ctrl+V', description: 'Paste an image' },
+  { label: '⌘/Ctrl+Z', description: 'Undo (the last cell edit while editing cells)' },
+  { label: '⌘/Ctrl+Shift+Z', description: 'Redo' },
+  { label: '← →', description: 'Move the split view divider, when it has focus' },
+  { label: 'Space', description: 'Show the original while Hold to Compare is held' },
+  { label: 'Esc', description: 'Close a dialog' }
+];
+
+// Keys pressed in these type text or pick an entry of a list (menus jump
+// to the option starting with the letter); sliders and checkboxes still take
+// shortcuts, as they have focus right after a setting is changed
+const TEXT_INPUT_TYPES = ['text', 'search', 'number', 'url', 'email', 'tel', 'password'];
+
+function isTextEntry(element) {
+  if (element.isContentEditable || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+  if (element.closest('[role="listbox"], [role="combobox"]')) return true;
+  return element.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(element.type);
+}
+
+function shortcutEnabled(shortcut) {
+  return shortcut.key.length > 1 || singleKeyShortcutsInput.checked;
+}
+
+function runShortcut(shortcut) {
+  const { button } = shortcut;
+  if (button.disabled || button.closest('[hidden]')) {
+    if (!shortcut.quiet) announce(`${shortcut.description} is not available right now`);
+    return;
+  }
+  button.click();
+  if (button.type === 'checkbox') {
+    announce(`${button.labels[0].textContent.trim()} ${button.checked ? 'on' : 'off'}`);
+  }
+}
+
+document.addEventListener('keydown', (e) => {
+  if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+  if (e.key !== 'Escape' && isTextEntry(e.target)) return;
+  if (e.target.closest('.modal-backdrop') || document.querySelector('.modal-backdrop:not([hidden])')) return;
+  
+  const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+  const shortcut = KEYBOARD_SHORTCUTS.find(entry => entry.key === key);
+  if (!shortcut || !shortcutEnabled(shortcut)) return;
+  e.preventDefault();
+  runShortcut(shortcut);
+});
+
+// Buttons tell their key in the tooltip and to assistive technology, while
+// it is turned on
+const shortcutTitles = new Map(KEYBOARD_SHORTCUTS.map(({ button }) => [button, button.title]));
+
+function updateShortcutHints() {
+  for (const shortcut of KEYBOARD_SHORTCUTS) {
+    const { key, label, description, button } = shortcut;
+    const title = shortcutTitles.get(button);
+    if (shortcutEnabled(shortcut)) {
+      button.setAttribute('aria-keyshortcuts', key);
+      button.title = `${title || description} (${label})`;
+    } else {
+      button.removeAttribute('aria-keyshortcuts');
+      if (title) button.title = title;
+      else button.removeAttribute('title');
+    }
+  }
+}
+
+singleKeyShortcutsInput.addEventListener('change', () => {
+  localStorage.setItem('singleKeyShortcuts', singleKeyShortcutsInput.checked ? 'on' : 'off');
+  updateShortcutHints();
+});
+
+for (const { label, description } of [...KEYBOARD_SHORTCUTS, ...OTHER_SHORTCUTS]) {
+  const row = document.createElement('tr');
+  const keyCell = document.createElement('td');
+  const kbd = document.createElement('kbd');
+  kbd.textContent = label;
+  keyCell.append(kbd);
+  const descriptionCell = document.createElement('td');
+  descriptionCell.textContent = description;
+  row.append(keyCell, descriptionCell);
+  shortcutsList.append(row);
+}
+
+shortcutsBtn.addEventListener('click', () => {
+  openModal(shortcutsModal);
+});
+
+// Image export: the cells are vectors, so exports are re-rendered at the
+// requested size rather than upscaled from the on-screen canvas
+
+// Paper sizes in millimetres, short side first
+const PAPER_SIZES = {
+  A5: [148, 210],
+  A4: [210, 297],
+  A3: [297, 420],
+  A2: [420, 594],
+  A1: [594, 841],
+  A0: [841, 1189],
+  letter: [215.9, 279.4],
+  tabloid: [279.4, 431.8]
+};
+
+const EXPORT_FORMATS = {
+  png: { type: 'image/png', extension: 'png' },
+  jpeg: { type: 'image/jpeg', extension: 'jpg' },
+  webp: { type: 'image/webp', extension: 'webp' }
+};
+
+// PNG exports are rendered in tiles no larger than this on either side,
+// which every current browser accepts as a canvas
+const EXPORT_TILE_SIZE = 4096;
+
+// Pixels per PNG strip handed to the encoder (bounds its memory use)
+const EXPORT_STRIP_PIXELS = 8 * 1024 * 1024;
+
+const MAX_EXPORT_PIXELS = 400 * 1000 * 1000;
+
+let activeExport = null; // AbortController of the running image export
+
+// Output size in pixels, and the DPI to record, for the dialog's choices
+function readImageExportOptions() {
+  const { width, height } = processedVoronoiData;
+  const format = exportFormatSelect.value;
+  const quality = parseInt(exportQualityInput.value) / 100;
+  
+  let scale;
+  let dpi = null;
+  if (exportSizeSelect.value === 'print') {
+    dpi = parseFloat(exportDpiInput.value) > 0 ? parseFloat(exportDpiInput.value) : 300;
+    const [shortSide, longSide] = PAPER_SIZES[exportPaperSelect.value].map(mm => mm / 25.4 * dpi);
+    
+    // Fit the image on the paper, turned to match the image's orientation
+    const [paperWidth, paperHeight] = width >= height ? [longSide, shortSide] : [shortSide, longSide];
+    scale = Math.min(paperWidth / width, paperHeight / height);
+  } else {
+    scale = parseFloat(exportScaleInput.value) > 0 ? parseFloat(exportScaleInput.value) : 1;
+  }
+  
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+    dpi: dpi,
+    format: format,
+    quality: quality
+  };
+}
+
+function updateImageExportControls() {
+  exportModal.querySelectorAll('[data-size-modes]').forEach(group => {
+    group.hidden = !group.dataset.sizeModes.split(' ').includes(exportSizeSelect.value);
+  });
+  exportModal.querySelectorAll('[data-formats]').forEach(group => {
+    group.hidden = !group.dataset.formats.split(' ').includes(exportFormatSelect.value);
+  });
+  
+  if (!processedVoronoiData) return;
+  
+  const { width, height, dpi } = readImageExportOptions();
+  let text = `${width} × ${height} px (${(width * height / 1e6).toFixed(1)} megapixels)`;
+  if (dpi) {
+    const cm = pixels => (pixels / dpi * 2.54).toFixed(1);
+    text += `, ${cm(width)} × ${cm(height)} cm at ${dpi} DPI`;
+  }
+  
+  const tooLarge = width * height > MAX_EXPORT_PIXELS;
+  if (tooLarge) {
+    text += ` is over the ${MAX_EXPORT_PIXELS / 1e6} megapixel limit`;
+  }
+  exportSizeDisplay.textContent = text;
+  exportSaveBtn.disabled = tooLarge || activeExport !== null;
+}
+
+// Draws the part of the mosaic at (x, y) in output pixels into context
+function renderExportTile(context, data, options, x, y) {
+  context.setTransform(options.width / data.width, 0, 0, options.height / data.height, -x, -y);
+  renderVoronoi(context, data);
+  context.setTransform(1, 0, 0, 1, 0, 0);
+}
+
+// PNGs are rendered tile by tile and streamed through the encoder, so their
+// size is not bounded by the browser's canvas limits
+function exportPNG(data, options, onProgress, signal) {
+  const { width, height } = options;
+  const tileCanvas = document.createElement('canvas');
+  const tileCtx = tileCanvas.getContext('2d');
+  const stripHeight = Math.max(1, Math.min(EXPORT_TILE_SIZE, Math.floor(EXPORT_STRIP_PIXELS / width)));
+  
+  const readRows = async (y, count) => {
+    const rows = new Uint8ClampedArray(width * count * 4);
+    for (let x = 0; x < width; x += EXPORT_TILE_SIZE) {
+      const tileWidth = Math.min(EXPORT_TILE_SIZE, width - x);
+      tileCanvas.width = tileWidth;
+      tileCanvas.height = count;
+      renderExportTile(tileCtx, data, options, x, y);
+      
+      const tile = tileCtx.getImageData(0, 0, tileWidth, count).data;
+      for (let row = 0; row < count; row++) {
+        rows.set(tile.subarray(row * tileWidth * 4, (row + 1) * tileWidth * 4), (row * width + x) * 4);
+      }
+    }
+    return rows;
+  };
+  
+  return encodePNG(width, height, readRows, { stripHeight, dpi: options.dpi, onProgress, signal });
+}
+
+// JPEG and WebP go through the browser's encoder, which needs the whole
+// image on one canvas
+async function exportWithCanvas(data, options) {
+  const { width, height, format, quality } = options;
+  const { type } = EXPORT_FORMATS[format];
+  const exportCanvas = document.createElement('canvas');
+  exportCanvas.width = width;
+  exportCanvas.height = height;
+  const exportCtx = exportCanvas.getContext('2d');
+  
+  // Browsers silently hand out unusable canvases past their size limits;
+  // a pixel written to the far corner only reads back from a real one
+  if (exportCtx) exportCtx.fillRect(width - 1, height - 1, 1, 1);
+  if (!exportCtx || exportCtx.getImageData(width - 1, height - 1, 1, 1).data[3] !== 255) {
+    throw new Error(`This browser cannot create a ${width} × ${height} canvas for ${format.toUpperCase()} export. Choose PNG or a smaller size.`);
+  }
+  
+  renderExportTile(exportCtx, data, options, 0, 0);
+  
+  const blob = await new Promise(resolve => exportCanvas.toBlob(resolve, type, quality));
+  exportCanvas.width = exportCanvas.height = 0;
+  
+  if (!blob) {
+    throw new Error('The browser failed to encode the image.');
+  }
+  if (blob.type !== type) {
+    throw new Error(`This browser cannot encode ${format.toUpperCase()} images.`);
+  }
+  return blob;
+}
+
+downloadBtn.addEventListener('click', () => {
+  if (!processedVoronoiData) {
+    announce('Process an image first.');
+    return;
+  }
+  exportStatus.textContent = '';
+  openModal(exportModal);
+  updateImageExportControls();
+});
+
+exportModal.querySelectorAll('input, select').forEach(input => {
+  input.addEventListener('input', updateImageExportControls);
+  input.addEventListener('change', updateImageExportControls);
+});
+
+exportQualityInput.addEventListener('input', (e) => {
+  exportQualityDisplay.textContent = e.target.value;
+  updateSliderProgress(e.target);
+});
+
+// Closing the dialog abandons a running export
+exportModal.addEventListener('close', () => {
+  if (activeExport) activeExport.abort();
+});
+
+exportSaveBtn.addEventListener('click', async () => {
+  const data = processedVoronoiData;
+  const options = readImageExportOptions();
+  const controller = new AbortController();
+  activeExport = controller;
+  exportSaveBtn.disabled = true;
+  exportStatus.textContent = 'Rendering...';
+  
+  try {
+    let blob;
+    if (options.format === 'png') {
+      blob = await exportPNG(data, options, (fraction) => {
+        exportStatus.textContent = `Rendering... ${Math.round(fraction * 100)}%`;
+      }, controller.signal);
+    } else {
+      // Let the status paint before the blocking render
+      await new Promise(resolve => setTimeout(resolve, 0));
+      blob = await exportWithCanvas(data, options);
+    }
+    throwIfCancelled(controller.signal);
+    
+    downloadBlob(blob, `voronoi-filtered-image.${EXPORT_FORMATS[options.format].extension}`);
+    exportStatus.textContent = '';
+    closeModal(exportModal);
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Error exporting image:', error);
+      exportStatus.textContent = `Export failed: ${error.message}`;
+    }
+  } finally {
+    if (activeExport === controller) activeExport = null;
+    updateImageExportControls();
+  }
+});
+
+// Human-readable byte count, e.g. "1.4 MB"
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Save a Blob as a file through a temporary object URL
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  announce(`Saved ${filename}`);
+}
+
+// Export options as currently chosen in the SVG dialog
+function readSvgExportOptions() {
+  const precision = svgPrecisionSelect.value;
+  return {
+    precision: precision === '' ? null : parseInt(precision),
+    mergeColors: svgMergeInput.checked,
+    strokeAttributes: svgStyleSelect.value,
+    metadata: svgMetadataInput.checked
+  };
+}
+
+function updateSvgSizeEstimate() {
+  if (!processedVoronoiData) return;
+  const svg = generateSVG(processedVoronoiData, readSvgExportOptions());
+  const cellCount = processedVoronoiData.cells.length;
+  svgSizeDisplay.textContent = `${cellCount} cells, about ${formatBytes(new Blob([svg]).size)}`;
+}
+
+downloadSvgBtn.addEventListener('click', () => {
+  if (!processedVoronoiData) {
+    announce('Process an image first.');
+    return;
+  }
+  openModal(svgExportModal);
+  updateSvgSizeEstimate();
+});
+
+svgExportModal.querySelectorAll('input, select').forEach(input => {
+  input.addEventListener('change', updateSvgSizeEstimate);
+});
+
+svgSaveBtn.addEventListener('click', () => {
+  const svg = generateSVG(processedVoronoiData, readSvgExportOptions());
+  downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'voronoi-filtered-image.svg');
+  closeModal(svgExportModal);
+});
+
+svgCopyBtn.addEventListener('click', () => {
+  copySVG(svgCopyBtn);
+});
+
+// The cells, their neighbors and colors as JSON, which Open Mosaic reads back
+downloadJsonBtn.addEventListener('click', () => {
+  const json = JSON.stringify(createMosaicFile(processedVoronoiData));
+  downloadBlob(new Blob([json], { type: 'application/json' }), 'voronoi-mosaic.json');
+});
+
+// Cut & Plot: the cell borders as lines for laser cutters and pen plotters
+// (see fabricationPlan() in voronoi.js)
+
+// Units the width and kerf fields are currently in
+let fabricationUnits = fabricationUnitsSelect.value;
+
+function readFabricationOptions() {
+  return {
+    units: fabricationUnitsSelect.value,
+    width: parseFloat(fabricationWidthInput.value) > 0 ? parseFloat(fabricationWidthInput.value) : null,
+    kerf: Math.max(0, parseFloat(fabricationKerfInput.value) || 0),
+    colorLayers: Math.max(1, parseInt(fabricationLayersInput.value) || 1),
+    penOrder: fabricationOrderInput.checked
+  };
+}
+
+// A length in the drawing's units, e.g. "12.4 m" or "350 mm"
+function formatFabricationLength(length, units) {
+  if (units === 'mm') return length >= 1000 ? `${(length / 1000).toFixed(1)} m` : `${Math.round(length)} mm`;
+  if (units === 'in') return `${length.toFixed(1)} in`;
+  return `${Math.round(length)} px`;
+}
+
+function updateFabricationSummary() {
+  if (!processedVoronoiData) return;
+  const plan = fabricationPlan(processedVoronoiData, readFabricationOptions());
+  const pathCount = plan.layers.reduce((sum, layer) => sum + layer.paths.length, 0);
+  const size = value => +value.toFixed(2);
+  fabricationSummaryDisplay.textContent = `${size(plan.width)} × ${size(plan.height)} ${plan.units}, ` +
+    `${plan.layers.length} ${plan.layers.length === 1 ? 'layer' : 'layers'}, ${pathCount} paths, ` +
+    `${formatFabricationLength(plan.cutLength, plan.units)} of lines, ${formatFabricationLength(plan.travel, plan.units)} of pen travel`;
+}
+
+fabricationBtn.addEventListener('click', () => {
+  if (!processedVoronoiData) {
+    announce('Process an image first.');
+    return;
+  }
+  openModal(fabricationModal);
+  updateFabricationSummary();
+});
+
+// Switching units keeps the physical width and kerf
+fabricationUnitsSelect.addEventListener('change', () => {
+  const factor = FABRICATION_UNITS[fabricationUnits] / FABRICATION_UNITS[fabricationUnitsSelect.value];
+  fabricationUnits = fabricationUnitsSelect.value;
+  for (const input of [fabricationWidthInput, fabricationKerfInput]) {
+    input.value = +(parseFloat(input.value) * factor || 0).toFixed(3);
+  }
+});
+
+fabricationModal.querySelectorAll('input, select').forEach(input => {
+  input.addEventListener('change', updateFabricationSummary);
+});
+
+fabricationSaveBtn.addEventListener('click', () => {
+  const plan = fabricationPlan(processedVoronoiData, readFabricationOptions());
+  if (fabricationFormatSelect.value === 'dxf') {
+    downloadBlob(new Blob([generateDXF(plan)], { type: 'application/dxf' }), 'voronoi-mosaic-cut.dxf');
+  } else {
+    downloadBlob(new Blob([generatePlotterSVG(plan)], { type: 'image/svg+xml' }), 'voronoi-mosaic-plot.svg');
+  }
+  closeModal(fabricationModal);
+});
+
+// Copy SVG to clipboard, using the options from the export dialog
+async function copySVG(button) {
+  if (!processedVoronoiData) {
+    announce('Process an image first.');
+    return;
+  }
+  
+  const svg = generateSVG(processedVoronoiData, readSvgExportOptions());
+  
+  // Provide user feedback
+  const showCopied = () => {
+    announce('SVG copied to the clipboard');
+    const originalText = button.textContent;
+    button.textContent = 'Copied!';
+    setTimeout(() => {
+      button.textContent = originalText;
+    }, 2000);
+  };
+  
+  try {
+    // Use Clipboard API to copy SVG as text
+    await navigator.clipboard.writeText(svg);
+    showCopied();
+  } catch (error) {
+    console.error('Error copying SVG to clipboard:', error);
     
     // Fallback: Create a textarea and use execCommand
     try {
-      const svg = generateSVG(processedVoronoiData);
       const textarea = document.createElement('textarea');
       textarea.value = svg;
       textarea.style.position = 'fixed';
@@ -616,17 +2245,802 @@ copySvgBtn.addEventListener('click', async () => {
       textarea.select();
       document.execCommand('copy');
       document.body.removeChild(textarea);
-      
-      const originalText = copySvgBtn.textContent;
-      copySvgBtn.textContent = 'Copied!';
-      setTimeout(() => {
-        copySvgBtn.textContent = originalText;
-      }, 2000);
+      showCopied();
     } catch (fallbackError) {
       console.error('Fallback copy failed:', fallbackError);
-      alert('Failed to copy SVG to clipboard. Please check your browser permissions.');
+      showAppError('Failed to copy SVG to clipboard. Please check your browser permissions.');
+    }
+  }
+}
+
+copySvgBtn.addEventListener('click', () => {
+  copySVG(copySvgBtn);
+});
+
+// Animation: moving versions of the mosaic (see MosaicAnimation in
+// voronoi.js), previewed on a timeline and exported as GIF or WebM
+
+let animation = null; // MosaicAnimation for the current mosaic and options
+let animationSource = null; // Mosaic the animation was made from
+let animationKey = null; // Options and mask revision it was made with
+let animationFrames = new Map(); // Frame index -> mosaic
+let animationFrameIndex = 0;
+let animationRequest = 0; // Latest frame asked for, so stale draws are skipped
+let animationPlaying = false;
+let animationPlayback = 0; // Counts Play presses, so only the latest loop runs
+let activeAnimationExport = null; // AbortController of a running export
+
+function readAnimationOptions() {
+  const fps = parseInt(animationFpsSelect.value);
+  const duration = Math.min(30, Math.max(1, parseFloat(animationDurationInput.value) || 4));
+  return {
+    mode: animationModeSelect.value,
+    amplitude: parseInt(animationAmplitudeInput.value) / 100,
+    fps: fps,
+    frameCount: Math.max(1, Math.round(duration * fps)),
+    maxDimension: parseInt(animationSizeSelect.value)
+  };
+}
+
+// The animation for the current options, made again when the mosaic, the
+// mask or an option that changes the frames has changed
+function currentAnimation() {
+  const data = processedVoronoiData;
+  const options = readAnimationOptions();
+  const key = [options.mode, options.amplitude, options.maxDimension, maskRevision];
+  if (animation && animationSource === data && key.every((value, i) => value === animationKey[i])) {
+    return animation;
+  }
+  
+  // Frames are computed on a downscaled copy of the image
+  const scale = Math.min(1, options.maxDimension / Math.max(data.width, data.height));
+  const sourceCanvas = document.createElement('canvas');
+  sourceCanvas.width = Math.max(1, Math.round(data.width * scale));
+  sourceCanvas.height = Math.max(1, Math.round(data.height * scale));
+  const sourceCtx = sourceCanvas.getContext('2d');
+  sourceCtx.drawImage(originalCtx.canvas, 0, 0, sourceCanvas.width, sourceCanvas.height);
+  const imageData = sourceCtx.getImageData(0, 0, sourceCanvas.width, sourceCanvas.height);
+  
+  animation = new MosaicAnimation(scaleMosaic(data, sourceCanvas.width, sourceCanvas.height), imageData, {
+    mode: options.mode,
+    amplitude: options.amplitude,
+    mask: currentMask()
+  });
+  animationSource = data;
+  animationKey = key;
+  animationFrames = new Map();
+  return animation;
+}
+
+// Frame index of frameCount, cached (unless cache is false) until the
+// animation changes
+async function animationFrame(index, frameCount, signal, cache = true) {
+  const current = currentAnimation();
+  const cacheKey = `${index}/${frameCount}`;
+  if (animationFrames.has(cacheKey)) return animationFrames.get(cacheKey);
+  
+  const frame = await current.frame(index / frameCount, signal);
+  if (current !== animation) throw new DOMException('The animation changed', 'AbortError');
+  if (cache) animationFrames.set(cacheKey, frame);
+  return frame;
+}
+
+// Frames are opaque: cells that are still fading in show white behind them
+function drawAnimationFrame(context, frame) {
+  context.canvas.width = frame.width;
+  context.canvas.height = frame.height;
+  renderVoronoi(context, frame);
+  context.globalCompositeOperation = 'destination-over';
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, frame.width, frame.height);
+  context.globalCompositeOperation = 'source-over';
+}
+
+async function showAnimationFrame(index) {
+  const { fps, frameCount } = readAnimationOptions();
+  animationFrameIndex = Math.min(index, frameCount - 1);
+  animationTimelineInput.max = frameCount - 1;
+  animationTimelineInput.value = animationFrameIndex;
+  updateSliderProgress(animationTimelineInput);
+  animationTimeDisplay.textContent = `${(animationFrameIndex / fps).toFixed(1)}s`;
+  animationTimelineInput.setAttribute('aria-valuetext', animationTimeDisplay.textContent);
+  
+  const request = ++animationRequest;
+  try {
+    const frame = await animationFrame(animationFrameIndex, frameCount);
+    if (request === animationRequest) {
+      drawAnimationFrame(animationCanvas.getContext('2d'), frame);
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Error rendering animation frame:', error);
+      animationStatus.textContent = `Preview failed: ${error.message}`;
+    }
+  }
+}
+
+async function playAnimation() {
+  const playback = ++animationPlayback;
+  animationPlaying = true;
+  animationPlayBtn.textContent = 'Pause';
+  while (animationPlaying && playback === animationPlayback && !animationModal.hidden) {
+    const { fps, frameCount } = readAnimationOptions();
+    const started = performance.now();
+    await showAnimationFrame((animationFrameIndex + 1) % frameCount);
+    const wait = 1000 / fps - (performance.now() - started);
+    await new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+  }
+  if (playback === animationPlayback) pauseAnimation();
+}
+
+function pauseAnimation() {
+  animationPlaying = false;
+  animationPlayBtn.textContent = 'Play';
+}
+
+function updateAnimationControls() {
+  animationModal.querySelectorAll('[data-animation-modes]').forEach(group => {
+    group.hidden = !group.dataset.animationModes.split(' ').includes(animationModeSelect.value);
+  });
+  // Changing the options would change the frames being exported
+  const exporting = activeAnimationExport !== null;
+  animationModal.querySelectorAll('.modal__body select, .modal__body input, #animation-play-btn').forEach(input => {
+    input.disabled = exporting;
+  });
+  animationGifBtn.disabled = exporting;
+  animationWebmBtn.disabled = exporting;
+}
+
+// Renders every frame up front, so recording can run at the real frame rate
+async function renderAnimationFrames(options, onProgress, signal) {
+  const frames = [];
+  for (let index = 0; index < options.frameCount; index++) {
+    frames.push(await animationFrame(index, options.frameCount, signal));
+    onProgress((index + 1) / options.frameCount);
+    await nextTick();
+    throwIfCancelled(signal);
+  }
+  return frames;
+}
+
+async function exportGIF(options, onProgress, signal) {
+  const frameCanvas = document.createElement('canvas');
+  const frameCtx = frameCanvas.getContext('2d');
+  const { width, height } = currentAnimation().data;
+  
+  return encodeGIF(width, height, options.frameCount, async index => {
+    drawAnimationFrame(frameCtx, await animationFrame(index, options.frameCount, signal, false));
+    return frameCtx.getImageData(0, 0, width, height).data;
+  }, { delay: 1000 / options.fps, onProgress, signal });
+}
+
+// Plays the frames into a MediaRecorder on a canvas stream, one frame per
+// 1/fps seconds of real time
+async function exportWebM(options, onProgress, signal) {
+  const mimeType = typeof MediaRecorder === 'undefined' ? undefined :
+    ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+  const recordCanvas = document.createElement('canvas');
+  if (!mimeType || !recordCanvas.captureStream) {
+    throw new Error('This browser cannot record WebM video. Export a GIF instead.');
+  }
+  
+  const frames = await renderAnimationFrames(options, fraction => onProgress(fraction / 2), signal);
+  const recordCtx = recordCanvas.getContext('2d');
+  drawAnimationFrame(recordCtx, frames[0]);
+  
+  const stream = recordCanvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8000000 });
+  const chunks = [];
+  recorder.addEventListener('dataavailable', (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  });
+  const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve));
+  
+  recorder.start();
+  try {
+    for (let index = 0; index < frames.length; index++) {
+      drawAnimationFrame(recordCtx, frames[index]);
+      if (track.requestFrame) track.requestFrame();
+      onProgress(0.5 + ((index + 1) / frames.length) / 2);
+      await new Promise(resolve => setTimeout(resolve, 1000 / options.fps));
+      throwIfCancelled(signal);
+    }
+  } finally {
+    recorder.stop();
+    await stopped;
+    track.stop();
+  }
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+async function runAnimationExport(format) {
+  const options = readAnimationOptions();
+  const controller = new AbortController();
+  activeAnimationExport = controller;
+  pauseAnimation();
+  updateAnimationControls();
+  animationStatus.textContent = 'Rendering...';
+  
+  const onProgress = fraction => {
+    animationStatus.textContent = `Rendering... ${Math.round(fraction * 100)}%`;
+  };
+  try {
+    const blob = format === 'gif' ?
+      await exportGIF(options, onProgress, controller.signal) :
+      await exportWebM(options, onProgress, controller.signal);
+    throwIfCancelled(controller.signal);
+    downloadBlob(blob, `voronoi-animation.${format}`);
+    animationStatus.textContent = `Saved ${formatBytes(blob.size)}`;
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Error exporting animation:', error);
+      animationStatus.textContent = `Export failed: ${error.message}`;
+    } else {
+      animationStatus.textContent = '';
+    }
+  } finally {
+    if (activeAnimationExport === controller) activeAnimationExport = null;
+    updateAnimationControls();
+  }
+}
+
+animateBtn.addEventListener('click', () => {
+  if (!processedVoronoiData) {
+    announce('Process an image first.');
+    return;
+  }
+  animationStatus.textContent = '';
+  openModal(animationModal);
+  updateAnimationControls();
+  showAnimationFrame(0);
+});
+
+animationModal.addEventListener('close', () => {
+  pauseAnimation();
+  if (activeAnimationExport) activeAnimationExport.abort();
+  // Frames can be large; make them again next time
+  animation = null;
+  animationSource = null;
+  animationFrames = new Map();
+});
+
+animationModal.querySelectorAll('.modal__body select, .modal__body input:not(.slider)').forEach(input => {
+  input.addEventListener('change', () => {
+    updateAnimationControls();
+    if (!animationPlaying) showAnimationFrame(animationFrameIndex);
+  });
+});
+
+animationAmplitudeInput.addEventListener('input', () => {
+  animationAmplitudeDisplay.textContent = `${animationAmplitudeInput.value}%`;
+  updateSliderProgress(animationAmplitudeInput);
+});
+
+animationAmplitudeInput.addEventListener('change', () => {
+  if (!animationPlaying) showAnimationFrame(animationFrameIndex);
+});
+
+animationTimelineInput.addEventListener('input', () => {
+  pauseAnimation();
+  showAnimationFrame(parseInt(animationTimelineInput.value));
+});
+
+animationPlayBtn.addEventListener('click', () => {
+  if (animationPlaying) {
+    pauseAnimation();
+  } else {
+    playAnimation();
+  }
+});
+
+animationGifBtn.addEventListener('click', () => runAnimationExport('gif'));
+animationWebmBtn.addEventListener('click', () => runAnimationExport('webm'));
+
+// History: every result is saved to IndexedDB (see storage.js) a moment
+// after it appears, so a burst of live-preview results or cell edits makes
+// one entry. The gallery strip reopens, compares, renames and deletes them.
+// Separately, Undo/Redo step through this session's settings changes and
+// results for the current image.
+
+const HISTORY_SAVE_DELAY = 1500; // ms a result must stay before it is saved
+const THUMBNAIL_SIZE = 288; // px on the longest side, twice the strip's size
+const PROJECT_STATE_LIMIT = 50;
+
+let historyRecords = []; // Gallery records, newest first
+let historySaveTimer = null;
+let savedSource = null; // { ctx, id }: originalCtx once stored as a source
+const savedRenderIds = new WeakMap(); // Result data -> id of its stored render
+
+let projectStates = []; // { settings (serialized), data } snapshots
+let projectIndex = -1;
+let restoringState = false; // Set while a step or render is being put back
+
+function updateProjectButtons() {
+  historyUndoBtn.disabled = projectIndex <= 0;
+  historyRedoBtn.disabled = projectIndex >= projectStates.length - 1;
+}
+
+function resetProjectStates() {
+  projectStates = [];
+  projectIndex = -1;
+  recordProjectState();
+}
+
+// Add the current settings and result as a step. A result for the settings
+// of the current step (a render, restyle or edit of them) completes that
+// step instead of adding one.
+function recordProjectState() {
+  if (restoringState || !originalCtx) return;
+  const settings = serializeSettings(readSettings());
+  const current = projectStates[projectIndex];
+  if (current && current.settings === settings) {
+    current.data = processedVoronoiData;
+  } else {
+    projectStates = projectStates.slice(0, projectIndex + 1);
+    projectStates.push({ settings, data: processedVoronoiData });
+    if (projectStates.length > PROJECT_STATE_LIMIT) projectStates.shift();
+    projectIndex = projectStates.length - 1;
+  }
+  updateProjectButtons();
+}
+
+function restoreProjectState(index) {
+  const state = projectStates[index];
+  if (!state || activeJob) return;
+  projectIndex = index;
+  
+  restoringState = true;
+  cancelLiveUpdate();
+  setEditMode(false);
+  if (state.data) {
+    showResult(state.data);
+  } else {
+    clearResult();
+  }
+  applySettings(parseSettings(state.settings));
+  updateSettingsHash();
+  restoringState = false;
+  
+  updateProjectButtons();
+  renderHistoryList();
+}
+
+function undoProjectState() {
+  restoreProjectState(projectIndex - 1);
+}
+
+function redoProjectState() {
+  restoreProjectState(projectIndex + 1);
+}
+
+function canvasToBlob(source, type, quality) {
+  return new Promise(resolve => source.toBlob(resolve, type, quality));
+}
+
+// A mosaic drawn at the given size, as a canvas
+function renderMosaicCanvas(data, width, height) {
+  const mosaicCanvas = document.createElement('canvas');
+  mosaicCanvas.width = width;
+  mosaicCanvas.height = height;
+  renderVoronoi(mosaicCanvas.getContext('2d'), scaleMosaic(data, width, height));
+  return mosaicCanvas;
+}
+
+function scheduleHistorySave() {
+  clearTimeout(historySaveTimer);
+  historySaveTimer = setTimeout(saveCurrentResult, HISTORY_SAVE_DELAY);
+}
+
+async function saveCurrentResult() {
+  const data = processedVoronoiData;
+  if (!data || savedRenderIds.has(data) || activeJob) return;
+  const sourceCtx = originalCtx;
+  
+  try {
+    // Stored again if its renders were all deleted (or trimmed) since
+    if (!savedSource || savedSource.ctx !== sourceCtx || !(await hasSource(savedSource.id))) {
+      const blob = await canvasToBlob(sourceCtx.canvas, 'image/png');
+      savedSource = { ctx: sourceCtx, id: await saveSource(blob, imageSource ? imageSource.name : '') };
+    }
+    
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(data.width, data.height));
+    const thumbnail = await canvasToBlob(renderMosaicCanvas(data,
+      Math.max(1, Math.round(data.width * scale)), Math.max(1, Math.round(data.height * scale))), 'image/webp', 0.85);
+    
+    const record = await saveRender({
+      name: (imageSource && imageSource.name) || 'Untitled',
+      sourceId: savedSource.id,
+      settings: data.settings,
+      thumbnail,
+      data
+    });
+    savedRenderIds.set(data, record.id);
+    await refreshHistory();
+  } catch (error) {
+    console.error('Error saving history:', error);
+    historyStatus.textContent = `This result could not be saved to the history: ${error.message}`;
+  }
+}
+
+async function refreshHistory() {
+  try {
+    historyRecords = await listRenders();
+    historyStatus.textContent = historyRecords.length ? '' : 'Every render is saved here, in this browser.';
+  } catch (error) {
+    historyRecords = [];
+    historyStatus.textContent = 'History is not available in this browser (storage may be disabled).';
+  }
+  renderHistoryList();
+}
+
+// Object URLs of the thumbnails on show, revoked when the list is rebuilt
+let thumbnailURLs = [];
+
+function renderHistoryList() {
+  thumbnailURLs.forEach(url => URL.revokeObjectURL(url));
+  thumbnailURLs = [];
+  historyList.replaceChildren();
+  const currentId = processedVoronoiData ? savedRenderIds.get(processedVoronoiData) : undefined;
+  
+  for (const record of historyRecords) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+    item.classList.toggle('history-item--current', record.id === currentId);
+    
+    const openBtn = document.createElement('button');
+    openBtn.className = 'history-item__open';
+    openBtn.type = 'button';
+    openBtn.title = 'Open this render';
+    if (record.thumbnail) {
+      const thumbnail = document.createElement('img');
+      const url = URL.createObjectURL(record.thumbnail);
+      thumbnailURLs.push(url);
+      thumbnail.src = url;
+      thumbnail.alt = `${record.name}, ${record.width} × ${record.height}`;
+      openBtn.appendChild(thumbnail);
+    } else {
+      openBtn.textContent = record.name;
+    }
+    openBtn.addEventListener('click', () => openRender(record));
+    
+    const nameInput = document.createElement('input');
+    nameInput.className = 'input history-item__name';
+    nameInput.value = record.name;
+    nameInput.setAttribute('aria-label', 'Render name');
+    nameInput.addEventListener('change', () => renameHistoryRecord(record, nameInput));
+    
+    const meta = document.createElement('span');
+    const date = new Date(record.createdAt).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+    meta.textContent = `${date} · ${record.cellCount.toLocaleString()} cells`;
+    
+    const actions = document.createElement('div');
+    actions.className = 'history-item__actions';
+    const compareBtn = document.createElement('button');
+    compareBtn.className = 'button button--sm button--outline';
+    compareBtn.type = 'button';
+    compareBtn.textContent = 'Compare';
+    compareBtn.setAttribute('aria-pressed', String(Boolean(compareRender && compareRender.id === record.id)));
+    compareBtn.addEventListener('click', () => toggleCompareRender(record));
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'button button--sm button--ghost';
+    deleteBtn.type = 'button';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => deleteHistoryRecord(record));
+    actions.append(compareBtn, deleteBtn);
+    
+    item.append(openBtn, nameInput, meta, actions);
+    historyList.appendChild(item);
+  }
+}
+
+// Decode a stored source and make it the current image, unless it already is
+async function openSource(sourceId) {
+  if (savedSource && savedSource.ctx === originalCtx && savedSource.id === sourceId) return;
+  const source = await loadSource(sourceId);
+  if (!source) throw new Error('The image of this render is missing');
+  const { image } = await decodeImage(source.blob);
+  loadImage(image);
+  imageSource = { blob: source.blob, name: source.name };
+  fileNameDisplay.textContent = source.name;
+  savedSource = { ctx: originalCtx, id: sourceId };
+}
+
+// Put a past render back on the canvas, with its image and settings
+async function openRender(record) {
+  if (activeJob) return;
+  try {
+    const data = await loadRenderData(record.id);
+    if (!data) throw new Error('The render is missing from the history');
+    await openSource(record.sourceId);
+    data.maskRevision = maskRevision;
+    savedRenderIds.set(data, record.id);
+    
+    restoringState = true;
+    cancelLiveUpdate();
+    setEditMode(false);
+    showResult(data);
+    applySettings(data.settings);
+    updateSettingsHash();
+    restoringState = false;
+    recordProjectState();
+    renderHistoryList();
+  } catch (error) {
+    restoringState = false;
+    console.error('Error opening render:', error);
+    historyStatus.textContent = `The render could not be opened: ${error.message}`;
+  }
+}
+
+// Compare against a past render instead of the original (null for the original)
+function setCompareRender(render) {
+  compareRender = render;
+  compareLabel.textContent = render ? `with “${render.name}”` : 'with the original';
+  compareCanvas.setAttribute('aria-label', render ? `Render “${render.name}”` : 'Original image');
+  updateCompare();
+}
+
+async function toggleCompareRender(record) {
+  if (compareRender && compareRender.id === record.id) {
+    setCompareRender(null);
+  } else {
+    try {
+      const data = await loadRenderData(record.id);
+      if (!data) throw new Error('The render is missing from the history');
+      setCompareRender({ id: record.id, name: record.name, canvas: renderMosaicCanvas(data, canvas.width, canvas.height) });
+      compareInput.checked = true;
+      updateCompare();
+    } catch (error) {
+      console.error('Error comparing render:', error);
+      historyStatus.textContent = `The render could not be compared: ${error.message}`;
+    }
+  }
+  renderHistoryList();
+}
+
+async function renameHistoryRecord(record, nameInput) {
+  const name = nameInput.value.trim() || record.name;
+  nameInput.value = name;
+  record.name = name;
+  if (compareRender && compareRender.id === record.id) {
+    setCompareRender({ ...compareRender, name });
+  }
+  try {
+    await renameRender(record.id, name);
+  } catch (error) {
+    console.error('Error renaming render:', error);
+  }
+}
+
+async function deleteHistoryRecord(record) {
+  if (!confirm(`Delete “${record.name}” from the history?`)) return;
+  try {
+    await deleteRender(record.id);
+  } catch (error) {
+    console.error('Error deleting render:', error);
+  }
+  if (compareRender && compareRender.id === record.id) setCompareRender(null);
+  await refreshHistory();
+}
+
+historyUndoBtn.addEventListener('click', undoProjectState);
+historyRedoBtn.addEventListener('click', redoProjectState);
+
+// Settings changes are steps once committed (slider released, field left)
+document.querySelectorAll('.controls-grid input, .controls-grid select').forEach(control => {
+  control.addEventListener('change', recordProjectState);
+});
+
+// Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y) step through the history,
+// except while editing cells, where they undo edits
+document.addEventListener('keydown', (e) => {
+  if (editMode || !(e.ctrlKey || e.metaKey)) return;
+  if (e.target.closest('input, select, textarea')) return;
+  
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undoProjectState();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redoProjectState();
+  }
+});
+
+// Batch processing: queued files run one after another through the same
+// pipeline as Process Image, with the current settings, seed and mask, and
+// their exports are bundled into one ZIP
+
+let batchItems = []; // { file, element, status, state, unsupported, outputs }
+let batchRunning = false;
+let batchJob = null; // Job of the file being processed
+let batchCancelled = false;
+
+function setBatchStatus(item, state, text) {
+  item.state = state;
+  item.element.dataset.state = state;
+  item.status.textContent = text;
+}
+
+function updateBatchControls() {
+  const pending = batchItems.some(item => item.state !== 'done' && !item.unsupported);
+  batchRunBtn.disabled = batchRunning || !pending || (!batchPngInput.checked && !batchSvgInput.checked);
+  batchRunBtn.textContent = batchRunning ? 'Running...' : 'Run Batch';
+  batchCancelBtn.hidden = !batchRunning;
+  batchZipBtn.disabled = batchRunning || !batchItems.some(item => item.state === 'done');
+  batchClearBtn.disabled = batchRunning || batchItems.length === 0;
+  batchAddBtn.disabled = batchRunning;
+}
+
+function addBatchFiles(files) {
+  for (const file of files) {
+    const element = document.createElement('li');
+    const name = document.createElement('span');
+    name.className = 'batch-list__name';
+    name.textContent = file.name;
+    name.title = file.name;
+    const status = document.createElement('span');
+    status.className = 'batch-list__status';
+    element.append(name, status);
+    batchList.appendChild(element);
+    
+    const unsupported = !isImageFile(file);
+    const item = { file, element, status, state: null, unsupported, outputs: [] };
+    batchItems.push(item);
+    if (unsupported) {
+      setBatchStatus(item, 'failed', 'Failed: not an image');
+    } else {
+      setBatchStatus(item, 'queued', 'Queued');
+    }
+  }
+  updateBatchControls();
+}
+
+// Pixels of an image file, upright and within the max image size
+async function readImageFile(file) {
+  const { image, width, height } = await decodeImage(file, { maxDimension: maxImageDimension() });
+  const fileCanvas = document.createElement('canvas');
+  fileCanvas.width = width;
+  fileCanvas.height = height;
+  const fileCtx = fileCanvas.getContext('2d');
+  fileCtx.drawImage(image, 0, 0);
+  if (image.close) image.close();
+  return fileCtx.getImageData(0, 0, width, height);
+}
+
+async function processBatchItem(item, settings, mask, svgOptions) {
+  setBatchStatus(item, 'processing', 'Reading...');
+  const imageData = await readImageFile(item.file);
+  
+  const job = startProcessingJob(imageData, settings, {
+    mask,
+    onProgress: percent => setBatchStatus(item, 'processing', `Processing ${percent}%`)
+  });
+  batchJob = job;
+  const data = await job.promise;
+  
+  const outputs = [];
+  if (batchPngInput.checked) {
+    setBatchStatus(item, 'processing', 'Encoding PNG...');
+    const png = await exportWithCanvas(data, { width: data.width, height: data.height, format: 'png' });
+    outputs.push({ extension: 'png', data: png });
+  }
+  if (batchSvgInput.checked) {
+    outputs.push({ extension: 'svg', data: generateSVG(data, svgOptions) });
+  }
+  item.outputs = outputs;
+}
+
+async function runBatch() {
+  ensureSeed();
+  const settings = readSettings();
+  const mask = currentMask();
+  const svgOptions = readSvgExportOptions();
+  batchCancelled = false;
+  batchRunning = true;
+  updateBatchControls();
+  
+  for (const item of batchItems) {
+    if (batchCancelled) break;
+    if (item.state === 'done' || item.unsupported) continue;
+    
+    try {
+      await processBatchItem(item, settings, mask, svgOptions);
+      setBatchStatus(item, 'done', 'Done');
+    } catch (error) {
+      item.outputs = [];
+      if (error.name === 'AbortError') {
+        setBatchStatus(item, 'queued', 'Cancelled');
+      } else {
+        console.error(`Error processing ${item.file.name}:`, error);
+        setBatchStatus(item, 'failed', `Failed: ${error.message}`);
+      }
+    } finally {
+      batchJob = null;
+    }
+  }
+  
+  batchRunning = false;
+  updateBatchControls();
+}
+
+// Output files named after their source, made unique within the archive
+function batchZipEntries() {
+  const used = new Set();
+  const entries = [];
+  for (const item of batchItems) {
+    if (item.state !== 'done') continue;
+    const base = item.file.name.replace(/\.[^.]*$/, '') || 'image';
+    let name = base;
+    for (let n = 2; item.outputs.some(output => used.has(`${name}.${output.extension}`)); n++) {
+      name = `${base}-${n}`;
+    }
+    for (const output of item.outputs) {
+      used.add(`${name}.${output.extension}`);
+      entries.push({ name: `${name}.${output.extension}`, data: output.data });
     }
   }
+  return entries;
+}
+
+batchAddBtn.addEventListener('click', () => {
+  batchInput.click();
+});
+
+batchInput.addEventListener('change', () => {
+  addBatchFiles(batchInput.files);
+  batchInput.value = '';
+});
+
+batchDrop.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  if (!batchAddBtn.disabled) batchDrop.classList.add('batch-drop--active');
+});
+
+batchDrop.addEventListener('dragleave', () => {
+  batchDrop.classList.remove('batch-drop--active');
+});
+
+batchDrop.addEventListener('drop', (e) => {
+  e.preventDefault();
+  batchDrop.classList.remove('batch-drop--active');
+  if (!batchAddBtn.disabled && e.dataTransfer) {
+    addBatchFiles(e.dataTransfer.files);
+  }
+});
+
+batchPngInput.addEventListener('change', updateBatchControls);
+batchSvgInput.addEventListener('change', updateBatchControls);
+
+batchRunBtn.addEventListener('click', runBatch);
+
+batchCancelBtn.addEventListener('click', () => {
+  batchCancelled = true;
+  if (batchJob) batchJob.cancel();
+});
+
+batchZipBtn.addEventListener('click', async () => {
+  batchZipBtn.disabled = true;
+  batchZipBtn.textContent = 'Zipping...';
+  try {
+    downloadBlob(await createZip(batchZipEntries()), 'voronoisaic-batch.zip');
+  } catch (error) {
+    console.error('Error creating ZIP:', error);
+    batchZipBtn.textContent = 'ZIP failed';
+    setTimeout(() => {
+      batchZipBtn.textContent = 'Download ZIP';
+    }, 2000);
+    updateBatchControls();
+    return;
+  }
+  batchZipBtn.textContent = 'Download ZIP';
+  updateBatchControls();
+});
+
+batchClearBtn.addEventListener('click', () => {
+  batchItems = [];
+  batchList.replaceChildren();
+  updateBatchControls();
 });
 
 // Theme toggle functionality
@@ -657,6 +3071,12 @@ window.addEventListener('DOMContentLoaded', () => {
     });
   }
   
+  // Large sources are downscaled as chosen last time, the default image too
+  const savedMaxSize = localStorage.getItem('maxImageSize');
+  if (savedMaxSize && [...maxSizeSelect.options].some(option => option.value === savedMaxSize)) {
+    maxSizeSelect.value = savedMaxSize;
+  }
+  
   // Set default URL in input
   urlInput.value = DEFAULT_IMAGE_URL;
   // Load the default image
@@ -665,4 +3085,32 @@ window.addEventListener('DOMContentLoaded', () => {
   // Initialize slider progress fills
   updateSliderProgress(pointsInput);
   updateSliderProgress(smoothnessInput);
+  updateSliderProgress(jitterInput);
+  updateSliderProgress(poissonAttemptsInput);
+  updateSliderProgress(detailBiasInput);
+  updateSliderProgress(relaxInput);
+  updateSliderProgress(edgeStrengthInput);
+  updateSliderProgress(paletteSizeInput);
+  updateSliderProgress(strokeOpacityInput);
+  updateSliderProgress(outlineAmountInput);
+  updateSliderProgress(exportQualityInput);
+  updateSliderProgress(maskContrastInput);
+  updateSliderProgress(maskThicknessInput);
+  updateSliderProgress(brushSizeInput);
+  updateSliderProgress(animationAmplitudeInput);
+  
+  livePreviewInput.checked = localStorage.getItem('livePreview') === 'on';
+  singleKeyShortcutsInput.checked = localStorage.getItem('singleKeyShortcuts') !== 'off';
+  updateShortcutHints();
+  refreshHistory();
+  
+  // Restore settings from a shared link, then keep the link up to date
+  if (location.hash.length > 1) {
+    applySettings(parseSettings(location.hash.slice(1)));
+  }
+  updateDistributionControls();
+  updateColorControls();
+  updateStrokeControls();
+  updateTessellationControls();
+  updateSettingsHash();
 });
@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+// Voronoisaic Command Line Tool
+// Turns an image into a mosaic with the same settings as the page (or
+// reads a saved mosaic file) and writes it as SVG, PNG and/or JSON, for
+// scripted pipelines:
+//
+//   voronoisaic photo.png -o mosaic.svg -o mosaic.png --seed abc --num-points 3000
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  DEFAULT_SETTINGS,
+  FABRICATION_DEFAULTS,
+  SVG_EXPORT_DEFAULTS,
+  computeLuminance,
+  createMosaicFile,
+  decodePNG,
+  encodePNG,
+  fabricationPlan,
+  generateDXF,
+  generatePlotterSVG,
+  generateSVG,
+  normalizeSettings,
+  parseSettings,
+  processImage,
+  randomSeed,
+  rasterizeMosaic,
+  readMosaicFile,
+  readPreset,
+  restyleMosaic,
+  settingsChange
+} from './index.mjs';
+
+const OUTPUT_FORMATS = ['svg', 'png', 'json', 'dxf'];
+
+// numPoints -> num-points
+const optionName = key => key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+
+const USAGE = `Usage: voronoisaic <input.png> -o <output> [-o <output> ...] [options]
+       voronoisaic <mosaic.json> -o <output> [-o <output> ...] [drawing options]
+
+Outputs are SVG, PNG, JSON (the mosaic file format) or DXF, chosen by the
+file extension. A mosaic file as input is drawn again, with other drawing
+options if given (stroke, background, gap and outline settings).
+
+Options:
+  -o, --output <file>        Write the mosaic to this file (repeatable)
+      --seed <text>          Random seed; a random one is picked (and reported) if omitted
+      --settings <value>     Settings to start from: a preset .json file saved by the
+                             page, or a settings string as in the page URL after #
+      --mask <file>          Grayscale mask image (white asks for the smallest cells)
+      --scale <n>            PNG size relative to the input (default 1)
+      --dpi <n>              Resolution stored in PNG output
+      --precision <n>        Decimals kept in SVG coordinates (default: all; 3 for fabrication)
+      --merge-colors         Merge SVG shapes of the same color into one path
+      --stroke-attributes <inline|group|style>
+                             Where shared SVG stroke attributes are written
+      --metadata             Embed the seed and settings in the SVG
+  -q, --quiet                Do not report progress
+  -h, --help                 Show this help
+
+Fabrication (DXF outputs, and SVG outputs with --plotter):
+      --plotter              Write SVG as unfilled lines for a pen plotter or laser cutter
+      --units <px|mm|in>     Units of the drawing (default px)
+      --size <n>             Width of the drawing in those units (default: one per pixel)
+      --kerf <n>             Cut every cell on its own, grown by half this width
+      --layers <n>           Group the cells into at most n color layers (default 1)
+
+Settings (defaults in brackets; see README.md for what they do):
+${Object.entries(DEFAULT_SETTINGS)
+    .filter(([key]) => key !== 'seed')
+    .map(([key, value]) => `      --${optionName(key)} <${typeof value}>`.padEnd(35) + `[${value === '' ? 'none' : value}]`)
+    .join('\n')}`;
+
+class UsageError extends Error {}
+
+// What setting options accept beyond the type of their default: the choices
+// of the page's menus, and ranges (fractions where the page shows percents)
+const SETTING_CHOICES = {
+  distribution: ['uniform', 'poisson', 'grid', 'hex', 'detail'],
+  colorMode: ['mean', 'median', 'center', 'dominant'],
+  palette: ['none', 'kmeans', 'custom'],
+  tessellation: ['voronoi', 'delaunay', 'wireframe', 'stipple'],
+  outlineMode: ['fixed', 'darken', 'lighten'],
+  lineJoin: ['miter', 'round', 'bevel'],
+  lineCap: ['butt', 'round', 'square']
+};
+const SETTING_RANGES = {
+  numPoints: { min: 1, integer: true },
+  jitter: { min: 0, max: 1 },
+  poissonAttempts: { min: 1, integer: true },
+  detailBias: { min: 0, max: 1 },
+  relaxIterations: { min: 0, integer: true },
+  edgeStrength: { min: 0, max: 1 },
+  smoothness: { min: 1, integer: true },
+  paletteSize: { min: 1, integer: true },
+  lineThickness: { min: 0 },
+  strokeOpacity: { min: 0, max: 1 },
+  outlineAmount: { min: 0, max: 1 },
+  gap: { min: 0 },
+  maskContrast: { min: 1 },
+  maskThickness: { min: 0, max: 1 }
+};
+const COLOR_SETTINGS = ['backgroundColor', 'strokeColor', 'gapColor'];
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const PALETTE_COLOR = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i; // As parsePalette() reads them
+
+const options = {
+  output: { type: 'string', short: 'o', multiple: true },
+  settings: { type: 'string' },
+  mask: { type: 'string' },
+  scale: { type: 'string' },
+  dpi: { type: 'string' },
+  precision: { type: 'string' },
+  'merge-colors': { type: 'boolean' },
+  'stroke-attributes': { type: 'string' },
+  metadata: { type: 'boolean' },
+  plotter: { type: 'boolean' },
+  units: { type: 'string' },
+  size: { type: 'string' },
+  kerf: { type: 'string' },
+  layers: { type: 'string' },
+  quiet: { type: 'boolean', short: 'q' },
+  help: { type: 'boolean', short: 'h' }
+};
+// Every setting takes a value, booleans included (--relax-weighted true)
+for (const key of Object.keys(DEFAULT_SETTINGS)) {
+  options[optionName(key)] = { type: 'string' };
+}
+
+// Positive number option, or fallback when it is not given
+function numberOption(values, name, fallback) {
+  if (values[name] === undefined) return fallback;
+  const number = Number(values[name]);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new UsageError(`--${name} must be a positive number`);
+  }
+  return number;
+}
+
+// Whole number option of at least min, or fallback when it is not given
+function integerOption(values, name, fallback, min = 0) {
+  if (values[name] === undefined) return fallback;
+  const number = Number(values[name]);
+  if (values[name].trim() === '' || !Number.isInteger(number) || number < min) {
+    throw new UsageError(`--${name} must be a whole number of at least ${min}`);
+  }
+  return number;
+}
+
+// Setting options as given, checked so that normalizeSettings() does not
+// quietly drop or replace a value it cannot use
+function settingOverrides(values) {
+  const overrides = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_SETTINGS)) {
+    const value = values[optionName(key)];
+    if (value === undefined) continue;
+    const name = `--${optionName(key)}`;
+
+    if (typeof fallback === 'number') {
+      const number = Number(value);
+      const { min, max = Infinity, integer = false } = SETTING_RANGES[key];
+      if (value.trim() === '' || !Number.isFinite(number) || (integer && !Number.isInteger(number)) ||
+          number < min || number > max) {
+        const kind = integer ? 'a whole number' : 'a number';
+        throw new UsageError(`${name} must be ${kind} ${max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`}`);
+      }
+    } else if (typeof fallback === 'boolean') {
+      if (!['true', 'false', '1', '0'].includes(value)) {
+        throw new UsageError(`${name} must be true or false`);
+      }
+    } else if (SETTING_CHOICES[key] && !SETTING_CHOICES[key].includes(value)) {
+      throw new UsageError(`${name} must be one of ${SETTING_CHOICES[key].join(', ')}`);
+    } else if (COLOR_SETTINGS.includes(key) && !HEX_COLOR.test(value)) {
+      throw new UsageError(`${name} must be a hex color such as #336699`);
+    } else if (key === 'customPalette' && !value.split(/[\s,;]+/).filter(Boolean).every(token => PALETTE_COLOR.test(token))) {
+      throw new UsageError(`${name} must be a list of hex colors such as "#336699,#f0e0d0"`);
+    }
+    overrides[key] = value;
+  }
+  return overrides;
+}
+
+// Decodes an image file to an RGBA buffer. PNG needs nothing else; other
+// formats are decoded by the optional sharp package when it is installed.
+async function readImage(path) {
+  const bytes = await readFile(path);
+  if (bytes[0] === 0x89 && bytes.toString('latin1', 1, 4) === 'PNG') {
+    return decodePNG(bytes);
+  }
+
+  let sharp;
+  try {
+    ({ default: sharp } = await import('sharp'));
+  } catch (error) {
+    throw new Error(`${path} is not a PNG file. Convert it to PNG, or install sharp (npm install sharp) to read other formats.`);
+  }
+  // rotate() with no angle applies the EXIF orientation, as the page does
+  const { data, info } = await sharp(bytes).rotate().ensureAlpha().raw()
+    .toBuffer({ resolveWithObject: true });
+  return { width: info.width, height: info.height, data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length) };
+}
+
+// Any picture becomes a mask { width, height, data } through its luminance
+function maskFromImage(image) {
+  return { width: image.width, height: image.height, data: Uint8Array.from(computeLuminance(image), Math.round) };
+}
+
+// The settings to run with and the mask a preset carries (a PNG data URL)
+async function readSettings(value) {
+  if (value === undefined) return { settings: normalizeSettings({}), mask: null };
+  if (extname(value).toLowerCase() === '.json') {
+    const preset = JSON.parse(await readFile(value, 'utf8'));
+    const mask = preset.mask ? maskFromImage(await decodePNGDataURL(preset.mask)) : null;
+    return { settings: readPreset(preset), mask };
+  }
+  // A settings string, or a whole page URL ending in one
+  return { settings: parseSettings(value.slice(value.indexOf('#') + 1)), mask: null };
+}
+
+async function decodePNGDataURL(url) {
+  const match = /^data:image\/png;base64,(.*)$/.exec(url);
+  if (!match) throw new Error('The preset mask is not a PNG data URL');
+  return decodePNG(Buffer.from(match[1], 'base64'));
+}
+
+// Options of fabricationPlan() and its writers
+function fabricationOptions(values) {
+  return {
+    units: values.units || FABRICATION_DEFAULTS.units,
+    width: numberOption(values, 'size', FABRICATION_DEFAULTS.width),
+    kerf: numberOption(values, 'kerf', FABRICATION_DEFAULTS.kerf),
+    colorLayers: integerOption(values, 'layers', FABRICATION_DEFAULTS.colorLayers, 1),
+    precision: integerOption(values, 'precision', FABRICATION_DEFAULTS.precision)
+  };
+}
+
+async function writeOutput(path, data, values) {
+  const format = extname(path).slice(1).toLowerCase();
+  if (format === 'dxf' || (format === 'svg' && values.plotter)) {
+    const options = fabricationOptions(values);
+    const plan = fabricationPlan(data, options);
+    await writeFile(path, format === 'dxf' ? generateDXF(plan, options) : generatePlotterSVG(plan, options));
+  } else if (format === 'svg') {
+    const svg = generateSVG(data, {
+      precision: integerOption(values, 'precision', SVG_EXPORT_DEFAULTS.precision),
+      mergeColors: Boolean(values['merge-colors']),
+      strokeAttributes: values['stroke-attributes'] || SVG_EXPORT_DEFAULTS.strokeAttributes,
+      metadata: Boolean(values.metadata)
+    });
+    await writeFile(path, svg);
+  } else if (format === 'png') {
+    const { width, height, readRows } = rasterizeMosaic(data, { scale: numberOption(values, 'scale', 1) });
+    const blob = await encodePNG(width, height, readRows, { dpi: numberOption(values, 'dpi', null) });
+    await writeFile(path, new Uint8Array(await blob.arrayBuffer()));
+  } else {
+    await writeFile(path, JSON.stringify(createMosaicFile(data)));
+  }
+}
+
+async function main(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (positionals.length !== 1) throw new UsageError('Expected one input image or mosaic file');
+  const outputs = values.output || [];
+  if (outputs.length === 0) throw new UsageError('Expected at least one --output file');
+  for (const output of outputs) {
+    if (!OUTPUT_FORMATS.includes(extname(output).slice(1).toLowerCase())) {
+      throw new UsageError(`Cannot tell the format of ${output}; use a .svg, .png, .json or .dxf extension`);
+    }
+  }
+  if (values['stroke-attributes'] && !['inline', 'group', 'style'].includes(values['stroke-attributes'])) {
+    throw new UsageError('--stroke-attributes must be inline, group or style');
+  }
+  if (values.units && !['px', 'mm', 'in'].includes(values.units)) {
+    throw new UsageError('--units must be px, mm or in');
+  }
+
+  const overrides = settingOverrides(values);
+  // Output options are checked here too, so a bad value fails before a long
+  // run rather than after it
+  fabricationOptions(values);
+
+  const input = positionals[0];
+  const data = extname(input).toLowerCase() === '.json' ?
+    await redrawMosaic(input, overrides, values) :
+    await makeMosaic(input, overrides, values);
+
+  for (const output of outputs) {
+    await writeOutput(output, data, values);
+  }
+  if (!values.quiet) console.error(`Wrote ${outputs.join(', ')} (${data.cells.length} cells, seed ${data.settings.seed})`);
+}
+
+async function makeMosaic(path, overrides, values) {
+  const imageData = await readImage(path);
+  const preset = await readSettings(values.settings);
+  const settings = normalizeSettings({ ...preset.settings, ...overrides });
+  // A run without a seed still reports the one it used, to be repeatable
+  if (!settings.seed) settings.seed = randomSeed();
+
+  const mask = values.mask ? maskFromImage(await readImage(values.mask)) : preset.mask;
+
+  const showProgress = !values.quiet && process.stderr.isTTY;
+  const data = await processImage(imageData, settings, {
+    onProgress: percent => showProgress && process.stderr.write(`\rProcessing ${percent}%`),
+    mask
+  });
+  if (showProgress) process.stderr.write('\n');
+  return data;
+}
+
+// A mosaic file (see createMosaicFile()) is drawn again as it is, or with
+// other drawing options; everything else would need the source image
+async function redrawMosaic(path, overrides, values) {
+  if (values.settings !== undefined || values.mask !== undefined) {
+    throw new UsageError('--settings and --mask need an input image, not a mosaic file');
+  }
+  const data = readMosaicFile(JSON.parse(await readFile(path, 'utf8')));
+  const settings = normalizeSettings({ ...data.settings, ...overrides });
+  const change = settingsChange(data.settings, settings);
+  if (change === 'geometry' || change === 'color') {
+    throw new UsageError('Only drawing options can change when redrawing a mosaic file; the others need the source image');
+  }
+  return change ? restyleMosaic(data, settings) : data;
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(`voronoisaic: ${error.message}`);
+  if (error instanceof UsageError) console.error('Run voronoisaic --help for usage.');
+  process.exitCode = error instanceof UsageError ? 2 : 1;
+});
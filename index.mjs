@@ -0,0 +1,55 @@
+// Voronoisaic as an ES module for Node: the engine in voronoi.js, which
+// stays a classic script for the page
+import engine from './voronoi.js';
+
+export const {
+  Point,
+  orient2d,
+  incircle,
+  Triangle,
+  Delaunay,
+  VoronoiDiagram,
+  calculateCentroid,
+  getAverageColorAtPoint,
+  computeLuminance,
+  computeGradientMagnitude,
+  detectEdges,
+  generatePoints,
+  estimatePointCount,
+  alignPointsToEdges,
+  maskDensity,
+  parsePalette,
+  computeCellColors,
+  strokeStyleFromSettings,
+  mosaicShapes,
+  SVG_EXPORT_DEFAULTS,
+  generateSVG,
+  FABRICATION_DEFAULTS,
+  fabricationPlan,
+  generatePlotterSVG,
+  generateDXF,
+  rasterizeMosaic,
+  encodePNG,
+  decodePNG,
+  createZip,
+  encodeGIF,
+  createRandom,
+  randomSeed,
+  DEFAULT_SETTINGS,
+  normalizeSettings,
+  serializeSettings,
+  parseSettings,
+  createPreset,
+  readPreset,
+  createMosaicFile,
+  readMosaicFile,
+  settingsChange,
+  restyleMosaic,
+  scaleMosaic,
+  processImage,
+  MosaicEditor,
+  ANIMATION_MODES,
+  MosaicAnimation
+} = engine;
+
+export default engine;
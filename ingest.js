@@ -0,0 +1,201 @@
+// Image Ingestion
+// Turns files, blobs and URLs into images the page can draw: decodes with
+// EXIF orientation applied, downscales past a maximum size and explains
+// failures in messages meant for the user
+
+// ============================================================================
+// Limits
+// ============================================================================
+
+// Largest source the page accepts whatever the max-size option says; bigger
+// canvases fail in some browsers (Safari caps the area at 16.7 megapixels)
+const MAX_IMAGE_DIMENSION = 16384;
+const MAX_IMAGE_AREA = 4096 * 4096;
+
+// File extensions accepted when a file comes without a MIME type (common
+// for HEIC photos copied off a phone)
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'heic', 'heif', 'bmp', 'svg', 'ico'];
+
+// Size to draw an image at: within maxDimension on its longest side (0 for
+// no limit) and always within the canvas limits above
+function fitImageSize(width, height, maxDimension = 0) {
+  let scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(width, height),
+    Math.sqrt(MAX_IMAGE_AREA / (width * height)));
+  if (maxDimension > 0) {
+    scale = Math.min(scale, maxDimension / Math.max(width, height));
+  }
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+    scaled: scale < 1
+  };
+}
+
+// ============================================================================
+// Format Detection
+// ============================================================================
+
+// Format named by the first bytes of a file ('jpeg', 'png', 'gif', 'webp',
+// 'avif', 'heic', 'bmp'), or null when they match none of them. Used to
+// explain a failed decode, since the browser only says that it failed.
+async function sniffImageFormat(blob) {
+  const bytes = new Uint8Array(await blob.slice(0, 16).arrayBuffer());
+  const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpeg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'png';
+  if (ascii(0, 4) === 'GIF8') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (ascii(0, 2) === 'BM') return 'bmp';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'avif';
+    if (['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) return 'heic';
+  }
+  return null;
+}
+
+// Whether a file is worth trying to decode, by MIME type or extension
+function isImageFile(file) {
+  if (file.type) return file.type.startsWith('image/');
+  const extension = (file.name || '').split('.').pop().toLowerCase();
+  return IMAGE_EXTENSIONS.includes(extension);
+}
+
+// ============================================================================
+// Decoding
+// ============================================================================
+
+// Decode with an <img>, which browsers have oriented by EXIF since 2020;
+// a fallback for browsers without createImageBitmap or its options
+function decodeWithElement(blob) {
+  const url = URL.createObjectURL(blob);
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('The image could not be read'));
+    img.src = url;
+  }).finally(() => URL.revokeObjectURL(url));
+}
+
+async function decodeBlob(blob) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(blob, { imageOrientation: 'from-image' });
+    } catch (error) {
+      // Some browsers reject the options, or formats their <img> can show
+    }
+  }
+  return decodeWithElement(blob);
+}
+
+// Message for an image the browser could not decode
+async function decodeFailureMessage(blob) {
+  const format = await sniffImageFormat(blob).catch(() => null);
+  if (format === 'heic') {
+    return 'This browser cannot open HEIC/HEIF photos. Convert the photo to JPEG, or open the page in Safari.';
+  }
+  if (format === 'webp' || format === 'avif') {
+    return `This browser cannot decode ${format.toUpperCase()} images. Try a JPEG or PNG instead.`;
+  }
+  if (format) {
+    // Every browser reads these, so the file itself must be broken
+    return `The ${format.toUpperCase()} file is damaged and could not be decoded.`;
+  }
+  return 'The file is not an image this browser can open.';
+}
+
+// Decode an image file or blob, upright, at most maxDimension pixels on its
+// longest side (0 keeps the original size within the canvas limits).
+// Resolves with { image, width, height, originalWidth, originalHeight },
+// where image can be drawn to a canvas (an ImageBitmap, <img> or canvas).
+async function decodeImage(blob, { maxDimension = 0 } = {}) {
+  let decoded;
+  try {
+    decoded = await decodeBlob(blob);
+  } catch (error) {
+    throw new Error(await decodeFailureMessage(blob));
+  }
+
+  const originalWidth = decoded.naturalWidth || decoded.width;
+  const originalHeight = decoded.naturalHeight || decoded.height;
+  if (!originalWidth || !originalHeight) {
+    throw new Error('The image is empty');
+  }
+
+  const size = fitImageSize(originalWidth, originalHeight, maxDimension);
+  let image = decoded;
+  if (size.scaled) {
+    image = document.createElement('canvas');
+    image.width = size.width;
+    image.height = size.height;
+    const imageCtx = image.getContext('2d');
+    imageCtx.imageSmoothingQuality = 'high';
+    imageCtx.drawImage(decoded, 0, 0, size.width, size.height);
+    if (decoded.close) decoded.close();
+  }
+
+  return { image, width: size.width, height: size.height, originalWidth, originalHeight };
+}
+
+// ============================================================================
+// URLs
+// ============================================================================
+
+// Download an image for decodeImage(). A fetch that fails without a response
+// is nearly always a server that does not allow cross-origin reads (CORS),
+// which the browser does not report any more precisely.
+async function fetchImage(url) {
+  let parsed;
+  try {
+    parsed = new URL(url, location.href);
+  } catch (error) {
+    throw new Error('That is not a valid URL.');
+  }
+  if (!['http:', 'https:', 'data:', 'blob:'].includes(parsed.protocol)) {
+    throw new Error('Only http(s), data: and blob: image URLs can be loaded.');
+  }
+
+  let response;
+  try {
+    response = await fetch(parsed.href, { mode: 'cors' });
+  } catch (error) {
+    const host = parsed.host || 'the server';
+    throw new Error(`The image could not be downloaded. Either ${host} does not allow other sites to use its images (CORS) ` +
+      'or it could not be reached. Save the image and upload the file instead.');
+  }
+  if (!response.ok) {
+    throw new Error(`The server answered ${response.status}${response.statusText ? ` ${response.statusText}` : ''} for this URL.`);
+  }
+
+  const type = response.headers.get('Content-Type') || '';
+  if (type && !type.startsWith('image/') && !type.startsWith('application/octet-stream')) {
+    throw new Error(`The URL points to ${type.split(';')[0]}, not an image. Use the address of the image itself.`);
+  }
+  return response.blob();
+}
+
+// ============================================================================
+// Drag and Drop / Clipboard
+// ============================================================================
+
+// First image file of a drop or paste, or null
+function imageFileFromTransfer(dataTransfer) {
+  if (!dataTransfer) return null;
+  for (const file of dataTransfer.files || []) {
+    if (isImageFile(file)) return file;
+  }
+  // Some browsers list pasted images only as items
+  for (const item of dataTransfer.items || []) {
+    if (item.kind === 'file' && item.type.startsWith('image/')) return item.getAsFile();
+  }
+  return null;
+}
+
+// URL of an image dragged in from another page, or null
+function imageURLFromTransfer(dataTransfer) {
+  if (!dataTransfer) return null;
+  const list = dataTransfer.getData('text/uri-list') || dataTransfer.getData('text/plain') || '';
+  const url = list.split(/\r?\n/).find(line => line && !line.startsWith('#'));
+  return url && /^(https?|data):/i.test(url.trim()) ? url.trim() : null;
+}
@@ -0,0 +1,162 @@
+// Render History Storage
+// Past renders kept in IndexedDB across sessions: a small record per render
+// for the gallery, the mosaic data to reopen it, and the source images the
+// renders were made from (stored once, shared by every render of them)
+
+// ============================================================================
+// Database
+// ============================================================================
+
+const HISTORY_DB_NAME = 'voronoisaic';
+const HISTORY_DB_VERSION = 1;
+
+// Renders kept; saving more deletes the oldest ones
+const HISTORY_LIMIT = 100;
+
+// Object stores:
+//   renders  { id, name, createdAt, sourceId, width, height, cellCount,
+//              settings, thumbnail }  (indexed by createdAt and sourceId)
+//   mosaics  { id, data }             the render's mosaic, keyed by its id
+//   sources  { id, blob, name }       PNG of the image a render was made from
+let historyDatabase = null;
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+  });
+}
+
+// The database, opened (and created or upgraded) on first use
+function openHistoryDatabase() {
+  if (!historyDatabase) {
+    historyDatabase = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser cannot store history'));
+        return;
+      }
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const renders = db.createObjectStore('renders', { keyPath: 'id', autoIncrement: true });
+        renders.createIndex('createdAt', 'createdAt');
+        renders.createIndex('sourceId', 'sourceId');
+        db.createObjectStore('mosaics', { keyPath: 'id' });
+        db.createObjectStore('sources', { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // A failed open (e.g. storage disabled) is retried next time
+    historyDatabase.catch(() => { historyDatabase = null; });
+  }
+  return historyDatabase;
+}
+
+// ============================================================================
+// Sources
+// ============================================================================
+
+// Store a source image; resolves with its id
+async function saveSource(blob, name) {
+  const db = await openHistoryDatabase();
+  const transaction = db.transaction('sources', 'readwrite');
+  const id = await requestResult(transaction.objectStore('sources').add({ blob, name }));
+  await transactionDone(transaction);
+  return id;
+}
+
+// { id, blob, name } of a stored source, or undefined
+async function loadSource(id) {
+  const db = await openHistoryDatabase();
+  return requestResult(db.transaction('sources').objectStore('sources').get(id));
+}
+
+// Whether a source is still stored; deleting its last render deletes it
+async function hasSource(id) {
+  const db = await openHistoryDatabase();
+  return (await requestResult(db.transaction('sources').objectStore('sources').count(id))) > 0;
+}
+
+// ============================================================================
+// Renders
+// ============================================================================
+
+// Store a render ({ name, sourceId, settings, thumbnail } plus its mosaic
+// data); resolves with the gallery record, which has the new id
+async function saveRender({ name, sourceId, settings, thumbnail, data }) {
+  const db = await openHistoryDatabase();
+  const record = {
+    name,
+    createdAt: Date.now(),
+    sourceId,
+    width: data.width,
+    height: data.height,
+    cellCount: data.cells.length,
+    settings,
+    thumbnail
+  };
+
+  const transaction = db.transaction(['renders', 'mosaics'], 'readwrite');
+  record.id = await requestResult(transaction.objectStore('renders').add(record));
+  transaction.objectStore('mosaics').put({ id: record.id, data });
+  await transactionDone(transaction);
+
+  await trimRenders();
+  return record;
+}
+
+// Gallery records, newest first
+async function listRenders() {
+  const db = await openHistoryDatabase();
+  const index = db.transaction('renders').objectStore('renders').index('createdAt');
+  const records = await requestResult(index.getAll());
+  return records.reverse();
+}
+
+// Mosaic data of a render, or undefined
+async function loadRenderData(id) {
+  const db = await openHistoryDatabase();
+  const record = await requestResult(db.transaction('mosaics').objectStore('mosaics').get(id));
+  return record && record.data;
+}
+
+async function renameRender(id, name) {
+  const db = await openHistoryDatabase();
+  const transaction = db.transaction('renders', 'readwrite');
+  const store = transaction.objectStore('renders');
+  const record = await requestResult(store.get(id));
+  if (record) store.put({ ...record, name });
+  await transactionDone(transaction);
+}
+
+// Delete a render, and its source once no render uses it
+async function deleteRender(id) {
+  const db = await openHistoryDatabase();
+  const transaction = db.transaction(['renders', 'mosaics', 'sources'], 'readwrite');
+  const renders = transaction.objectStore('renders');
+  const record = await requestResult(renders.get(id));
+  if (record) {
+    renders.delete(id);
+    transaction.objectStore('mosaics').delete(id);
+    const users = await requestResult(renders.index('sourceId').count(record.sourceId));
+    if (users === 0) transaction.objectStore('sources').delete(record.sourceId);
+  }
+  await transactionDone(transaction);
+}
+
+// Delete the oldest renders beyond HISTORY_LIMIT
+async function trimRenders() {
+  const records = await listRenders();
+  for (const record of records.slice(HISTORY_LIMIT)) {
+    await deleteRender(record.id);
+  }
+}
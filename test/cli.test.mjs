@@ -0,0 +1,148 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { decodePNG, encodePNG, fabricationPlan, generateDXF, generatePlotterSVG, generateSVG, normalizeSettings, processImage } from '../index.mjs';
+import { sceneImage } from './fixtures.mjs';
+
+const CLI = fileURLToPath(new URL('../cli.mjs', import.meta.url));
+const image = sceneImage(48, 32);
+let dir;
+
+// Resolves with { code, stdout, stderr } however the tool exits
+function run(...args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { cwd: dir }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+before(async () => {
+  dir = mkdtempSync(join(tmpdir(), 'voronoisaic-'));
+  const png = await encodePNG(48, 32, async (y, count) => image.data.subarray(y * 48 * 4, (y + count) * 48 * 4));
+  writeFileSync(join(dir, 'input.png'), new Uint8Array(await png.arrayBuffer()));
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test('writes SVG, PNG and JSON matching the engine', async () => {
+  const result = await run('input.png', '-o', 'out.svg', '-o', 'out.png', '-o', 'out.json',
+    '--seed', 'cli', '--num-points', '40', '--color-mode', 'median', '--relax-weighted', 'true', '--scale', '2');
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stderr, /40 cells, seed cli/);
+
+  const settings = normalizeSettings({ seed: 'cli', numPoints: 40, colorMode: 'median', relaxWeighted: true });
+  const data = await processImage(image, settings);
+  assert.equal(readFileSync(join(dir, 'out.svg'), 'utf8'), generateSVG(data));
+
+  const json = JSON.parse(readFileSync(join(dir, 'out.json'), 'utf8'));
+  assert.equal(json.format, 'voronoisaic-mosaic');
+  assert.deepEqual(json.settings, settings);
+  assert.equal(json.cells.length, 40);
+
+  const png = await decodePNG(readFileSync(join(dir, 'out.png')));
+  assert.deepEqual([png.width, png.height], [96, 64]);
+});
+
+test('--settings takes a page URL and options override it', async () => {
+  const result = await run('input.png', '-o', 'url.json', '-q',
+    '--settings', 'https://example.com/#seed=url&numPoints=30&tessellation=delaunay', '--num-points', '25');
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(result.stderr, '');
+  const { settings } = JSON.parse(readFileSync(join(dir, 'url.json'), 'utf8'));
+  assert.equal(settings.seed, 'url');
+  assert.equal(settings.numPoints, 25);
+  assert.equal(settings.tessellation, 'delaunay');
+});
+
+test('picks and reports a seed when none is given', async () => {
+  const result = await run('input.png', '-o', 'seedless.json', '--num-points', '10');
+  assert.equal(result.code, 0, result.stderr);
+  const { settings } = JSON.parse(readFileSync(join(dir, 'seedless.json'), 'utf8'));
+  assert.ok(settings.seed);
+  assert.match(result.stderr, new RegExp(`seed ${settings.seed}`));
+});
+
+test('redraws a mosaic file with other drawing options', async () => {
+  const made = await run('input.png', '-o', 'mosaic.json', '-q', '--seed', 'redraw', '--num-points', '30');
+  assert.equal(made.code, 0, made.stderr);
+
+  const result = await run('mosaic.json', '-o', 'redrawn.svg', '-o', 'redrawn.json', '-q', '--stroke-color', '#ff0000');
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(readFileSync(join(dir, 'redrawn.svg'), 'utf8'), /stroke="rgb\(255,0,0\)"/);
+  const json = JSON.parse(readFileSync(join(dir, 'redrawn.json'), 'utf8'));
+  assert.equal(json.settings.strokeColor, '#ff0000');
+  assert.deepEqual(json.cells, JSON.parse(readFileSync(join(dir, 'mosaic.json'), 'utf8')).cells);
+
+  // Point and color settings would need the source image
+  const geometry = await run('mosaic.json', '-o', 'other.svg', '--num-points', '50');
+  assert.equal(geometry.code, 2);
+  assert.match(geometry.stderr, /source image/);
+  assert.equal((await run('mosaic.json', '-o', 'other.svg', '--mask', 'input.png')).code, 2);
+});
+
+test('writes DXF and plotter SVG for fabrication', async () => {
+  const result = await run('input.png', '-o', 'cut.dxf', '-o', 'plot.svg', '-q', '--plotter',
+    '--seed', 'fab', '--num-points', '30', '--units', 'mm', '--size', '96', '--layers', '3');
+  assert.equal(result.code, 0, result.stderr);
+
+  const settings = normalizeSettings({ seed: 'fab', numPoints: 30 });
+  const plan = fabricationPlan(await processImage(image, settings), { units: 'mm', width: 96, colorLayers: 3 });
+  assert.equal(readFileSync(join(dir, 'cut.dxf'), 'utf8'), generateDXF(plan));
+  assert.equal(readFileSync(join(dir, 'plot.svg'), 'utf8'), generatePlotterSVG(plan));
+
+  assert.equal((await run('input.png', '-o', 'cut.dxf', '--units', 'cm')).code, 2);
+  for (const layers of ['0', '0.3', '2.6', 'many']) {
+    assert.equal((await run('input.png', '-o', 'cut.dxf', '--layers', layers)).code, 2, layers);
+  }
+});
+
+test('usage errors exit with 2 and failures with 1', async () => {
+  assert.equal((await run('input.png')).code, 2);
+  assert.equal((await run('input.png', '-o', 'out.txt')).code, 2);
+  assert.equal((await run('input.png', '-o', 'out.svg', '--no-such-option')).code, 2);
+
+  // A broken JPEG fails whether or not sharp is installed to read it
+  writeFileSync(join(dir, 'photo.jpg'), Buffer.from([0xff, 0xd8, 0xff, 0xe0]));
+  assert.equal((await run('photo.jpg', '-o', 'out.svg')).code, 1);
+
+  const missing = await run('missing.png', '-o', 'out.svg');
+  assert.equal(missing.code, 1);
+  assert.match(missing.stderr, /^voronoisaic: /);
+
+  // Scrambled compressed data fails with one line, not a crash after it
+  const png = readFileSync(join(dir, 'input.png'));
+  const idat = png.indexOf('IDAT') + 4;
+  for (let i = idat + 2; i < idat + 40; i++) png[i] ^= 0x5a;
+  writeFileSync(join(dir, 'damaged.png'), png);
+  const damaged = await run('damaged.png', '-o', 'out.svg', '-q');
+  assert.equal(damaged.code, 1);
+  assert.equal(damaged.stderr, 'voronoisaic: The PNG file is damaged\n');
+});
+
+test('settings and precision the tool cannot use are usage errors', async () => {
+  const invalid = [
+    ['--num-points', 'abc'], ['--num-points', '0'], ['--num-points', '2.5'], ['--distribution', 'bogus'],
+    ['--jitter', '2'], ['--relax-weighted', 'yes'], ['--stroke-color', 'red'], ['--custom-palette', '#123,zz'],
+    ['--precision', 'abc'], ['--precision=-1'], ['--precision', '1.5']
+  ];
+  for (const args of invalid) {
+    const result = await run('input.png', '-o', 'invalid.svg', ...args);
+    assert.equal(result.code, 2, args.join(' '));
+    assert.match(result.stderr, /^voronoisaic: --/, args.join(' '));
+  }
+  assert.equal((await run('input.png', '-o', 'valid.svg', '-q', '--num-points', '20', '--jitter', '0.25',
+    '--relax-weighted', '1', '--custom-palette', '#123 abcdef', '--precision', '0')).code, 0);
+});
+
+test('--help lists every setting', async () => {
+  const result = await run('--help');
+  assert.equal(result.code, 0);
+  for (const option of ['--num-points', '--edge-strength', '--tessellation', '--mask-thickness']) {
+    assert.ok(result.stdout.includes(option), option);
+  }
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  VoronoiDiagram,
+  computeCellColors,
+  getAverageColorAtPoint,
+  normalizeSettings,
+  parsePalette,
+  processImage
+} from '../index.mjs';
+import { latticePoints, randomPoints, syntheticImage } from './fixtures.mjs';
+
+const COLOR_MODES = ['mean', 'median', 'center', 'dominant'];
+
+// Left half red, right half blue
+const split = syntheticImage(80, 40, x => (x < 40 ? [200, 30, 30] : [30, 30, 200]));
+
+async function cellsOf(points, width, height) {
+  const voronoi = await new VoronoiDiagram(width, height, points).generate();
+  return Array.from(voronoi.cells.values());
+}
+
+test('getAverageColorAtPoint averages a square clamped to the image', () => {
+  const gradient = syntheticImage(10, 10, x => [x * 10, 0, 0]);
+  assert.deepEqual(getAverageColorAtPoint(gradient, 5, 5, 3), { r: 50, g: 0, b: 0 });
+  assert.deepEqual(getAverageColorAtPoint(gradient, 5.9, 5.2, 1), { r: 50, g: 0, b: 0 });
+  // Only columns 0 and 1 fall inside the image at the left edge
+  assert.deepEqual(getAverageColorAtPoint(gradient, 0, 0, 3), { r: 5, g: 0, b: 0 });
+  assert.deepEqual(getAverageColorAtPoint(gradient, -10, -10, 3), { r: 0, g: 0, b: 0 });
+});
+
+test('a solid image colors every cell with its color in every mode', async () => {
+  const solid = syntheticImage(60, 40, () => [12, 34, 56]);
+  const cells = await cellsOf(randomPoints(40, 60, 40, 'solid'), 60, 40);
+  for (const colorMode of COLOR_MODES) {
+    const { colors } = await computeCellColors(cells, solid, normalizeSettings({ colorMode }));
+    assert.equal(colors.length, cells.length);
+    for (const color of colors) assert.deepEqual(color, { r: 12, g: 34, b: 56 }, colorMode);
+  }
+});
+
+test('cells inside one half take that half\'s color', async () => {
+  // A lattice whose cell borders fall on the split
+  const cells = await cellsOf(latticePoints(8, 4, 10), 80, 40);
+  for (const colorMode of COLOR_MODES) {
+    const { colors } = await computeCellColors(cells, split, normalizeSettings({ colorMode }));
+    cells.forEach((cell, i) => {
+      const left = cell.every(p => p.x <= 40);
+      assert.deepEqual(colors[i], left ? { r: 200, g: 30, b: 30 } : { r: 30, g: 30, b: 200 }, colorMode);
+    });
+  }
+});
+
+test('mean, median and dominant colors of a cell straddling the split', async () => {
+  // One cell, a 30 x 40 rectangle: 20 columns red, 10 blue
+  const cell = [{ x: 20, y: 0 }, { x: 50, y: 0 }, { x: 50, y: 40 }, { x: 20, y: 40 }];
+  const colorOf = async colorMode =>
+    (await computeCellColors([cell], split, normalizeSettings({ colorMode }))).colors[0];
+  assert.deepEqual(await colorOf('mean'), { r: 143, g: 30, b: 87 });
+  assert.deepEqual(await colorOf('median'), { r: 200, g: 30, b: 30 });
+  assert.deepEqual(await colorOf('dominant'), { r: 200, g: 30, b: 30 });
+  // The centroid (35, 20) is in the red half
+  assert.deepEqual(await colorOf('center'), { r: 200, g: 30, b: 30 });
+});
+
+test('colors snap to a custom palette', async () => {
+  const gradient = syntheticImage(64, 32, x => [x * 4, x * 4, x * 4]);
+  const cells = await cellsOf(randomPoints(30, 64, 32, 'palette'), 64, 32);
+  const settings = normalizeSettings({ palette: 'custom', customPalette: '#000000, #ffffff' });
+  const { colors, palette } = await computeCellColors(cells, gradient, settings);
+  assert.deepEqual(palette, parsePalette('#000000, #ffffff'));
+  for (const color of colors) {
+    assert.ok(color.r === color.g && color.g === color.b && (color.r === 0 || color.r === 255));
+  }
+  assert.ok(colors.some(c => c.r === 0) && colors.some(c => c.r === 255));
+});
+
+test('a k-means palette has at most paletteSize colors', async () => {
+  const cells = await cellsOf(randomPoints(60, 80, 40, 'kmeans'), 80, 40);
+  const gradient = syntheticImage(80, 40, (x, y) => [x * 3, y * 6, 128]);
+  const settings = normalizeSettings({ seed: 'k', palette: 'kmeans', paletteSize: 4 });
+  const { colors, palette } = await computeCellColors(cells, gradient, settings);
+  assert.ok(palette.length <= 4);
+  const distinct = new Set(colors.map(c => `${c.r},${c.g},${c.b}`));
+  assert.ok(distinct.size <= 4);
+  // Fitting the palette is seeded, so it repeats
+  assert.deepEqual((await computeCellColors(cells, gradient, settings)).palette, palette);
+});
+
+test('processImage colors a two-tone image with its two colors', async () => {
+  const data = await processImage(split, normalizeSettings({ seed: 'two-tone', numPoints: 60, distribution: 'grid', jitter: 0 }));
+  const colors = new Set(data.cells.map(cell => `${cell.color.r},${cell.color.g},${cell.color.b}`));
+  assert.ok(colors.has('200,30,30') && colors.has('30,30,200'));
+  for (const cell of data.cells) {
+    if (cell.points.every(p => p.x <= 40)) assert.deepEqual(cell.color, { r: 200, g: 30, b: 30 });
+    if (cell.points.every(p => p.x >= 40)) assert.deepEqual(cell.color, { r: 30, g: 30, b: 200 });
+  }
+});
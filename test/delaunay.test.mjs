@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Delaunay, Point, Triangle, VoronoiDiagram, incircle, orient2d } from '../index.mjs';
+import { assertDelaunay, assertTiling, latticePoints, randomPoints, toCoords } from './fixtures.mjs';
+
+test('predicates are exact on nearly collinear and cocircular input', () => {
+  // Rounding would give these tiny determinants arbitrary signs
+  assert.equal(orient2d(0, 0, 1, 1, 2, 2), 0);
+  assert.equal(orient2d(0.1, 0.1, 0.2, 0.2, 0.3, 0.3), 0);
+  assert.ok(orient2d(0, 0, 1, 0, 0.5, 1e-300) > 0);
+  assert.ok(orient2d(0, 0, 1, 0, 0.5, -1e-300) < 0);
+  assert.equal(incircle(0, 0, 1, 0, 1, 1, 0, 1), 0);
+  assert.ok(incircle(0, 0, 1, 0, 1, 1, 0.5, 0.5) > 0);
+  assert.ok(incircle(0, 0, 1, 0, 1, 1, 2, 2) < 0);
+});
+
+test('Triangle.containsPoint uses the circumcircle exactly', () => {
+  const triangle = new Triangle(new Point(0, 0), new Point(4, 0), new Point(0, 4));
+  assert.deepEqual([triangle.circumcenter.x, triangle.circumcenter.y], [2, 2]);
+  assert.equal(triangle.radiusSquared, 8);
+  assert.ok(triangle.containsPoint(new Point(1, 1)));
+  assert.ok(triangle.containsPoint(new Point(4, 4)), 'points on the circle count as inside');
+  assert.ok(!triangle.containsPoint(new Point(4.000001, 4)));
+  assert.ok(!new Triangle(new Point(0, 0), new Point(1, 1), new Point(2, 2)).containsPoint(new Point(1, 1)));
+});
+
+test('random points satisfy the empty-circumcircle property', () => {
+  for (const seed of ['a', 'b', 'c']) {
+    const delaunay = new Delaunay(toCoords(randomPoints(300, 500, 400, seed)));
+    assertDelaunay(delaunay);
+    // Euler: a triangulation of n points with h on the hull has 2n - 2 - h triangles
+    assert.equal(delaunay.triangles.length / 3, 2 * 300 - 2 - delaunay.hull.length);
+  }
+});
+
+test('cocircular lattices triangulate without overlaps', () => {
+  const points = latticePoints(12, 9, 10);
+  const delaunay = new Delaunay(toCoords(points));
+  assertDelaunay(delaunay);
+  assert.equal(delaunay.hull.length, 2 * (12 + 9) - 4);
+  assert.equal(delaunay.triangles.length / 3, 2 * points.length - 2 - delaunay.hull.length);
+});
+
+test('duplicate points are skipped', () => {
+  const points = randomPoints(50, 100, 100, 'dup');
+  const withDuplicates = [...points, ...points.slice(0, 10).map(p => new Point(p.x, p.y))];
+  const delaunay = new Delaunay(toCoords(withDuplicates));
+  assertDelaunay(delaunay);
+  assert.equal(delaunay.triangles.length / 3, 2 * 50 - 2 - delaunay.hull.length);
+  // One copy of each point is used, either one
+  const used = new Set(delaunay.triangles);
+  const positions = new Set(Array.from(used, i => `${withDuplicates[i].x},${withDuplicates[i].y}`));
+  assert.equal(used.size, 50);
+  assert.equal(positions.size, 50);
+});
+
+test('collinear points give no triangles and an ordered hull', () => {
+  const points = [3, 0, 4, 1, 2].map(i => new Point(10 + i * 5, 20));
+  const delaunay = new Delaunay(toCoords(points));
+  assert.equal(delaunay.triangles.length, 0);
+  assert.deepEqual(Array.from(delaunay.hull, i => points[i].x), [10, 15, 20, 25, 30]);
+
+  const diagonal = new Delaunay(toCoords([new Point(0, 0), new Point(2, 2), new Point(1, 1), new Point(1, 1)]));
+  assert.equal(diagonal.triangles.length, 0);
+  assert.equal(diagonal.hull.length, 3);
+});
+
+test('a few points on a line plus one off it', () => {
+  const points = [...[0, 1, 2, 3, 4].map(i => new Point(i * 10, 0)), new Point(20, 10)];
+  const delaunay = new Delaunay(toCoords(points));
+  assertDelaunay(delaunay);
+  assert.equal(delaunay.triangles.length / 3, 4);
+});
+
+test('Voronoi cells tile the image for random points', async () => {
+  const voronoi = await new VoronoiDiagram(200, 150, randomPoints(150, 200, 150, 'tile')).generate();
+  assert.equal(voronoi.cells.size, 150);
+  assertTiling(voronoi);
+});
+
+test('Voronoi cells tile the image for a lattice', async () => {
+  const voronoi = await new VoronoiDiagram(120, 90, latticePoints(12, 9, 10)).generate();
+  assertTiling(voronoi);
+  // Every cell is the 10 x 10 square around its seed
+  for (const cell of voronoi.cells.values()) {
+    const xs = cell.map(p => p.x);
+    const ys = cell.map(p => p.y);
+    assert.ok(Math.abs(Math.max(...xs) - Math.min(...xs) - 10) < 1e-9);
+    assert.ok(Math.abs(Math.max(...ys) - Math.min(...ys) - 10) < 1e-9);
+  }
+});
+
+test('duplicate seeds get empty cells and the rest still tile', async () => {
+  const points = randomPoints(40, 100, 80, 'dup-cells');
+  const duplicate = new Point(points[5].x, points[5].y);
+  const voronoi = await new VoronoiDiagram(100, 80, [...points, duplicate]).generate();
+  const empty = Array.from(voronoi.cells.values()).filter(cell => cell.length < 3);
+  assert.equal(empty.length, 1);
+  assertTiling(voronoi);
+});
+
+test('collinear seeds split the image into strips', async () => {
+  const points = [1, 3, 0, 2].map(i => new Point(10 + i * 20, 30));
+  const voronoi = await new VoronoiDiagram(80, 60, points).generate();
+  assertTiling(voronoi);
+  const widths = points.map(p => {
+    const xs = voronoi.cells.get(p).map(q => q.x);
+    return Math.max(...xs) - Math.min(...xs);
+  });
+  assert.deepEqual(widths, [20, 20, 20, 20]);
+});
+
+test('a single seed owns the whole image', async () => {
+  const seed = new Point(5, 5);
+  const voronoi = await new VoronoiDiagram(30, 20, [seed]).generate();
+  assert.equal(voronoi.cells.get(seed).length, 4);
+  assertTiling(voronoi);
+});
+
+test('seeds on the image border and corners', async () => {
+  const points = [
+    new Point(0, 0), new Point(50, 0), new Point(100, 0),
+    new Point(0, 40), new Point(100, 40),
+    new Point(0, 80), new Point(50, 80), new Point(100, 80),
+    new Point(50, 40)
+  ];
+  const voronoi = await new VoronoiDiagram(100, 80, points).generate();
+  assertTiling(voronoi);
+});
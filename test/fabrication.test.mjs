@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fabricationPlan, generateDXF, generatePlotterSVG, normalizeSettings, processImage, strokeStyleFromSettings } from '../index.mjs';
+import { sceneImage } from './fixtures.mjs';
+
+// 3x3 squares of 10 pixels, colored by column
+function grid(settings = {}) {
+  const colors = [{ r: 250, g: 250, b: 250 }, { r: 200, g: 0, b: 0 }, { r: 0, g: 0, b: 0 }];
+  const cells = [];
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      const x = col * 10;
+      const y = row * 10;
+      cells.push({
+        seed: { x: x + 5, y: y + 5 },
+        points: [{ x, y }, { x: x + 10, y }, { x: x + 10, y: y + 10 }, { x, y: y + 10 }],
+        color: colors[col],
+        lineThickness: 0
+      });
+    }
+  }
+  return { width: 30, height: 30, style: strokeStyleFromSettings(normalizeSettings(settings)), cells };
+}
+
+const perimeter = points => points.reduce((sum, p, i) => {
+  const q = points[(i + 1) % points.length];
+  return sum + Math.hypot(q.x - p.x, q.y - p.y);
+}, 0);
+
+// Every segment drawn, as a sorted list of normalized keys
+function segments(plan) {
+  const keys = [];
+  for (const layer of plan.layers) {
+    for (const { points, closed } of layer.paths) {
+      const count = closed ? points.length : points.length - 1;
+      for (let i = 0; i < count; i++) {
+        const ends = [points[i], points[(i + 1) % points.length]].map(p => `${p.x.toFixed(6)},${p.y.toFixed(6)}`).sort();
+        keys.push(ends.join(' '));
+      }
+    }
+  }
+  return keys.sort();
+}
+
+test('shared borders are drawn once', async () => {
+  const plan = fabricationPlan(grid());
+  assert.equal(plan.layers.length, 1);
+  assert.equal(plan.cutLength, 240);
+  const keys = segments(plan);
+  assert.equal(keys.length, 24);
+  assert.equal(new Set(keys).size, 24);
+
+  // In a real mosaic every inner border is shared by two cells
+  const data = await processImage(sceneImage(), normalizeSettings({ seed: 'fab', numPoints: 120 }));
+  const cellBorders = data.cells.reduce((sum, cell) => sum + perimeter(cell.points), 0);
+  const { cutLength } = fabricationPlan(data);
+  assert.ok(Math.abs(cutLength - (cellBorders + 2 * (data.width + data.height)) / 2) < 1e-6, `${cutLength}`);
+});
+
+test('kerf grows every piece into its own closed outline', () => {
+  const plan = fabricationPlan(grid(), { kerf: 2 });
+  const paths = plan.layers[0].paths;
+  assert.equal(paths.length, 9);
+  for (const path of paths) {
+    assert.ok(path.closed);
+    const xs = path.points.map(p => p.x);
+    const ys = path.points.map(p => p.y);
+    assert.equal(path.points.length, 4);
+    assert.equal(Math.max(...xs) - Math.min(...xs), 12);
+    assert.equal(Math.max(...ys) - Math.min(...ys), 12);
+  }
+  assert.equal(plan.cutLength, 9 * 48);
+});
+
+test('pieces are grouped into color layers, lightest first', async () => {
+  const plan = fabricationPlan(grid(), { colorLayers: 8 });
+  assert.deepEqual(plan.layers.map(layer => layer.color), [{ r: 250, g: 250, b: 250 }, { r: 200, g: 0, b: 0 }, { r: 0, g: 0, b: 0 }]);
+  assert.deepEqual(plan.layers.map(layer => layer.pieceCount), [3, 3, 3]);
+  // Each column is outlined on its own layer: 3 squares with 2 shared sides
+  assert.equal(plan.cutLength, 3 * 100);
+
+  const data = await processImage(sceneImage(), normalizeSettings({ seed: 'fab', numPoints: 150 }));
+  const reduced = fabricationPlan(data, { colorLayers: 4 });
+  assert.ok(reduced.layers.length <= 4 && reduced.layers.length > 1);
+  assert.equal(reduced.layers.reduce((sum, layer) => sum + layer.pieceCount, 0), data.cells.length);
+  const lightness = ({ r, g, b }) => 0.299 * r + 0.587 * g + 0.114 * b;
+  for (let i = 1; i < reduced.layers.length; i++) {
+    assert.ok(lightness(reduced.layers[i - 1].color) >= lightness(reduced.layers[i].color));
+  }
+});
+
+test('pen ordering shortens travel without changing what is drawn', async () => {
+  const data = await processImage(sceneImage(), normalizeSettings({ seed: 'order', numPoints: 300 }));
+  for (const options of [{}, { kerf: 0.5 }]) {
+    const ordered = fabricationPlan(data, options);
+    const unordered = fabricationPlan(data, { ...options, penOrder: false });
+    assert.ok(ordered.travel < unordered.travel / 2, `${ordered.travel} vs ${unordered.travel}`);
+    assert.ok(Math.abs(ordered.cutLength - unordered.cutLength) < 1e-6);
+    assert.deepEqual(segments(ordered), segments(unordered));
+  }
+});
+
+test('plotter SVG and DXF carry the layers in physical units', () => {
+  const plan = fabricationPlan(grid(), { colorLayers: 3, units: 'mm', width: 300 });
+  assert.deepEqual([plan.width, plan.height], [300, 300]);
+
+  const svg = generatePlotterSVG(plan);
+  assert.match(svg, /width="300mm" height="300mm" viewBox="0 0 300 300"/);
+  assert.equal(svg.match(/inkscape:groupmode="layer"/g).length, 3);
+  assert.match(svg, /inkscape:label="2_c80000" fill="none" stroke="#c80000"/);
+  const pathCount = plan.layers.reduce((sum, layer) => sum + layer.paths.length, 0);
+  assert.equal(svg.match(/<path /g).length, pathCount);
+  assert.doesNotMatch(svg, /fill="(?!none)/);
+
+  const dxf = generateDXF(plan).split('\n');
+  // Group code and value following a header variable
+  const header = name => dxf.slice(dxf.indexOf(name) + 1, dxf.indexOf(name) + 3);
+  assert.deepEqual(header('$INSUNITS'), ['70', '4']);
+  assert.deepEqual(header('$EXTMAX'), ['10', '300']);
+  assert.equal(dxf.filter(line => line === 'POLYLINE').length, pathCount);
+  assert.equal(dxf.filter((line, i) => line === 'LAYER' && dxf[i - 1] === '0').length, 3);
+  assert.equal(dxf.at(-2), 'EOF');
+
+  // DXF's y axis points up: the first vertex of each polyline is flipped
+  const firstPath = plan.layers[0].paths[0];
+  const vertex = dxf.indexOf('VERTEX');
+  assert.equal(Number(dxf[vertex + 4]), firstPath.points[0].x);
+  assert.equal(Number(dxf[vertex + 6]), 300 - firstPath.points[0].y);
+});
+
+test('the DXF header records the chosen unit', () => {
+  const expected = {
+    px: { $INSUNITS: '0', $MEASUREMENT: undefined },
+    mm: { $INSUNITS: '4', $MEASUREMENT: '1' },
+    in: { $INSUNITS: '1', $MEASUREMENT: '0' }
+  };
+  for (const [units, variables] of Object.entries(expected)) {
+    const dxf = generateDXF(fabricationPlan(grid(), { units })).split('\n');
+    const header = dxf.slice(0, dxf.indexOf('ENDSEC'));
+    // The value after a header variable and its group code
+    const value = name => header.includes(name) ? header[header.indexOf(name) + 2] : undefined;
+    assert.equal(value('$ACADVER'), 'AC1009', units);
+    assert.equal(value('$LUNITS'), '2', units);
+    for (const [name, code] of Object.entries(variables)) {
+      assert.equal(value(name), code, `${name} for ${units}`);
+    }
+  }
+});
@@ -0,0 +1,141 @@
+// Shared inputs and checks for the engine tests: synthetic RGBA images,
+// awkward point sets and geometric assertions
+
+import assert from 'node:assert/strict';
+import { Point, createRandom, incircle, orient2d } from '../index.mjs';
+
+// A width x height RGBA buffer whose pixels come from color(x, y) -> [r, g, b]
+export function syntheticImage(width, height, color) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const [r, g, b] = color(x, y);
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+// Soft gradients with a disc and a diagonal band, so every color mode and
+// style has something to work with
+export function sceneImage(width = 96, height = 64) {
+  return syntheticImage(width, height, (x, y) => {
+    const inDisc = (x - width * 0.35) ** 2 + (y - height * 0.5) ** 2 < (height * 0.3) ** 2;
+    const inBand = Math.abs(x - y - width * 0.3) < 6;
+    if (inDisc) return [230, 190, 40];
+    if (inBand) return [20, 40, 120];
+    return [Math.round(x / width * 255), Math.round(y / height * 200), 90];
+  });
+}
+
+export function randomPoints(count, width, height, seed) {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, () => new Point(random() * width, random() * height));
+}
+
+// Points on a regular lattice: every square of four neighbors is cocircular
+export function latticePoints(columns, rows, spacing) {
+  const points = [];
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < columns; i++) {
+      points.push(new Point((i + 0.5) * spacing, (j + 0.5) * spacing));
+    }
+  }
+  return points;
+}
+
+export function toCoords(points) {
+  const coords = new Float64Array(points.length * 2);
+  points.forEach((p, i) => {
+    coords[2 * i] = p.x;
+    coords[2 * i + 1] = p.y;
+  });
+  return coords;
+}
+
+// Checks a Delaunay triangulation: consistent orientation, symmetric
+// half-edges and no input point strictly inside any circumcircle
+export function assertDelaunay(delaunay) {
+  const { coords, triangles, halfedges } = delaunay;
+  const n = coords.length >> 1;
+  const x = i => coords[2 * i];
+  const y = i => coords[2 * i + 1];
+
+  for (let e = 0; e < halfedges.length; e++) {
+    const twin = halfedges[e];
+    if (twin === -1) continue;
+    assert.equal(halfedges[twin], e, `half-edge ${e} and its twin disagree`);
+    const next = e % 3 === 2 ? e - 2 : e + 1;
+    const twinNext = twin % 3 === 2 ? twin - 2 : twin + 1;
+    assert.equal(triangles[e], triangles[twinNext], `half-edge ${e} and its twin do not share endpoints`);
+    assert.equal(triangles[next], triangles[twin], `half-edge ${e} and its twin do not share endpoints`);
+  }
+
+  for (let t = 0; t < triangles.length; t += 3) {
+    const [a, b, c] = [triangles[t], triangles[t + 1], triangles[t + 2]];
+    // Stored clockwise with y up
+    assert.ok(orient2d(x(a), y(a), x(b), y(b), x(c), y(c)) < 0, `triangle ${t / 3} is degenerate or flipped`);
+    for (let d = 0; d < n; d++) {
+      if (d === a || d === b || d === c) continue;
+      // Arguments in counterclockwise order: positive means inside
+      const inside = incircle(x(a), y(a), x(c), y(c), x(b), y(b), x(d), y(d));
+      assert.ok(inside <= 0, `point ${d} lies inside the circumcircle of triangle ${t / 3}`);
+    }
+  }
+}
+
+export function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % points.length];
+    area += p.x * q.y - q.x * p.y;
+  }
+  return Math.abs(area) / 2;
+}
+
+// Whether (px, py) lies inside (or on) a convex polygon, with a tolerance
+// for points on a shared edge
+export function convexContains(points, px, py, tolerance = 1e-9) {
+  let sign = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % points.length];
+    const cross = (q.x - p.x) * (py - p.y) - (q.y - p.y) * (px - p.x);
+    const length = Math.hypot(q.x - p.x, q.y - p.y) || 1;
+    if (Math.abs(cross) / length <= tolerance) continue;
+    if (sign === 0) sign = Math.sign(cross);
+    else if (Math.sign(cross) !== sign) return false;
+  }
+  return true;
+}
+
+// Checks that the cells of a finished VoronoiDiagram tile its image: areas
+// add up to the image, no cell leaves it, every sampled position is
+// covered, and each non-empty cell holds its own seed
+export function assertTiling(voronoi, samples = 400) {
+  const { width, height } = voronoi;
+  const cells = Array.from(voronoi.cells.entries()).filter(([, cell]) => cell.length >= 3);
+
+  let total = 0;
+  for (const [seed, cell] of cells) {
+    total += polygonArea(cell);
+    for (const p of cell) {
+      assert.ok(p.x >= 0 && p.x <= width && p.y >= 0 && p.y <= height, 'cell vertex outside the image');
+    }
+    assert.ok(convexContains(cell, seed.x, seed.y, 1e-6), `cell of (${seed.x}, ${seed.y}) does not contain its seed`);
+  }
+  assert.ok(Math.abs(total - width * height) < 1e-6 * width * height, `cells cover ${total} of ${width * height}`);
+
+  const random = createRandom('tiling');
+  for (let k = 0; k < samples; k++) {
+    const px = random() * width;
+    const py = random() * height;
+    const covering = cells.filter(([, cell]) => convexContains(cell, px, py));
+    assert.ok(covering.length >= 1, `(${px}, ${py}) is not covered by any cell`);
+  }
+}
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMosaicFile, generateSVG, normalizeSettings, processImage, readMosaicFile } from '../index.mjs';
+import { sceneImage } from './fixtures.mjs';
+
+const image = sceneImage();
+
+async function mosaic(settings) {
+  return processImage(image, normalizeSettings({ seed: 'file', numPoints: 60, ...settings }));
+}
+
+// Through JSON text, as a saved file would be
+const reopen = data => readMosaicFile(JSON.parse(JSON.stringify(createMosaicFile(data))));
+
+for (const tessellation of ['voronoi', 'delaunay', 'wireframe']) {
+  test(`a ${tessellation} mosaic round-trips through its file`, async () => {
+    const data = await mosaic({ tessellation, lineThickness: 2 });
+    const reopened = reopen(data);
+    assert.deepEqual(reopened.settings, data.settings);
+    assert.equal(reopened.cells.length, data.cells.length);
+    assert.equal(generateSVG(reopened), generateSVG(data));
+  });
+}
+
+test('the file lists cells in plain JSON values', async () => {
+  const data = await mosaic({ palette: 'custom', customPalette: '#102030,#f0e0d0' });
+  const file = createMosaicFile(data);
+  assert.equal(file.format, 'voronoisaic-mosaic');
+  assert.equal(file.version, 1);
+  assert.deepEqual([file.width, file.height], [image.width, image.height]);
+  assert.deepEqual(file.palette, ['#102030', '#f0e0d0']);
+  for (const cell of file.cells) {
+    assert.match(cell.color, /^#[0-9a-f]{6}$/);
+    assert.equal(cell.seed.length, 2);
+    assert.ok(cell.polygon.every(point => point.length === 2));
+  }
+});
+
+test('neighbors are symmetric and sorted', async () => {
+  const { cells } = createMosaicFile(await mosaic());
+  cells.forEach((cell, i) => {
+    assert.ok(cell.neighbors.length > 0, `cell ${i} has neighbors`);
+    assert.deepEqual(cell.neighbors, [...cell.neighbors].sort((a, b) => a - b));
+    for (const j of cell.neighbors) {
+      assert.notEqual(j, i);
+      assert.ok(cells[j].neighbors.includes(i), `${i} and ${j}`);
+    }
+  });
+});
+
+test('cells of a square grid neighbor only across their sides', () => {
+  // 3x3 squares: diagonal cells meet at a corner and are not neighbors
+  const cells = [];
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      const x = col * 10;
+      const y = row * 10;
+      cells.push({
+        seed: { x: x + 5, y: y + 5 },
+        points: [{ x, y }, { x: x + 10, y }, { x: x + 10, y: y + 10 }, { x, y: y + 10 }],
+        color: { r: 0, g: 0, b: 0 },
+        lineThickness: 0
+      });
+    }
+  }
+  const file = createMosaicFile({ width: 30, height: 30, cells });
+  assert.deepEqual(file.cells.map(cell => cell.neighbors), [
+    [1, 3], [0, 2, 4], [1, 5],
+    [0, 4, 6], [1, 3, 5, 7], [2, 4, 8],
+    [3, 7], [4, 6, 8], [5, 7]
+  ]);
+});
+
+test('readMosaicFile explains files it cannot read', async () => {
+  const file = createMosaicFile(await mosaic({ numPoints: 10 }));
+  const broken = changes => () => readMosaicFile({ ...file, ...changes });
+
+  assert.throws(() => readMosaicFile({ width: 10 }), /Not a Voronoisaic mosaic file/);
+  assert.throws(broken({ version: 2 }), /newer than this app supports/);
+  assert.throws(broken({ width: -1 }), /no valid size/);
+  assert.throws(broken({ cells: null }), /no cells/);
+  assert.throws(broken({ cells: [{ ...file.cells[0], color: 'teal-ish' }] }), /Invalid color in cell 0/);
+  assert.throws(broken({ cells: [file.cells[0], { ...file.cells[1], polygon: [[0, 0], [1, 1]] }] }), /Too few points in cell 1/);
+});
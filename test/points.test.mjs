@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRandom, estimatePointCount, generatePoints, normalizeSettings, processImage } from '../index.mjs';
+import { sceneImage } from './fixtures.mjs';
+
+const DISTRIBUTIONS = ['uniform', 'poisson', 'grid', 'hex', 'detail'];
+const image = sceneImage(120, 80);
+
+test('every distribution stays inside the image and repeats with its seed', () => {
+  for (const distribution of DISTRIBUTIONS) {
+    const generate = () => generatePoints(200, 120, 80, { distribution, imageData: image, random: createRandom('points') });
+    const points = generate();
+    assert.ok(points.length > 0, distribution);
+    for (const p of points) {
+      assert.ok(p.x >= 0 && p.x < 120 && p.y >= 0 && p.y < 80, `${distribution} point (${p.x}, ${p.y}) outside the image`);
+    }
+    assert.deepEqual(generate(), points, distribution);
+  }
+});
+
+test('point counts match the request or the estimate', () => {
+  for (const distribution of ['uniform', 'detail', 'grid', 'hex']) {
+    const points = generatePoints(300, 120, 80, { distribution, imageData: image, random: createRandom('count') });
+    assert.equal(points.length, estimatePointCount(300, 120, 80, { distribution }), distribution);
+  }
+  // Poisson-disc sampling only gets close
+  const poisson = generatePoints(300, 120, 80, { distribution: 'poisson', random: createRandom('count') });
+  assert.ok(poisson.length > 150 && poisson.length < 450, `${poisson.length} Poisson points`);
+});
+
+test('Poisson-disc points keep their distance', () => {
+  const points = generatePoints(200, 120, 80, { distribution: 'poisson', random: createRandom('spacing') });
+  let closest = Infinity;
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      closest = Math.min(closest, Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y));
+    }
+  }
+  // Half the spacing of a hexagonal packing of the same count is a safe floor
+  assert.ok(closest > 0.5 * Math.sqrt(120 * 80 / points.length), `closest pair ${closest}`);
+});
+
+test('processImage is deterministic for a seed and differs across seeds', async () => {
+  const settings = normalizeSettings({ seed: 'same', numPoints: 150, relaxIterations: 2 });
+  const first = await processImage(image, settings);
+  const second = await processImage(image, settings);
+  assert.deepEqual(second, first);
+  const other = await processImage(image, { ...settings, seed: 'other' });
+  assert.notDeepEqual(other.cells.map(c => c.seed), first.cells.map(c => c.seed));
+});
+
+test('relaxation reports each intermediate mosaic', async () => {
+  const iterations = [];
+  const data = await processImage(image, normalizeSettings({ seed: 'relax', numPoints: 80, relaxIterations: 3 }), {
+    onIteration: (mosaic, iteration) => iterations.push(iteration)
+  });
+  assert.deepEqual(iterations, [0, 1, 2]);
+  assert.equal(data.cells.length, 80);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodePNG, encodePNG, normalizeSettings, processImage, rasterizeMosaic, strokeStyleFromSettings } from '../index.mjs';
+import { sceneImage } from './fixtures.mjs';
+
+// A mosaic of hand-made cells drawn with the given settings
+function mosaic(width, height, cells, settings = {}) {
+  return {
+    width,
+    height,
+    style: strokeStyleFromSettings(normalizeSettings({ lineThickness: 0, ...settings })),
+    cells: cells.map(cell => ({ lineThickness: 0, ...cell, seed: cell.points[0] }))
+  };
+}
+
+const square = (x, y, size) => [{ x, y }, { x: x + size, y }, { x: x + size, y: y + size }, { x, y: y + size }];
+
+async function render(data, options) {
+  const { width, height, readRows } = rasterizeMosaic(data, options);
+  return { width, height, rgba: await readRows(0, height) };
+}
+
+const pixel = ({ width, rgba }, x, y) => Array.from(rgba.subarray((y * width + x) * 4, (y * width + x) * 4 + 4));
+
+test('encodePNG and decodePNG round-trip an image', async () => {
+  const image = sceneImage(37, 23);
+  // Odd strip heights exercise the row bookkeeping
+  const blob = await encodePNG(37, 23, async (y, count) => image.data.subarray(y * 37 * 4, (y + count) * 37 * 4), { stripHeight: 5, dpi: 300 });
+  const decoded = await decodePNG(new Uint8Array(await blob.arrayBuffer()));
+  assert.equal(decoded.width, 37);
+  assert.equal(decoded.height, 23);
+  assert.deepEqual(Array.from(decoded.data), Array.from(image.data));
+});
+
+test('decodePNG rejects other files', async () => {
+  await assert.rejects(decodePNG(new TextEncoder().encode('GIF89a not a png')), /Not a PNG file/);
+});
+
+test('cells that tile the image leave no seams', async () => {
+  const cells = [
+    { points: square(0, 0, 5), color: { r: 255, g: 0, b: 0 } },
+    { points: square(5, 0, 5), color: { r: 0, g: 0, b: 255 } },
+    // Two triangles splitting the lower half along a diagonal
+    { points: [{ x: 0, y: 5 }, { x: 10, y: 5 }, { x: 0, y: 10 }], color: { r: 0, g: 255, b: 0 } },
+    { points: [{ x: 10, y: 5 }, { x: 10, y: 10 }, { x: 0, y: 10 }], color: { r: 0, g: 255, b: 0 } }
+  ];
+  const image = await render(mosaic(10, 10, cells));
+  assert.deepEqual(pixel(image, 2, 2), [255, 0, 0, 255]);
+  assert.deepEqual(pixel(image, 7, 2), [0, 0, 255, 255]);
+  for (let y = 5; y < 10; y++) {
+    for (let x = 0; x < 10; x++) assert.deepEqual(pixel(image, x, y), [0, 255, 0, 255], `pixel ${x}, ${y}`);
+  }
+});
+
+test('partly covered pixels are antialiased and uncovered ones transparent', async () => {
+  const image = await render(mosaic(4, 1, [{ points: [{ x: 0, y: 0 }, { x: 1.5, y: 0 }, { x: 1.5, y: 1 }, { x: 0, y: 1 }], color: { r: 0, g: 0, b: 0 } }]));
+  assert.deepEqual(pixel(image, 0, 0), [0, 0, 0, 255]);
+  assert.deepEqual(pixel(image, 1, 0), [0, 0, 0, 128]);
+  assert.deepEqual(pixel(image, 3, 0), [0, 0, 0, 0]);
+});
+
+test('strokes blend once with their opacity, even where pieces overlap', async () => {
+  const cells = [{ points: square(4, 4, 12), color: { r: 255, g: 255, b: 255 }, lineThickness: 4 }];
+  const data = mosaic(20, 20, cells, { strokeColor: '#000000', strokeOpacity: 0.5, lineJoin: 'miter' });
+  const image = await render(data);
+  // Middle of an edge, a corner (segment and join pieces overlap), the
+  // inside, and the outer half of the stroke over the empty background
+  assert.deepEqual(pixel(image, 10, 4), [128, 128, 128, 255]);
+  assert.deepEqual(pixel(image, 4, 4), [128, 128, 128, 255]);
+  assert.deepEqual(pixel(image, 10, 10), [255, 255, 255, 255]);
+  assert.deepEqual(pixel(image, 10, 2), [0, 0, 0, 128]);
+  assert.deepEqual(pixel(image, 2, 2), [0, 0, 0, 128], 'miter corners are filled');
+  assert.deepEqual(pixel(image, 0, 0), [0, 0, 0, 0]);
+
+  const beveled = await render({ ...data, style: { ...data.style, lineJoin: 'bevel' } });
+  assert.deepEqual(pixel(beveled, 2, 2), [0, 0, 0, 0], 'bevel corners are cut');
+});
+
+test('scale renders at a multiple of the mosaic size', async () => {
+  const data = await processImage(sceneImage(40, 30), normalizeSettings({ seed: 'scale', numPoints: 20 }));
+  const { width, height, readRows } = rasterizeMosaic(data, { scale: 2.5 });
+  assert.deepEqual([width, height], [100, 75]);
+  const rgba = await readRows(70, 5);
+  assert.equal(rgba.length, 100 * 5 * 4);
+  for (let i = 3; i < rgba.length; i += 4) assert.equal(rgba[i], 255);
+});
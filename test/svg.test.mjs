@@ -0,0 +1,53 @@
+// Golden-file tests: generateSVG output for fixed seeds is compared with
+// the files in test/golden. After an intended change to the output, run
+// UPDATE_GOLDEN=1 npm test and review the diff of the golden files.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { generateSVG, normalizeSettings, processImage } from '../index.mjs';
+import { sceneImage } from './fixtures.mjs';
+
+const GOLDEN_DIR = new URL('./golden/', import.meta.url);
+const image = sceneImage();
+
+const CASES = [
+  { name: 'voronoi', settings: { lineThickness: 2 } },
+  { name: 'voronoi-precision', settings: { distribution: 'poisson', relaxIterations: 2 }, options: { precision: 2 } },
+  { name: 'delaunay-gap', settings: { tessellation: 'delaunay', gap: 2, gapColor: '#202020', outlineMode: 'darken' }, options: { precision: 3 } },
+  { name: 'wireframe', settings: { tessellation: 'wireframe', lineJoin: 'round', lineCap: 'round' }, options: { precision: 3 } },
+  { name: 'stipple', settings: { tessellation: 'stipple', backgroundColor: '#fdf6e3', distribution: 'hex' }, options: { precision: 3 } },
+  {
+    name: 'palette-merged',
+    settings: { colorMode: 'median', palette: 'kmeans', paletteSize: 4 },
+    options: { precision: 3, mergeColors: true, strokeAttributes: 'group', metadata: true }
+  },
+  { name: 'styled', settings: { colorMode: 'dominant', strokeColor: '#ff0000' }, options: { precision: 3, strokeAttributes: 'style' } }
+];
+
+for (const { name, settings, options = {} } of CASES) {
+  test(`SVG output matches golden/${name}.svg`, async () => {
+    const data = await processImage(image, normalizeSettings({ seed: name, numPoints: 60, ...settings }));
+    const svg = generateSVG(data, options) + '\n';
+    const file = new URL(`${name}.svg`, GOLDEN_DIR);
+
+    if (process.env.UPDATE_GOLDEN) {
+      writeFileSync(file, svg);
+      return;
+    }
+    assert.ok(existsSync(file), `golden/${name}.svg is missing (UPDATE_GOLDEN=1 creates it)`);
+    assert.equal(svg, readFileSync(file, 'utf8'), `golden/${name}.svg differs (UPDATE_GOLDEN=1 rewrites it)`);
+  });
+}
+
+test('SVG output is well-formed with escaped metadata', async () => {
+  const data = await processImage(image, normalizeSettings({ seed: '<&"seed">', numPoints: 20, customPalette: '</metadata>' }));
+  const svg = generateSVG(data, { metadata: true });
+  const metadata = /<metadata id="voronoisaic">(.*)<\/metadata>/.exec(svg);
+  assert.ok(metadata);
+  assert.ok(!/[<&]/.test(metadata[1]));
+  assert.equal(JSON.parse(metadata[1]).seed, '<&"seed">');
+  assert.equal((svg.match(/<polygon /g) || []).length, data.cells.length);
+  assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="96" height="64" viewBox="0 0 96 64">'));
+  assert.ok(svg.endsWith('</svg>'));
+});
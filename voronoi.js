@@ -0,0 +1,4548 @@
+// Voronoi Engine
+// Geometry, triangulation and color sampling shared by the page, worker.js
+// and Node (index.mjs and the cli.mjs command line tool). Nothing here
+// touches the DOM: images are plain { width, height, data } RGBA buffers.
+// Triangulation ported from Delaunator, Voronoi cells built as in
+// d3-delaunay (credits and license notice at the Delaunay class)
+
+// ============================================================================
+// Point Class
+// ============================================================================
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  equals(other) {
+    return this.x === other.x && this.y === other.y;
+  }
+}
+
+// ============================================================================
+// Robust Geometric Predicates
+// ============================================================================
+// Both predicates first evaluate in floating point and only fall back to
+// exact arithmetic when the result is within the rounding error bound
+// (Shewchuk's static filters), so the common case stays fast.
+
+const PREDICATE_EPSILON = Number.EPSILON;
+const ORIENT_ERROR_BOUND = (3 + 16 * PREDICATE_EPSILON) * PREDICATE_EPSILON;
+const INCIRCLE_ERROR_BOUND = (10 + 96 * PREDICATE_EPSILON) * PREDICATE_EPSILON;
+
+// Positive if a, b, c wind counterclockwise (y up), negative if clockwise,
+// zero if they are collinear.
+function orient2d(ax, ay, bx, by, cx, cy) {
+  const detLeft = (ax - cx) * (by - cy);
+  const detRight = (ay - cy) * (bx - cx);
+  const det = detLeft - detRight;
+
+  let detSum;
+  if (detLeft > 0) {
+    if (detRight <= 0) return det;
+    detSum = detLeft + detRight;
+  } else if (detLeft < 0) {
+    if (detRight >= 0) return det;
+    detSum = -detLeft - detRight;
+  } else {
+    return det;
+  }
+
+  if (Math.abs(det) >= ORIENT_ERROR_BOUND * detSum) return det;
+  return orient2dExact(ax, ay, bx, by, cx, cy);
+}
+
+// Positive if d lies inside the circle through a, b, c (given counterclockwise),
+// negative if outside, zero if the four points are cocircular.
+function incircle(ax, ay, bx, by, cx, cy, dx, dy) {
+  const adx = ax - dx;
+  const bdx = bx - dx;
+  const cdx = cx - dx;
+  const ady = ay - dy;
+  const bdy = by - dy;
+  const cdy = cy - dy;
+
+  const bdxcdy = bdx * cdy;
+  const cdxbdy = cdx * bdy;
+  const alift = adx * adx + ady * ady;
+
+  const cdxady = cdx * ady;
+  const adxcdy = adx * cdy;
+  const blift = bdx * bdx + bdy * bdy;
+
+  const adxbdy = adx * bdy;
+  const bdxady = bdx * ady;
+  const clift = cdx * cdx + cdy * cdy;
+
+  const det = alift * (bdxcdy - cdxbdy) +
+              blift * (cdxady - adxcdy) +
+              clift * (adxbdy - bdxady);
+
+  const permanent = (Math.abs(bdxcdy) + Math.abs(cdxbdy)) * alift +
+                    (Math.abs(cdxady) + Math.abs(adxcdy)) * blift +
+                    (Math.abs(adxbdy) + Math.abs(bdxady)) * clift;
+
+  if (Math.abs(det) > INCIRCLE_ERROR_BOUND * permanent) return det;
+  return incircleExact(ax, ay, bx, by, cx, cy, dx, dy);
+}
+
+// Every finite double is an integer times a power of two, so scaling all
+// inputs to the smallest exponent turns them into exact BigInt integers.
+const predicateView = new DataView(new ArrayBuffer(8));
+
+function toExactIntegers(values) {
+  const parts = values.map(value => {
+    predicateView.setFloat64(0, value);
+    const high = predicateView.getUint32(0);
+    const low = predicateView.getUint32(4);
+    const biasedExponent = (high >>> 20) & 0x7ff;
+    let mantissa = (BigInt(high & 0xfffff) << 32n) | BigInt(low);
+    let exponent = -1074;
+    if (biasedExponent !== 0) {
+      mantissa |= 1n << 52n;
+      exponent = biasedExponent - 1075;
+    }
+    return { mantissa: high >>> 31 ? -mantissa : mantissa, exponent };
+  });
+
+  const minExponent = Math.min(...parts.map(part => part.exponent));
+  return parts.map(part => part.mantissa << BigInt(part.exponent - minExponent));
+}
+
+function orient2dExact(ax, ay, bx, by, cx, cy) {
+  const [eax, eay, ebx, eby, ecx, ecy] = toExactIntegers([ax, ay, bx, by, cx, cy]);
+  const det = (eax - ecx) * (eby - ecy) - (eay - ecy) * (ebx - ecx);
+  return det > 0n ? 1 : det < 0n ? -1 : 0;
+}
+
+function incircleExact(ax, ay, bx, by, cx, cy, dx, dy) {
+  const [eax, eay, ebx, eby, ecx, ecy, edx, edy] =
+    toExactIntegers([ax, ay, bx, by, cx, cy, dx, dy]);
+  const adx = eax - edx;
+  const ady = eay - edy;
+  const bdx = ebx - edx;
+  const bdy = eby - edy;
+  const cdx = ecx - edx;
+  const cdy = ecy - edy;
+  const det = (adx * adx + ady * ady) * (bdx * cdy - cdx * bdy) +
+              (bdx * bdx + bdy * bdy) * (cdx * ady - adx * cdy) +
+              (cdx * cdx + cdy * cdy) * (adx * bdy - bdx * ady);
+  return det > 0n ? 1 : det < 0n ? -1 : 0;
+}
+
+function circumcenter(ax, ay, bx, by, cx, cy) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const ex = cx - ax;
+  const ey = cy - ay;
+  const bl = dx * dx + dy * dy;
+  const cl = ex * ex + ey * ey;
+  const d = 0.5 / (dx * ey - dy * ex);
+  return {
+    x: ax + (ey * bl - dy * cl) * d,
+    y: ay + (dx * cl - ex * bl) * d
+  };
+}
+
+function circumradiusSquared(ax, ay, bx, by, cx, cy) {
+  const center = circumcenter(ax, ay, bx, by, cx, cy);
+  const dx = center.x - ax;
+  const dy = center.y - ay;
+  return dx * dx + dy * dy;
+}
+
+// ============================================================================
+// Triangle Class
+// ============================================================================
+class Triangle {
+  constructor(p1, p2, p3) {
+    this.points = [p1, p2, p3];
+    this.edges = [
+      [p1, p2],
+      [p2, p3],
+      [p3, p1]
+    ];
+    this.calculateCircumcenter();
+  }
+
+  calculateCircumcenter() {
+    const [p1, p2, p3] = this.points;
+    const center = circumcenter(p1.x, p1.y, p2.x, p2.y, p3.x, p3.y);
+
+    this.circumcenter = new Point(center.x, center.y);
+
+    this.radiusSquared = (p1.x - center.x) * (p1.x - center.x) +
+                       (p1.y - center.y) * (p1.y - center.y);
+  }
+
+  containsPoint(point) {
+    const [p1, p2, p3] = this.points;
+    const orientation = Math.sign(orient2d(p1.x, p1.y, p2.x, p2.y, p3.x, p3.y));
+    if (orientation === 0) return false;
+    return orientation * incircle(p1.x, p1.y, p2.x, p2.y, p3.x, p3.y, point.x, point.y) >= 0;
+  }
+}
+
+// ============================================================================
+// Delaunay Class
+// ============================================================================
+// Sweep-hull Delaunay triangulation over a flat [x0, y0, x1, y1, ...] array.
+// Points are inserted in order of distance from a seed triangle, always
+// outside the current convex hull, which is kept as a linked list with an
+// angular hash so the visible hull edge is found in near-constant time.
+//
+// Output uses the half-edge representation:
+//   triangles[e]  index of the point where half-edge e starts
+//   halfedges[e]  index of the opposite half-edge, or -1 on the hull
+//   hull          point indices of the convex hull
+// Triangle t owns half-edges 3t, 3t + 1 and 3t + 2.
+//
+// Ported from Delaunator (https://github.com/mapbox/delaunator): the hull
+// hash, edge stack, legalization and distance sort follow it closely. The
+// Voronoi cells of VoronoiDiagram are walked around each point from these
+// half-edges the way d3-delaunay (https://github.com/d3/d3-delaunay) builds
+// them. Both are under the ISC license:
+//
+//   Delaunator: Copyright (c) 2021, Mapbox
+//   d3-delaunay: Copyright 2018-2021 Observable, Inc.
+//
+//   Permission to use, copy, modify, and/or distribute this software for any
+//   purpose with or without fee is hereby granted, provided that the above
+//   copyright notice and this permission notice appear in all copies.
+//
+//   THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+//   WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+//   MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+//   ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+//   WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+//   ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+//   OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+
+const DELAUNAY_EDGE_STACK = new Uint32Array(512);
+
+class Delaunay {
+  constructor(coords) {
+    const n = coords.length >> 1;
+    this.coords = coords;
+
+    const maxTriangles = Math.max(2 * n - 5, 0);
+    this._triangles = new Uint32Array(maxTriangles * 3);
+    this._halfedges = new Int32Array(maxTriangles * 3);
+
+    this._hashSize = Math.ceil(Math.sqrt(n));
+    this._hullPrev = new Uint32Array(n);
+    this._hullNext = new Uint32Array(n);
+    this._hullTri = new Uint32Array(n);
+    this._hullHash = new Int32Array(this._hashSize);
+
+    this._ids = new Uint32Array(n);
+    this._dists = new Float64Array(n);
+
+    this.triangulate();
+  }
+
+  triangulate() {
+    const coords = this.coords;
+    const hullPrev = this._hullPrev;
+    const hullNext = this._hullNext;
+    const hullTri = this._hullTri;
+    const hullHash = this._hullHash;
+    const ids = this._ids;
+    const dists = this._dists;
+    const n = coords.length >> 1;
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    for (let i = 0; i < n; i++) {
+      const x = coords[2 * i];
+      const y = coords[2 * i + 1];
+      if (x < minX) minX = x;
+      if (y < minY) minY = y;
+      if (x > maxX) maxX = x;
+      if (y > maxY) maxY = y;
+      ids[i] = i;
+    }
+    const cx = (minX + maxX) / 2;
+    const cy = (minY + maxY) / 2;
+
+    // Seed triangle: the point closest to the center, its nearest neighbor,
+    // and the point forming the smallest circumcircle with those two
+    let i0 = -1;
+    let i1 = -1;
+    let i2 = -1;
+
+    let minDist = Infinity;
+    for (let i = 0; i < n; i++) {
+      const d = squaredDistance(cx, cy, coords[2 * i], coords[2 * i + 1]);
+      if (d < minDist) {
+        i0 = i;
+        minDist = d;
+      }
+    }
+    const i0x = coords[2 * i0];
+    const i0y = coords[2 * i0 + 1];
+
+    minDist = Infinity;
+    for (let i = 0; i < n; i++) {
+      if (i === i0) continue;
+      const d = squaredDistance(i0x, i0y, coords[2 * i], coords[2 * i + 1]);
+      if (d < minDist && d > 0) {
+        i1 = i;
+        minDist = d;
+      }
+    }
+    let i1x = coords[2 * i1];
+    let i1y = coords[2 * i1 + 1];
+
+    let minRadius = Infinity;
+    for (let i = 0; i < n && i1 !== -1; i++) {
+      if (i === i0 || i === i1) continue;
+      const x = coords[2 * i];
+      const y = coords[2 * i + 1];
+      if (orient2d(i0x, i0y, i1x, i1y, x, y) === 0) continue;
+      const r = circumradiusSquared(i0x, i0y, i1x, i1y, x, y);
+      if (r < minRadius) {
+        i2 = i;
+        minRadius = r;
+      }
+    }
+
+    if (i2 === -1) {
+      // All points are collinear: no triangles, and the hull is the
+      // deduplicated points ordered along the line
+      for (let i = 0; i < n; i++) {
+        dists[i] = (coords[2 * i] - coords[0]) || (coords[2 * i + 1] - coords[1]);
+      }
+      sortByDistance(ids, dists, 0, n - 1);
+      const hull = new Uint32Array(n);
+      let j = 0;
+      for (let i = 0, d0 = -Infinity; i < n; i++) {
+        const id = ids[i];
+        if (dists[id] > d0) {
+          hull[j++] = id;
+          d0 = dists[id];
+        }
+      }
+      this.hull = hull.subarray(0, j);
+      this.triangles = new Uint32Array(0);
+      this.halfedges = new Int32Array(0);
+      return;
+    }
+
+    let i2x = coords[2 * i2];
+    let i2y = coords[2 * i2 + 1];
+
+    // Triangles are stored clockwise (y up), i.e. counterclockwise on screen
+    if (orient2d(i0x, i0y, i1x, i1y, i2x, i2y) > 0) {
+      const i = i1;
+      const x = i1x;
+      const y = i1y;
+      i1 = i2;
+      i1x = i2x;
+      i1y = i2y;
+      i2 = i;
+      i2x = x;
+      i2y = y;
+    }
+
+    const center = circumcenter(i0x, i0y, i1x, i1y, i2x, i2y);
+    this._cx = center.x;
+    this._cy = center.y;
+
+    for (let i = 0; i < n; i++) {
+      dists[i] = squaredDistance(coords[2 * i], coords[2 * i + 1], center.x, center.y);
+    }
+    sortByDistance(ids, dists, 0, n - 1);
+
+    this._hullStart = i0;
+    let hullSize = 3;
+
+    hullNext[i0] = hullPrev[i2] = i1;
+    hullNext[i1] = hullPrev[i0] = i2;
+    hullNext[i2] = hullPrev[i1] = i0;
+
+    hullTri[i0] = 0;
+    hullTri[i1] = 1;
+    hullTri[i2] = 2;
+
+    hullHash.fill(-1);
+    hullHash[this._hashKey(i0x, i0y)] = i0;
+    hullHash[this._hashKey(i1x, i1y)] = i1;
+    hullHash[this._hashKey(i2x, i2y)] = i2;
+
+    this._trianglesLength = 0;
+    this._addTriangle(i0, i1, i2, -1, -1, -1);
+
+    let xp = NaN;
+    let yp = NaN;
+    for (let k = 0; k < n; k++) {
+      const i = ids[k];
+      const x = coords[2 * i];
+      const y = coords[2 * i + 1];
+
+      // Duplicates sort next to each other; only the first one is kept
+      if (x === xp && y === yp) continue;
+      xp = x;
+      yp = y;
+
+      if (i === i0 || i === i1 || i === i2) continue;
+
+      // Find a visible hull edge, starting from the angular hash bucket
+      let start = 0;
+      for (let j = 0, key = this._hashKey(x, y); j < this._hashSize; j++) {
+        start = hullHash[(key + j) % this._hashSize];
+        if (start !== -1 && start !== hullNext[start]) break;
+      }
+
+      start = hullPrev[start];
+      let e = start;
+      let q = hullNext[e];
+      while (orient2d(x, y, coords[2 * e], coords[2 * e + 1], coords[2 * q], coords[2 * q + 1]) <= 0) {
+        e = q;
+        if (e === start) {
+          e = -1;
+          break;
+        }
+        q = hullNext[e];
+      }
+      // No visible edge: the point coincides with an existing hull vertex
+      if (e === -1) continue;
+
+      let t = this._addTriangle(e, i, hullNext[e], -1, -1, hullTri[e]);
+      hullTri[i] = this._legalize(t + 2);
+      hullTri[e] = t;
+      hullSize++;
+
+      // Walk forward along the hull, fanning out triangles to visible edges
+      let next = hullNext[e];
+      q = hullNext[next];
+      while (orient2d(x, y, coords[2 * next], coords[2 * next + 1], coords[2 * q], coords[2 * q + 1]) > 0) {
+        t = this._addTriangle(next, i, q, hullTri[i], -1, hullTri[next]);
+        hullTri[i] = this._legalize(t + 2);
+        hullNext[next] = next; // mark as removed
+        hullSize--;
+        next = q;
+        q = hullNext[next];
+      }
+
+      // Walk backward from the other side
+      if (e === start) {
+        q = hullPrev[e];
+        while (orient2d(x, y, coords[2 * q], coords[2 * q + 1], coords[2 * e], coords[2 * e + 1]) > 0) {
+          t = this._addTriangle(q, i, e, -1, hullTri[e], hullTri[q]);
+          this._legalize(t + 2);
+          hullTri[q] = t;
+          hullNext[e] = e; // mark as removed
+          hullSize--;
+          e = q;
+          q = hullPrev[e];
+        }
+      }
+
+      this._hullStart = hullPrev[i] = e;
+      hullNext[e] = hullPrev[next] = i;
+      hullNext[i] = next;
+
+      hullHash[this._hashKey(x, y)] = i;
+      hullHash[this._hashKey(coords[2 * e], coords[2 * e + 1])] = e;
+    }
+
+    this.hull = new Uint32Array(hullSize);
+    for (let i = 0, e = this._hullStart; i < hullSize; i++) {
+      this.hull[i] = e;
+      e = hullNext[e];
+    }
+
+    this.triangles = this._triangles.subarray(0, this._trianglesLength);
+    this.halfedges = this._halfedges.subarray(0, this._trianglesLength);
+  }
+
+  // Restores the Delaunay condition across half-edge a, flipping edges
+  // until every affected pair of triangles passes the incircle test:
+  //
+  //           pl                    pl
+  //          /||\                  /  \
+  //       al/ || \bl            al/    \a
+  //        /  ||  \              /      \
+  //       /  a||b  \    flip    /___ar___\
+  //     p0\   ||   /p1   =>   p0\---bl---/p1
+  //        \  ||  /              \      /
+  //       ar\ || /br             b\    /br
+  //          \||/                  \  /
+  //           pr                    pr
+  _legalize(a) {
+    const triangles = this._triangles;
+    const halfedges = this._halfedges;
+    const coords = this.coords;
+    let stackSize = 0;
+    let ar = 0;
+
+    while (true) {
+      const b = halfedges[a];
+      const a0 = a - a % 3;
+      ar = a0 + (a + 2) % 3;
+
+      if (b === -1) {
+        if (stackSize === 0) break;
+        a = DELAUNAY_EDGE_STACK[--stackSize];
+        continue;
+      }
+
+      const b0 = b - b % 3;
+      const al = a0 + (a + 1) % 3;
+      const bl = b0 + (b + 2) % 3;
+
+      const p0 = triangles[ar];
+      const pr = triangles[a];
+      const pl = triangles[al];
+      const p1 = triangles[bl];
+
+      const illegal = incircle(
+        coords[2 * p0], coords[2 * p0 + 1],
+        coords[2 * pr], coords[2 * pr + 1],
+        coords[2 * pl], coords[2 * pl + 1],
+        coords[2 * p1], coords[2 * p1 + 1]) < 0;
+
+      if (illegal) {
+        triangles[a] = p1;
+        triangles[b] = p0;
+
+        const hbl = halfedges[bl];
+
+        // The flipped edge was on the hull; fix the hull's triangle reference
+        if (hbl === -1) {
+          let e = this._hullStart;
+          do {
+            if (this._hullTri[e] === bl) {
+              this._hullTri[e] = a;
+              break;
+            }
+            e = this._hullPrev[e];
+          } while (e !== this._hullStart);
+        }
+        this._link(a, hbl);
+        this._link(b, halfedges[ar]);
+        this._link(ar, bl);
+
+        const br = b0 + (b + 1) % 3;
+        // The stack only overflows on extremely degenerate input
+        if (stackSize < DELAUNAY_EDGE_STACK.length) {
+          DELAUNAY_EDGE_STACK[stackSize++] = br;
+        }
+      } else {
+        if (stackSize === 0) break;
+        a = DELAUNAY_EDGE_STACK[--stackSize];
+      }
+    }
+
+    return ar;
+  }
+
+  _hashKey(x, y) {
+    return Math.floor(pseudoAngle(x - this._cx, y - this._cy) * this._hashSize) % this._hashSize;
+  }
+
+  _link(a, b) {
+    this._halfedges[a] = b;
+    if (b !== -1) this._halfedges[b] = a;
+  }
+
+  _addTriangle(i0, i1, i2, a, b, c) {
+    const t = this._trianglesLength;
+    this._triangles[t] = i0;
+    this._triangles[t + 1] = i1;
+    this._triangles[t + 2] = i2;
+    this._link(t, a);
+    this._link(t + 1, b);
+    this._link(t + 2, c);
+    this._trianglesLength += 3;
+    return t;
+  }
+}
+
+function nextHalfedge(e) {
+  return e % 3 === 2 ? e - 2 : e + 1;
+}
+
+// Monotonic in the real angle of (dx, dy), without any trigonometry
+function pseudoAngle(dx, dy) {
+  const p = dx / (Math.abs(dx) + Math.abs(dy));
+  return (dy > 0 ? 3 - p : 1 + p) / 4;
+}
+
+function squaredDistance(ax, ay, bx, by) {
+  const dx = ax - bx;
+  const dy = ay - by;
+  return dx * dx + dy * dy;
+}
+
+// In-place quicksort of point ids by their entry in dists
+function sortByDistance(ids, dists, left, right) {
+  if (right - left <= 20) {
+    for (let i = left + 1; i <= right; i++) {
+      const temp = ids[i];
+      const tempDist = dists[temp];
+      let j = i - 1;
+      while (j >= left && dists[ids[j]] > tempDist) ids[j + 1] = ids[j--];
+      ids[j + 1] = temp;
+    }
+    return;
+  }
+
+  const median = (left + right) >> 1;
+  let i = left + 1;
+  let j = right;
+  swapIds(ids, median, i);
+  if (dists[ids[left]] > dists[ids[right]]) swapIds(ids, left, right);
+  if (dists[ids[i]] > dists[ids[right]]) swapIds(ids, i, right);
+  if (dists[ids[left]] > dists[ids[i]]) swapIds(ids, left, i);
+
+  const temp = ids[i];
+  const tempDist = dists[temp];
+  while (true) {
+    do i++; while (dists[ids[i]] < tempDist);
+    do j--; while (dists[ids[j]] > tempDist);
+    if (j < i) break;
+    swapIds(ids, i, j);
+  }
+  ids[left + 1] = ids[j];
+  ids[j] = temp;
+
+  if (right - i + 1 >= j - left) {
+    sortByDistance(ids, dists, i, right);
+    sortByDistance(ids, dists, left, j - 1);
+  } else {
+    sortByDistance(ids, dists, left, j - 1);
+    sortByDistance(ids, dists, i, right);
+  }
+}
+
+function swapIds(ids, i, j) {
+  const temp = ids[i];
+  ids[i] = ids[j];
+  ids[j] = temp;
+}
+
+// ============================================================================
+// VoronoiDiagram Class
+// ============================================================================
+class VoronoiDiagram {
+  constructor(width, height, points) {
+    this.width = width;
+    this.height = height;
+    this.points = points;
+    this.delaunay = null;
+    this.circumcenters = null;
+    this.cells = new Map();
+    this._triangles = null;
+  }
+
+  async generate() {
+    await this.generateTriangulation();
+    await this.generateVoronoiCells();
+    return this;
+  }
+
+  // Triangle objects are only materialized on request; the triangulation
+  // itself lives in the typed arrays of this.delaunay
+  get triangles() {
+    if (!this._triangles && this.delaunay) {
+      const { triangles } = this.delaunay;
+      this._triangles = [];
+      for (let t = 0; t < triangles.length; t += 3) {
+        this._triangles.push(new Triangle(
+          this.points[triangles[t]],
+          this.points[triangles[t + 1]],
+          this.points[triangles[t + 2]]
+        ));
+      }
+    }
+    return this._triangles || [];
+  }
+
+  async generateTriangulation() {
+    return new Promise(resolve => {
+      setTimeout(() => {
+        const coords = new Float64Array(this.points.length * 2);
+        for (let i = 0; i < this.points.length; i++) {
+          coords[2 * i] = this.points[i].x;
+          coords[2 * i + 1] = this.points[i].y;
+        }
+
+        this.delaunay = new Delaunay(coords);
+        this._triangles = null;
+
+        // One circumcenter per triangle, shared by the cells of its vertices
+        const { triangles } = this.delaunay;
+        this.circumcenters = new Float64Array(triangles.length / 3 * 2);
+        for (let t = 0, j = 0; t < triangles.length; t += 3, j += 2) {
+          const a = triangles[t] * 2;
+          const b = triangles[t + 1] * 2;
+          const c = triangles[t + 2] * 2;
+          const center = circumcenter(
+            coords[a], coords[a + 1],
+            coords[b], coords[b + 1],
+            coords[c], coords[c + 1]
+          );
+          this.circumcenters[j] = center.x;
+          this.circumcenters[j + 1] = center.y;
+        }
+        resolve();
+      }, 0);
+    });
+  }
+
+  async generateVoronoiCells() {
+    return new Promise(resolve => {
+      setTimeout(() => {
+        this.prepareCells();
+        this.cells.clear();
+        for (let i = 0; i < this.points.length; i++) {
+          this.cells.set(this.points[i], this.computeCell(i));
+        }
+        resolve();
+      }, 0);
+    });
+  }
+
+  // Neighbor lists and, for each point, an incoming half-edge to start
+  // walking around it; needed by computeCell()
+  prepareCells() {
+    const { triangles, halfedges } = this.delaunay;
+    this.computeNeighbors();
+
+    // Hull points start at their hull edge so the walk covers every triangle
+    this.inedges = new Int32Array(this.points.length).fill(-1);
+    for (let e = 0; e < halfedges.length; e++) {
+      const p = triangles[nextHalfedge(e)];
+      if (halfedges[e] === -1 || this.inedges[p] === -1) this.inedges[p] = e;
+    }
+  }
+
+  // The Voronoi cell of point i clipped to the image, as Points in order
+  // around it; empty for a duplicate point
+  computeCell(i) {
+    const { halfedges, hull } = this.delaunay;
+    const { offsets, indices } = this.neighbors;
+    const circumcenters = this.circumcenters;
+    const points = this.points;
+    const width = this.width;
+    const height = this.height;
+    const bounds = [0, 0, width, 0, width, height, 0, height];
+    const e0 = this.inedges[i];
+    let polygon;
+
+    if (offsets[i] === offsets[i + 1]) {
+      // Only a lone point owns the whole image; skipped duplicates own nothing
+      return hull.length === 1 && hull[0] === i ? toPoints(bounds) : [];
+    }
+
+    if (e0 !== -1 && halfedges[e0] !== -1) {
+      // Interior point: walk the triangles around it; the circumcenters
+      // come out already ordered around the (bounded) cell
+      const cell = [];
+      let e = e0;
+      do {
+        const t = Math.floor(e / 3);
+        cell.push(new Point(circumcenters[2 * t], circumcenters[2 * t + 1]));
+        e = halfedges[nextHalfedge(e)];
+      } while (e !== e0);
+
+      if (cell.every(p => p.x >= 0 && p.x <= width && p.y >= 0 && p.y <= height)) {
+        return cell;
+      }
+
+      polygon = [];
+      for (const p of cell) polygon.push(p.x, p.y);
+      polygon = clipPolygon(polygon, 0, 0, -1, 0);
+      polygon = clipPolygon(polygon, width, 0, 1, 0);
+      polygon = clipPolygon(polygon, 0, 0, 0, -1);
+      polygon = clipPolygon(polygon, 0, height, 0, 1);
+    } else {
+      // Hull (or collinear) point: the cell is unbounded, so cut the
+      // image rectangle down by the bisector with every neighbor
+      const px = points[i].x;
+      const py = points[i].y;
+      polygon = bounds;
+      for (let k = offsets[i]; k < offsets[i + 1] && polygon.length; k++) {
+        const q = points[indices[k]];
+        polygon = clipPolygon(polygon, (px + q.x) / 2, (py + q.y) / 2, q.x - px, q.y - py);
+      }
+    }
+
+    // Rounding in the intersections must not leak outside the image
+    for (let k = 0; k < polygon.length; k += 2) {
+      polygon[k] = Math.min(width, Math.max(0, polygon[k]));
+      polygon[k + 1] = Math.min(height, Math.max(0, polygon[k + 1]));
+    }
+    return toPoints(polygon);
+  }
+
+  // One step of Lloyd relaxation: a new seed at the centroid of every cell.
+  // With a per-pixel density the centroid is density-weighted, pulling
+  // seeds (and so smaller cells) toward dense areas. Seeds whose cell is
+  // empty, such as duplicates, are dropped.
+  relaxedPoints(density = null) {
+    const cells = Array.from(this.cells.values());
+    let sums = null;
+
+    if (density) {
+      const labels = rasterizeCells(cells, this.width, this.height);
+      sums = new Float64Array(cells.length * 3);
+      for (let y = 0, i = 0; y < this.height; y++) {
+        for (let x = 0; x < this.width; x++, i++) {
+          const label = labels[i];
+          if (label === -1) continue;
+          const weight = density[i];
+          sums[3 * label] += weight * (x + 0.5);
+          sums[3 * label + 1] += weight * (y + 0.5);
+          sums[3 * label + 2] += weight;
+        }
+      }
+    }
+
+    const points = [];
+    cells.forEach((cell, i) => {
+      if (cell.length < 3) return;
+      if (sums && sums[3 * i + 2] > 0) {
+        points.push(new Point(sums[3 * i] / sums[3 * i + 2], sums[3 * i + 1] / sums[3 * i + 2]));
+      } else {
+        // Unweighted, or too small to cover a pixel center
+        const centroid = polygonCentroid(cell);
+        points.push(new Point(centroid.x, centroid.y));
+      }
+    });
+    return points;
+  }
+
+  // Delaunay neighbors of every point, stored compactly: the neighbors of
+  // point i are indices[offsets[i]] to indices[offsets[i + 1] - 1]
+  computeNeighbors() {
+    const { triangles, halfedges, hull } = this.delaunay;
+    const n = this.points.length;
+    const offsets = new Uint32Array(n + 1);
+
+    // Every half-edge a -> b makes b a neighbor of a; hull edges have no
+    // twin, so they also add a to b
+    const addPairs = (visit) => {
+      if (triangles.length > 0) {
+        for (let e = 0; e < triangles.length; e++) {
+          const a = triangles[e];
+          const b = triangles[nextHalfedge(e)];
+          visit(a, b);
+          if (halfedges[e] === -1) visit(b, a);
+        }
+      } else {
+        // Collinear input: neighbors are consecutive along the line
+        for (let k = 0; k + 1 < hull.length; k++) {
+          visit(hull[k], hull[k + 1]);
+          visit(hull[k + 1], hull[k]);
+        }
+      }
+    };
+
+    addPairs(a => offsets[a + 1]++);
+    for (let i = 0; i < n; i++) offsets[i + 1] += offsets[i];
+
+    const indices = new Uint32Array(offsets[n]);
+    const fill = offsets.slice(0, n);
+    addPairs((a, b) => {
+      indices[fill[a]++] = b;
+    });
+
+    this.neighbors = { offsets, indices };
+    return this.neighbors;
+  }
+}
+
+// Keeps the part of a convex polygon, given as a flat [x0, y0, x1, y1, ...]
+// array, where (x - px) * nx + (y - py) * ny <= 0 (Sutherland-Hodgman)
+function clipPolygon(polygon, px, py, nx, ny) {
+  const n = polygon.length;
+  if (n === 0) return polygon;
+
+  let inside = true;
+  for (let i = 0; i < n && inside; i += 2) {
+    inside = (polygon[i] - px) * nx + (polygon[i + 1] - py) * ny <= 0;
+  }
+  if (inside) return polygon;
+
+  const result = [];
+  let ax = polygon[n - 2];
+  let ay = polygon[n - 1];
+  let da = (ax - px) * nx + (ay - py) * ny;
+
+  for (let i = 0; i < n; i += 2) {
+    const bx = polygon[i];
+    const by = polygon[i + 1];
+    const db = (bx - px) * nx + (by - py) * ny;
+
+    if ((da <= 0) !== (db <= 0)) {
+      const t = da / (da - db);
+      result.push(ax + (bx - ax) * t, ay + (by - ay) * t);
+    }
+    if (db <= 0) {
+      result.push(bx, by);
+    }
+
+    ax = bx;
+    ay = by;
+    da = db;
+  }
+
+  return result.length >= 6 ? result : [];
+}
+
+// Converts a flat coordinate array to Points, dropping repeated vertices
+function toPoints(polygon) {
+  const result = [];
+  for (let i = 0; i < polygon.length; i += 2) {
+    const last = result[result.length - 1];
+    if (!last || last.x !== polygon[i] || last.y !== polygon[i + 1]) {
+      result.push(new Point(polygon[i], polygon[i + 1]));
+    }
+  }
+  if (result.length > 1 && result[0].equals(result[result.length - 1])) {
+    result.pop();
+  }
+  return result.length >= 3 ? result : [];
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+// Area centroid of a simple polygon (shoelace formula). Coordinates are
+// taken relative to the first vertex to keep the cross products small.
+function polygonCentroid(polygon) {
+  const ox = polygon[0].x;
+  const oy = polygon[0].y;
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  
+  for (let i = 0; i < polygon.length; i++) {
+    const p = polygon[i];
+    const q = polygon[(i + 1) % polygon.length];
+    const px = p.x - ox;
+    const py = p.y - oy;
+    const qx = q.x - ox;
+    const qy = q.y - oy;
+    const cross = px * qy - qx * py;
+    area += cross;
+    cx += (px + qx) * cross;
+    cy += (py + qy) * cross;
+  }
+  
+  // Degenerate (zero-area) polygon: fall back to the vertex average
+  if (area === 0) {
+    let x = 0;
+    let y = 0;
+    for (const point of polygon) {
+      x += point.x;
+      y += point.y;
+    }
+    return { x: x / polygon.length, y: y / polygon.length };
+  }
+  
+  return {
+    x: ox + cx / (3 * area),
+    y: oy + cy / (3 * area)
+  };
+}
+
+function calculateCentroid(polygon, width, height) {
+  let { x, y } = polygonCentroid(polygon);
+  
+  // Ensure centroid is within image bounds
+  x = Math.max(0, Math.min(width - 1, x));
+  y = Math.max(0, Math.min(height - 1, y));
+  
+  return { x, y };
+}
+
+// Calls visit(y, startX, endX) for each pixel row of a convex polygon,
+// covering the pixels whose centers lie inside it. Spans are half-open
+// (left/top edges inclusive, right/bottom exclusive) so cells sharing an
+// edge never claim the same pixel.
+function scanConvexPolygon(polygon, width, height, visit) {
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const point of polygon) {
+    minY = Math.min(minY, point.y);
+    maxY = Math.max(maxY, point.y);
+  }
+  
+  const startRow = Math.max(0, Math.ceil(minY - 0.5));
+  const endRow = Math.min(height, Math.ceil(maxY - 0.5));
+  
+  for (let y = startRow; y < endRow; y++) {
+    const sampleY = y + 0.5;
+    let left = Infinity;
+    let right = -Infinity;
+    
+    for (let i = 0; i < polygon.length; i++) {
+      // Always interpolate from the upper endpoint, so an edge shared by
+      // two cells gives both of them the same crossing
+      let a = polygon[i];
+      let b = polygon[(i + 1) % polygon.length];
+      if (a.y > b.y) [a, b] = [b, a];
+      if (a.y <= sampleY && sampleY < b.y) {
+        const x = a.x + (sampleY - a.y) * (b.x - a.x) / (b.y - a.y);
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+      }
+    }
+    
+    const startX = Math.max(0, Math.ceil(left - 0.5));
+    const endX = Math.min(width, Math.ceil(right - 0.5));
+    if (startX < endX) {
+      visit(y, startX, endX);
+    }
+  }
+}
+
+// Per-pixel index of the polygon covering it, or -1 for uncovered pixels
+function rasterizeCells(polygons, width, height) {
+  const labels = new Int32Array(width * height).fill(-1);
+  
+  polygons.forEach((polygon, index) => {
+    if (polygon.length < 3) return;
+    scanConvexPolygon(polygon, width, height, (y, startX, endX) => {
+      labels.fill(index, y * width + startX, y * width + endX);
+    });
+  });
+  
+  return labels;
+}
+
+// Samples a smoothness x smoothness square of an ImageData (or any
+// { data, width, height } RGBA buffer) around the given point
+function getAverageColorAtPoint(imageData, centerX, centerY, smoothness) {
+  const halfSize = Math.floor(smoothness / 2);
+  
+  // Get exact pixel coordinates
+  const x = Math.floor(centerX);
+  const y = Math.floor(centerY);
+  
+  // Ensure we don't sample outside the image bounds
+  const startX = Math.max(0, x - halfSize);
+  const startY = Math.max(0, y - halfSize);
+  const endX = Math.min(imageData.width, x + halfSize + 1);
+  const endY = Math.min(imageData.height, y + halfSize + 1);
+  
+  const data = imageData.data;
+  
+  let r = 0, g = 0, b = 0, count = 0;
+  
+  for (let py = startY; py < endY; py++) {
+    for (let px = startX; px < endX; px++) {
+      const i = (py * imageData.width + px) * 4;
+      r += data[i];
+      g += data[i + 1];
+      b += data[i + 2];
+      count++;
+    }
+  }
+  
+  if (count === 0) return { r: 0, g: 0, b: 0 };
+  
+  return {
+    r: Math.round(r / count),
+    g: Math.round(g / count),
+    b: Math.round(b / count)
+  };
+}
+
+// ============================================================================
+// Image Analysis
+// ============================================================================
+
+// Per-pixel Rec. 601 luminance (0-255) of an RGBA buffer
+function computeLuminance(imageData) {
+  const { data, width, height } = imageData;
+  const luminance = new Float32Array(width * height);
+  for (let i = 0, j = 0; i < luminance.length; i++, j += 4) {
+    luminance[i] = 0.299 * data[j] + 0.587 * data[j + 1] + 0.114 * data[j + 2];
+  }
+  return luminance;
+}
+
+// Sobel gradient magnitude of the image luminance
+function computeGradientMagnitude(imageData) {
+  return sobelGradient(computeLuminance(imageData), imageData.width, imageData.height).magnitude;
+}
+
+// Sobel gradient { gx, gy, magnitude } of a scalar field; edge pixels
+// replicate their nearest neighbor so the border does not read as an edge
+function sobelGradient(luminance, width, height) {
+  const gradientX = new Float32Array(width * height);
+  const gradientY = new Float32Array(width * height);
+  const magnitude = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const up = Math.max(0, y - 1) * width;
+    const row = y * width;
+    const down = Math.min(height - 1, y + 1) * width;
+
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(0, x - 1);
+      const right = Math.min(width - 1, x + 1);
+
+      const gx = (luminance[up + right] + 2 * luminance[row + right] + luminance[down + right]) -
+                 (luminance[up + left] + 2 * luminance[row + left] + luminance[down + left]);
+      const gy = (luminance[down + left] + 2 * luminance[down + x] + luminance[down + right]) -
+                 (luminance[up + left] + 2 * luminance[up + x] + luminance[up + right]);
+
+      gradientX[row + x] = gx;
+      gradientY[row + x] = gy;
+      magnitude[row + x] = Math.sqrt(gx * gx + gy * gy);
+    }
+  }
+
+  return { gx: gradientX, gy: gradientY, magnitude };
+}
+
+// Quantile of all gradient magnitudes above which ridge pixels are strong
+// edges, and the fraction of that threshold weak edges must reach
+const EDGE_HIGH_QUANTILE = 0.9;
+const EDGE_LOW_RATIO = 0.4;
+
+// Gradients weaker than this (on a 0-255 luminance scale) are never edges,
+// so flat images do not turn their noise into contours
+const EDGE_MIN_THRESHOLD = 24;
+
+// Canny edge detection: Sobel gradients of the lightly blurred luminance,
+// thinned to one-pixel ridges by non-maximum suppression and linked by
+// hysteresis. The thresholds adapt to the image (see EDGE_HIGH_QUANTILE).
+// Returns { width, height, edges, magnitude, nx, ny } with edges 1 on
+// edge pixels and (nx, ny) the unit gradient direction, across the edge.
+function detectEdges(imageData) {
+  const { width, height } = imageData;
+  const luminance = blurField(computeLuminance(imageData), width, height, 1);
+  const { gx, gy, magnitude } = sobelGradient(luminance, width, height);
+  const at = (x, y) => (x >= 0 && x < width && y >= 0 && y < height ? magnitude[y * width + x] : 0);
+
+  // Keep pixels that are maxima along their gradient direction
+  const TAN_22_5 = Math.SQRT2 - 1;
+  const ridge = new Uint8Array(width * height);
+  const histogram = new Uint32Array(1024);
+  for (let y = 0, i = 0; y < height; y++) {
+    for (let x = 0; x < width; x++, i++) {
+      const m = magnitude[i];
+      histogram[Math.min(1023, Math.floor(m))]++;
+      if (m < EDGE_MIN_THRESHOLD * EDGE_LOW_RATIO) continue;
+      const ax = Math.abs(gx[i]);
+      const ay = Math.abs(gy[i]);
+      let a;
+      let b;
+      if (ay <= ax * TAN_22_5) {
+        a = at(x - 1, y);
+        b = at(x + 1, y);
+      } else if (ax <= ay * TAN_22_5) {
+        a = at(x, y - 1);
+        b = at(x, y + 1);
+      } else if (gx[i] * gy[i] > 0) {
+        a = at(x - 1, y - 1);
+        b = at(x + 1, y + 1);
+      } else {
+        a = at(x + 1, y - 1);
+        b = at(x - 1, y + 1);
+      }
+      if (m >= a && m > b) ridge[i] = 1;
+    }
+  }
+
+  let high = 1024;
+  for (let bin = 0, seen = 0; bin < 1024; bin++) {
+    seen += histogram[bin];
+    if (seen >= magnitude.length * EDGE_HIGH_QUANTILE) {
+      high = bin + 1;
+      break;
+    }
+  }
+  high = Math.max(high, EDGE_MIN_THRESHOLD);
+  const low = high * EDGE_LOW_RATIO;
+
+  // Hysteresis: grow from strong pixels through connected weak ones
+  const edges = new Uint8Array(width * height);
+  const stack = [];
+  for (let i = 0; i < ridge.length; i++) {
+    if (ridge[i] && magnitude[i] >= high) {
+      edges[i] = 1;
+      stack.push(i);
+    }
+  }
+  while (stack.length > 0) {
+    const i = stack.pop();
+    const x = i % width;
+    const y = (i - x) / width;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+        const j = ny * width + nx;
+        if (!edges[j] && ridge[j] && magnitude[j] >= low) {
+          edges[j] = 1;
+          stack.push(j);
+        }
+      }
+    }
+  }
+
+  const nx = new Float32Array(width * height);
+  const ny = new Float32Array(width * height);
+  for (let i = 0; i < edges.length; i++) {
+    if (!edges[i]) continue;
+    nx[i] = gx[i] / magnitude[i];
+    ny[i] = gy[i] / magnitude[i];
+  }
+
+  return { width, height, edges, magnitude, nx, ny };
+}
+
+// Separable box blur of a scalar field, clamped at the borders
+function blurField(field, width, height, radius) {
+  const temp = new Float32Array(field.length);
+  const result = new Float32Array(field.length);
+  const size = 2 * radius + 1;
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += field[row + Math.min(width - 1, Math.max(0, x + k))];
+      }
+      temp[row + x] = sum / size;
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += temp[Math.min(height - 1, Math.max(0, y + k)) * width + x];
+      }
+      result[y * width + x] = sum / size;
+    }
+  }
+
+  return result;
+}
+
+// ============================================================================
+// Point Distributions
+// ============================================================================
+
+// Poisson-disc sampling reaches roughly this fraction of the count that a
+// perfect hexagonal packing at the same minimum distance would
+const POISSON_PACKING = 0.55;
+
+// Generates the seed points for the Voronoi diagram. Options:
+//   distribution     'uniform', 'poisson', 'grid', 'hex' or 'detail'
+//   jitter           0-1 random offset for the grid and hex lattices
+//   poissonAttempts  candidates tried around each Poisson-disc sample
+//   detailBias       0-1 share of the detail mode driven by image edges
+//   imageData        RGBA buffer the detail mode samples from
+//   random           source of random numbers in [0, 1)
+function generatePoints(count, width, height, options = {}) {
+  const {
+    distribution = 'uniform',
+    jitter = 0.5,
+    poissonAttempts = 30,
+    detailBias = 0.8,
+    imageData = null,
+    density = null,
+    random = Math.random
+  } = options;
+
+  switch (distribution) {
+    case 'poisson':
+      return generatePoissonPoints(count, width, height, poissonAttempts, random, density);
+    case 'grid':
+    case 'hex': {
+      // Lattices can only be thinned: lay one out as dense as the densest
+      // region (within reason) and keep points in proportion to the density
+      const generate = distribution === 'grid' ? generateGridPoints : generateHexPoints;
+      if (!density) return generate(count, width, height, jitter, random);
+      const peak = Math.min(LATTICE_MAX_THINNING, Math.max(1, maxOf(density)));
+      return generate(Math.round(count * peak), width, height, jitter, random).filter(point => {
+        const d = density[Math.floor(point.y) * width + Math.floor(point.x)];
+        return random() * peak < d;
+      });
+    }
+    case 'detail':
+      if (imageData) {
+        const detail = computeDetailDensity(imageData, detailBias);
+        if (density) {
+          for (let i = 0; i < detail.length; i++) detail[i] *= density[i];
+        }
+        return sampleDensity(detail, count, width, random);
+      }
+      return density ? sampleDensity(density, count, width, random) :
+        generateUniformPoints(count, width, height, random);
+    default:
+      return density ? sampleDensity(density, count, width, random) :
+        generateUniformPoints(count, width, height, random);
+  }
+}
+
+// Lattices are laid out at most this many times denser than requested
+// before thinning, which caps how far a mask can concentrate them
+const LATTICE_MAX_THINNING = 16;
+
+function maxOf(values) {
+  let max = -Infinity;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] > max) max = values[i];
+  }
+  return max;
+}
+
+// Number of points generatePoints will produce for the same arguments.
+// Exact for the lattices; Poisson-disc sampling is only known on average.
+function estimatePointCount(count, width, height, options = {}) {
+  const { distribution = 'uniform' } = options;
+  if (distribution === 'grid') {
+    const { columns, rows } = gridDimensions(count, width, height);
+    return columns * rows;
+  }
+  if (distribution === 'hex') {
+    return generateHexPoints(count, width, height, 0, () => 0.5).length;
+  }
+  return count;
+}
+
+function generateUniformPoints(count, width, height, random) {
+  const points = [];
+  
+  // Cells are clipped to the image, so no border points are needed
+  for (let i = 0; i < count; i++) {
+    points.push(new Point(
+      random() * width,
+      random() * height
+    ));
+  }
+  
+  return points;
+}
+
+// Bridson's blue-noise sampling: every point keeps at least radius distance
+// from all others, with the radius chosen to land near the requested count.
+// With a (mean 1) density the radius shrinks where the density is high.
+function generatePoissonPoints(count, width, height, attempts, random, density = null) {
+  const baseRadius = Math.sqrt(POISSON_PACKING * width * height / (count * Math.sqrt(3) / 2));
+  const radiusAt = density ?
+    (x, y) => baseRadius / Math.sqrt(Math.max(1e-6, density[Math.floor(y) * width + Math.floor(x)])) :
+    () => baseRadius;
+
+  // Grid cells small enough to hold one point at the smallest radius
+  const minRadius = density ? baseRadius / Math.sqrt(Math.max(1, maxOf(density))) : baseRadius;
+  const cellSize = minRadius / Math.SQRT2;
+  const columns = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const grid = new Int32Array(columns * rows).fill(-1);
+  const points = [];
+  const radii = [];
+  const active = [];
+
+  const addPoint = (x, y) => {
+    grid[Math.floor(y / cellSize) * columns + Math.floor(x / cellSize)] = points.length;
+    active.push(points.length);
+    points.push(new Point(x, y));
+    radii.push(radiusAt(x, y));
+  };
+
+  // Two points must be at least the smaller of their radii apart, which
+  // lets dense regions grow into sparse ones across their boundary
+  const isFarEnough = (x, y, radius) => {
+    const reach = Math.ceil(radius / cellSize);
+    const column = Math.floor(x / cellSize);
+    const row = Math.floor(y / cellSize);
+    for (let j = Math.max(0, row - reach); j <= Math.min(rows - 1, row + reach); j++) {
+      for (let i = Math.max(0, column - reach); i <= Math.min(columns - 1, column + reach); i++) {
+        const index = grid[j * columns + i];
+        if (index === -1) continue;
+        const other = points[index];
+        const limit = density ? Math.min(radius, radii[index]) : radius;
+        if (squaredDistance(x, y, other.x, other.y) < limit * limit) {
+          return false;
+        }
+      }
+    }
+    return true;
+  };
+
+  addPoint(random() * width, random() * height);
+
+  while (active.length > 0) {
+    const slot = Math.floor(random() * active.length);
+    const origin = points[active[slot]];
+    const radius = radii[active[slot]];
+    let found = false;
+
+    for (let k = 0; k < attempts; k++) {
+      // Uniform by area within the annulus [radius, 2 * radius]
+      const angle = random() * 2 * Math.PI;
+      const distance = radius * Math.sqrt(1 + 3 * random());
+      const x = origin.x + Math.cos(angle) * distance;
+      const y = origin.y + Math.sin(angle) * distance;
+
+      if (x >= 0 && x < width && y >= 0 && y < height && isFarEnough(x, y, radiusAt(x, y))) {
+        addPoint(x, y);
+        found = true;
+        break;
+      }
+    }
+
+    if (!found) {
+      active[slot] = active[active.length - 1];
+      active.pop();
+    }
+  }
+
+  return points;
+}
+
+// Columns and rows of a grid with roughly count square-ish cells
+function gridDimensions(count, width, height) {
+  const columns = Math.max(1, Math.round(Math.sqrt(count * width / height)));
+  const rows = Math.max(1, Math.round(count / columns));
+  return { columns, rows };
+}
+
+// One point per grid cell, offset from the cell center by up to
+// jitter / 2 of the cell size
+function generateGridPoints(count, width, height, jitter, random) {
+  const { columns, rows } = gridDimensions(count, width, height);
+  const cellWidth = width / columns;
+  const cellHeight = height / rows;
+  const points = [];
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      points.push(new Point(
+        (column + 0.5 + (random() - 0.5) * jitter) * cellWidth,
+        (row + 0.5 + (random() - 0.5) * jitter) * cellHeight
+      ));
+    }
+  }
+
+  return points;
+}
+
+// Hexagonal lattice (every other row shifted by half a spacing), which
+// gives hexagonal cells; jitter moves points by up to jitter / 2 spacings
+function generateHexPoints(count, width, height, jitter, random) {
+  const spacing = Math.sqrt(width * height / (count * Math.sqrt(3) / 2));
+  const rowHeight = spacing * Math.sqrt(3) / 2;
+  const rows = Math.max(1, Math.round(height / rowHeight));
+  const offsetY = (height - (rows - 1) * rowHeight) / 2;
+  const points = [];
+
+  for (let row = 0; row < rows; row++) {
+    const shift = row % 2 === 0 ? 0.25 : 0.75;
+    const columns = Math.max(1, Math.round(width / spacing - shift + 0.5));
+    for (let column = 0; column < columns; column++) {
+      const x = (column + shift + (random() - 0.5) * jitter) * spacing;
+      const y = offsetY + (row + (random() - 0.5) * jitter) * rowHeight;
+      if (x >= 0 && x < width && y >= 0 && y < height) {
+        points.push(new Point(x, y));
+      }
+    }
+  }
+
+  return points;
+}
+
+// Per-pixel density blending a flat 1 with the (blurred) gradient magnitude
+// normalized to a mean of 1, so bias 0 is uniform and bias 1 follows only
+// edges and texture
+function computeDetailDensity(imageData, bias) {
+  const { width, height } = imageData;
+  const density = blurField(computeGradientMagnitude(imageData), width, height, 2);
+
+  let mean = 0;
+  for (let i = 0; i < density.length; i++) mean += density[i];
+  mean /= density.length;
+
+  for (let i = 0; i < density.length; i++) {
+    density[i] = mean > 0 ? (1 - bias) + bias * density[i] / mean : 1;
+  }
+  return density;
+}
+
+// Importance sampling: each pixel is picked with probability proportional
+// to its density, so edges and texture (or the bright parts of a mask)
+// receive more, smaller cells than flat areas
+function sampleDensity(density, count, width, random) {
+  const cumulative = new Float64Array(density.length);
+  let total = 0;
+  for (let i = 0; i < density.length; i++) {
+    total += density[i];
+    cumulative[i] = total;
+  }
+
+  const points = [];
+  for (let k = 0; k < count; k++) {
+    const target = random() * total;
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (cumulative[middle] > target) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    points.push(new Point(
+      low % width + random(),
+      Math.floor(low / width) + random()
+    ));
+  }
+
+  return points;
+}
+
+// Edge-aware placement: seeds are added in mirrored pairs straddling the
+// strongest contours of an edge map (see detectEdges()), so the boundary
+// between the two cells of a pair, their perpendicular bisector, runs along
+// the contour. Other seeds that close to a contour would cut across it and
+// are dropped, then random ones go until the count is back to what it was.
+// strength (0-1) sets the share of the seeds that may go to edge pairs and
+// how closely the pairs follow each other along a contour.
+function alignPointsToEdges(points, edgeMap, strength, random) {
+  const { width, height, edges, magnitude, nx, ny } = edgeMap;
+  const count = points.length;
+  const spacing = Math.sqrt((width * height) / Math.max(1, count));
+  const pairSpacing = Math.max(2, spacing * (1 - 0.6 * strength));
+  const maxPairs = Math.floor((count * strength) / 2);
+  if (maxPairs === 0) return points;
+
+  // Strongest contour pixels first
+  const candidates = [];
+  for (let i = 0; i < edges.length; i++) {
+    if (edges[i]) candidates.push(i);
+  }
+  candidates.sort((a, b) => magnitude[b] - magnitude[a]);
+
+  // Samples along the contours, at least pairSpacing apart (grid as in
+  // generatePoissonPoints())
+  const cellSize = pairSpacing / Math.SQRT2;
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const grid = new Int32Array(cols * rows).fill(-1);
+  const samples = [];
+  const nearSample = (x, y) => {
+    const col = Math.floor(x / cellSize);
+    const row = Math.floor(y / cellSize);
+    for (let r = Math.max(0, row - 2); r <= Math.min(rows - 1, row + 2); r++) {
+      for (let c = Math.max(0, col - 2); c <= Math.min(cols - 1, col + 2); c++) {
+        const index = grid[r * cols + c];
+        if (index === -1) continue;
+        const sample = samples[index];
+        if ((sample.x - x) ** 2 + (sample.y - y) ** 2 < pairSpacing * pairSpacing) return true;
+      }
+    }
+    return false;
+  };
+
+  // Gradient magnitude between pixel centers (bilinear)
+  const magnitudeAt = (x, y) => {
+    const fx = Math.min(width - 1, Math.max(0, x - 0.5));
+    const fy = Math.min(height - 1, Math.max(0, y - 0.5));
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const x1 = Math.min(width - 1, x0 + 1);
+    const y1 = Math.min(height - 1, y0 + 1);
+    const tx = fx - x0;
+    const ty = fy - y0;
+    const top = magnitude[y0 * width + x0] * (1 - tx) + magnitude[y0 * width + x1] * tx;
+    const bottom = magnitude[y1 * width + x0] * (1 - tx) + magnitude[y1 * width + x1] * tx;
+    return top * (1 - ty) + bottom * ty;
+  };
+
+  for (const i of candidates) {
+    if (samples.length >= maxPairs) break;
+    let x = (i % width) + 0.5;
+    let y = Math.floor(i / width) + 0.5;
+    if (nearSample(x, y)) continue;
+
+    // Edge pixels sit up to half a pixel off the real contour; a parabola
+    // through the magnitudes across the edge finds its peak
+    const before = magnitudeAt(x - nx[i], y - ny[i]);
+    const after = magnitudeAt(x + nx[i], y + ny[i]);
+    const curvature = before - 2 * magnitude[i] + after;
+    if (curvature < 0) {
+      const t = Math.max(-0.5, Math.min(0.5, (before - after) / (2 * curvature)));
+      x += t * nx[i];
+      y += t * ny[i];
+    }
+    grid[Math.floor(y / cellSize) * cols + Math.floor(x / cellSize)] = samples.length;
+    samples.push({ x, y, nx: nx[i], ny: ny[i] });
+  }
+
+  const offset = pairSpacing / 2;
+  const clampX = x => Math.min(width, Math.max(0, x));
+  const clampY = y => Math.min(height, Math.max(0, y));
+  const pairs = [];
+  for (const sample of samples) {
+    pairs.push(
+      new Point(clampX(sample.x - sample.nx * offset), clampY(sample.y - sample.ny * offset)),
+      new Point(clampX(sample.x + sample.nx * offset), clampY(sample.y + sample.ny * offset))
+    );
+  }
+
+  const kept = points.filter(p => !nearSample(p.x, p.y));
+  // Partial Fisher-Yates: a random subset of the rest fills the budget
+  const keep = Math.max(0, Math.min(kept.length, count - pairs.length));
+  for (let i = 0; i < keep; i++) {
+    const j = i + Math.floor(random() * (kept.length - i));
+    [kept[i], kept[j]] = [kept[j], kept[i]];
+  }
+  return kept.slice(0, keep).concat(pairs);
+}
+
+// ============================================================================
+// Masks
+// ============================================================================
+// A mask is a grayscale layer { width, height, data } with one byte per
+// pixel, stretched over the image whatever its own resolution. White asks
+// for the smallest cells (and, with maskThickness, the thinnest lines),
+// black for the largest.
+
+// Mask value (0-1) at image position (x, y) of a width x height image
+function sampleMask(mask, x, y, width, height) {
+  const mx = Math.min(mask.width - 1, Math.max(0, Math.floor(x / width * mask.width)));
+  const my = Math.min(mask.height - 1, Math.max(0, Math.floor(y / height * mask.height)));
+  return mask.data[my * mask.width + mx] / 255;
+}
+
+// Per-pixel seed density from a mask, normalized to a mean of 1 so the total
+// point count is unchanged; white areas get contrast times the density of
+// black ones
+function maskDensity(mask, width, height, contrast) {
+  const density = new Float64Array(width * height);
+  const columns = new Int32Array(width);
+  for (let x = 0; x < width; x++) {
+    columns[x] = Math.min(mask.width - 1, Math.floor((x + 0.5) / width * mask.width));
+  }
+
+  let sum = 0;
+  for (let y = 0, i = 0; y < height; y++) {
+    const row = Math.min(mask.height - 1, Math.floor((y + 0.5) / height * mask.height)) * mask.width;
+    for (let x = 0; x < width; x++, i++) {
+      density[i] = 1 + (contrast - 1) * mask.data[row + columns[x]] / 255;
+      sum += density[i];
+    }
+  }
+
+  const mean = sum / density.length;
+  for (let i = 0; i < density.length; i++) density[i] /= mean;
+  return density;
+}
+
+// Stroke width of a cell whose seed sits on mask value maskValue (undefined
+// without a mask)
+function cellLineThickness(settings, maskValue) {
+  const { lineThickness, maskThickness = 0 } = settings;
+  if (maskValue === undefined) return lineThickness;
+  return lineThickness * (1 - maskThickness * maskValue);
+}
+
+// ============================================================================
+// Cell Coloring
+// ============================================================================
+
+// Lists the pixels of every cell: the pixel indices of cell i are
+// pixels[offsets[i]] to pixels[offsets[i + 1] - 1] (a counting sort)
+function groupPixelsByCell(labels, cellCount) {
+  const offsets = new Uint32Array(cellCount + 1);
+  for (let i = 0; i < labels.length; i++) {
+    if (labels[i] !== -1) offsets[labels[i] + 1]++;
+  }
+  for (let i = 0; i < cellCount; i++) offsets[i + 1] += offsets[i];
+
+  const pixels = new Uint32Array(offsets[cellCount]);
+  const fill = offsets.slice(0, cellCount);
+  for (let i = 0; i < labels.length; i++) {
+    if (labels[i] !== -1) pixels[fill[labels[i]]++] = i;
+  }
+  return { offsets, pixels };
+}
+
+// Per-channel median, read off 256-bin histograms
+function medianColor(data, pixels, start, end) {
+  const histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+  for (let k = start; k < end; k++) {
+    const i = pixels[k] * 4;
+    histograms[0][data[i]]++;
+    histograms[1][data[i + 1]]++;
+    histograms[2][data[i + 2]]++;
+  }
+
+  const half = (end - start) / 2;
+  const [r, g, b] = histograms.map(histogram => {
+    let count = 0;
+    for (let value = 0; value < 256; value++) {
+      count += histogram[value];
+      if (count >= half) return value;
+    }
+    return 255;
+  });
+  return { r, g, b };
+}
+
+// Mean color of the most common 4-bit-per-channel bucket, so the cell takes
+// the color covering most of it rather than a blend of everything in it
+const dominantCounts = new Uint32Array(4096);
+const dominantSums = new Float64Array(4096 * 3);
+
+function dominantColor(data, pixels, start, end) {
+  const touched = [];
+  let best = -1;
+
+  for (let k = start; k < end; k++) {
+    const i = pixels[k] * 4;
+    const bucket = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    if (dominantCounts[bucket] === 0) touched.push(bucket);
+    dominantCounts[bucket]++;
+    dominantSums[bucket * 3] += data[i];
+    dominantSums[bucket * 3 + 1] += data[i + 1];
+    dominantSums[bucket * 3 + 2] += data[i + 2];
+    if (best === -1 || dominantCounts[bucket] > dominantCounts[best]) best = bucket;
+  }
+
+  const count = dominantCounts[best];
+  const color = {
+    r: Math.round(dominantSums[best * 3] / count),
+    g: Math.round(dominantSums[best * 3 + 1] / count),
+    b: Math.round(dominantSums[best * 3 + 2] / count)
+  };
+
+  for (const bucket of touched) {
+    dominantCounts[bucket] = 0;
+    dominantSums[bucket * 3] = dominantSums[bucket * 3 + 1] = dominantSums[bucket * 3 + 2] = 0;
+  }
+  return color;
+}
+
+function colorDistanceSquared(a, b) {
+  const dr = a.r - b.r;
+  const dg = a.g - b.g;
+  const db = a.b - b.b;
+  return dr * dr + dg * dg + db * db;
+}
+
+function nearestPaletteColor(color, palette) {
+  let best = palette[0];
+  let bestDistance = Infinity;
+  for (const candidate of palette) {
+    const distance = colorDistanceSquared(color, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// Parses a list of hex colors ("#264653, #2a9d8f e9c46a"); invalid entries
+// are skipped
+function parsePalette(text) {
+  const palette = [];
+  for (const token of String(text).split(/[\s,;]+/)) {
+    const hex = token.replace(/^#/, '');
+    if (/^[0-9a-f]{3}$/i.test(hex)) {
+      palette.push({
+        r: parseInt(hex[0] + hex[0], 16),
+        g: parseInt(hex[1] + hex[1], 16),
+        b: parseInt(hex[2] + hex[2], 16)
+      });
+    } else if (/^[0-9a-f]{6}$/i.test(hex)) {
+      palette.push({
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16)
+      });
+    }
+  }
+  return palette;
+}
+
+// Weighted k-means over colors (k-means++ seeding), giving a palette of at
+// most k colors that best represents them
+function kMeansPalette(colors, weights, k, random, iterations = 16) {
+  if (colors.length === 0) return [];
+  k = Math.min(k, colors.length);
+
+  // k-means++: each new center is picked with probability proportional to
+  // its weighted squared distance from the nearest existing center
+  const centers = [colors[Math.floor(random() * colors.length)]];
+  const distances = new Float64Array(colors.length).fill(Infinity);
+  while (centers.length < k) {
+    const last = centers[centers.length - 1];
+    let total = 0;
+    for (let i = 0; i < colors.length; i++) {
+      distances[i] = Math.min(distances[i], colorDistanceSquared(colors[i], last));
+      total += distances[i] * weights[i];
+    }
+    if (total === 0) break;
+
+    let target = random() * total;
+    let chosen = colors.length - 1;
+    for (let i = 0; i < colors.length; i++) {
+      target -= distances[i] * weights[i];
+      if (target <= 0) {
+        chosen = i;
+        break;
+      }
+    }
+    centers.push(colors[chosen]);
+  }
+
+  let palette = centers.map(c => ({ r: c.r, g: c.g, b: c.b }));
+  const assignments = new Int32Array(colors.length);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const sums = palette.map(() => ({ r: 0, g: 0, b: 0, weight: 0 }));
+    let changed = false;
+
+    for (let i = 0; i < colors.length; i++) {
+      let best = 0;
+      let bestDistance = Infinity;
+      for (let j = 0; j < palette.length; j++) {
+        const distance = colorDistanceSquared(colors[i], palette[j]);
+        if (distance < bestDistance) {
+          best = j;
+          bestDistance = distance;
+        }
+      }
+      if (assignments[i] !== best) changed = true;
+      assignments[i] = best;
+
+      const sum = sums[best];
+      sum.r += colors[i].r * weights[i];
+      sum.g += colors[i].g * weights[i];
+      sum.b += colors[i].b * weights[i];
+      sum.weight += weights[i];
+    }
+
+    // Empty clusters keep their previous center
+    palette = palette.map((center, j) => sums[j].weight > 0 ? {
+      r: sums[j].r / sums[j].weight,
+      g: sums[j].g / sums[j].weight,
+      b: sums[j].b / sums[j].weight
+    } : center);
+
+    if (!changed && iteration > 0) break;
+  }
+
+  return palette.map(c => ({ r: Math.round(c.r), g: Math.round(c.g), b: Math.round(c.b) }));
+}
+
+// Computes one color per polygon from an RGBA buffer. Color modes:
+//   mean      average of every pixel inside the cell
+//   median    per-channel median of the pixels inside the cell
+//   center    average of a smoothness x smoothness square at the centroid
+//   dominant  the most common color inside the cell
+// The colors are then optionally snapped to a palette: 'kmeans' finds the
+// paletteSize colors that fit best, 'custom' uses settings.customPalette;
+// passing a palette (or null for none) in the options overrides both.
+// Resolves to { colors, palette } with the palette that was applied.
+async function computeCellColors(polygons, imageData, settings, { onProgress = () => {}, signal, palette: fixedPalette } = {}) {
+  const { colorMode = 'mean', smoothness = 7, palette = 'none' } = settings;
+  const { data, width, height } = imageData;
+
+  // Rasterize once and accumulate (or group) pixels per cell in one pass
+  let sums = null;
+  let groups = null;
+  if (colorMode !== 'center') {
+    const labels = rasterizeCells(polygons, width, height);
+    if (colorMode === 'mean') {
+      sums = new Float64Array(polygons.length * 4);
+      for (let i = 0; i < labels.length; i++) {
+        const label = labels[i];
+        if (label === -1) continue;
+        sums[label * 4] += data[i * 4];
+        sums[label * 4 + 1] += data[i * 4 + 1];
+        sums[label * 4 + 2] += data[i * 4 + 2];
+        sums[label * 4 + 3]++;
+      }
+    } else {
+      groups = groupPixelsByCell(labels, polygons.length);
+    }
+  }
+  onProgress(0.2);
+  throwIfCancelled(signal);
+
+  const colors = new Array(polygons.length);
+  const pixelCounts = new Float64Array(polygons.length);
+  const chunkSize = Math.max(1, Math.floor(polygons.length / 50));
+
+  for (let start = 0; start < polygons.length; start += chunkSize) {
+    const end = Math.min(start + chunkSize, polygons.length);
+
+    for (let i = start; i < end; i++) {
+      const count = sums ? sums[i * 4 + 3] : groups ? groups.offsets[i + 1] - groups.offsets[i] : 0;
+      pixelCounts[i] = Math.max(1, count);
+
+      if (count === 0) {
+        // Center sampling, or a sliver too thin to cover a pixel center
+        const centroid = calculateCentroid(polygons[i], width, height);
+        colors[i] = getAverageColorAtPoint(imageData, centroid.x, centroid.y, smoothness);
+      } else if (sums) {
+        colors[i] = {
+          r: Math.round(sums[i * 4] / count),
+          g: Math.round(sums[i * 4 + 1] / count),
+          b: Math.round(sums[i * 4 + 2] / count)
+        };
+      } else if (colorMode === 'median') {
+        colors[i] = medianColor(data, groups.pixels, groups.offsets[i], groups.offsets[i + 1]);
+      } else {
+        colors[i] = dominantColor(data, groups.pixels, groups.offsets[i], groups.offsets[i + 1]);
+      }
+    }
+
+    onProgress(0.2 + (end / polygons.length) * 0.7);
+    await nextTick();
+    throwIfCancelled(signal);
+  }
+
+  let targetPalette = null;
+  if (fixedPalette !== undefined) {
+    // Recoloring part of an existing mosaic keeps its palette
+    targetPalette = fixedPalette;
+  } else if (palette === 'kmeans') {
+    // Own random stream, so recoloring does not depend on point generation
+    const random = createRandom(`${settings.seed || ''}:palette`);
+    targetPalette = kMeansPalette(colors, pixelCounts, settings.paletteSize || 8, random);
+  } else if (palette === 'custom') {
+    targetPalette = parsePalette(settings.customPalette || '');
+  }
+  if (targetPalette && targetPalette.length > 0) {
+    for (let i = 0; i < colors.length; i++) {
+      colors[i] = nearestPaletteColor(colors[i], targetPalette);
+    }
+  }
+  onProgress(1);
+
+  return { colors, palette: targetPalette };
+}
+
+// ============================================================================
+// Cell Styling
+// ============================================================================
+// Shared by the canvas renderer and the SVG generator so both outputs draw
+// exactly the same shapes and colors.
+
+// Drawing options of a mosaic (tessellation, strokes and gaps), taken from
+// the settings
+function strokeStyleFromSettings(settings) {
+  return {
+    tessellation: settings.tessellation,
+    backgroundColor: settings.backgroundColor,
+    strokeColor: settings.strokeColor,
+    strokeOpacity: settings.strokeOpacity,
+    outlineMode: settings.outlineMode,
+    outlineAmount: settings.outlineAmount,
+    lineJoin: settings.lineJoin,
+    lineCap: settings.lineCap,
+    gap: settings.gap,
+    gapColor: settings.gapColor
+  };
+}
+
+function formatColor(color) {
+  return `rgb(${Math.round(color.r)},${Math.round(color.g)},${Math.round(color.b)})`;
+}
+
+// Blends a color toward black (amount < 0) or white (amount > 0)
+function shadeColor(color, amount) {
+  const target = amount < 0 ? 0 : 255;
+  const t = Math.abs(amount);
+  return {
+    r: Math.round(color.r + (target - color.r) * t),
+    g: Math.round(color.g + (target - color.g) * t),
+    b: Math.round(color.b + (target - color.b) * t)
+  };
+}
+
+// Shrinks a convex polygon by moving every edge inward by distance; cells
+// thinner than twice the distance vanish entirely
+function insetPolygon(points, distance) {
+  if (distance <= 0 || points.length < 3) return points;
+
+  // Signed area tells which side of each edge is the inside
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % points.length];
+    area += p.x * q.y - q.x * p.y;
+  }
+  const side = area > 0 ? 1 : -1;
+
+  let polygon = [];
+  for (const point of points) polygon.push(point.x, point.y);
+
+  for (let i = 0; i < points.length && polygon.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length === 0) continue;
+
+    // Inward unit normal of edge a -> b
+    const nx = -(b.y - a.y) / length * side;
+    const ny = (b.x - a.x) / length * side;
+    polygon = clipPolygon(polygon, a.x + nx * distance, a.y + ny * distance, -nx, -ny);
+  }
+
+  const result = [];
+  for (let i = 0; i < polygon.length; i += 2) {
+    result.push({ x: polygon[i], y: polygon[i + 1] });
+  }
+  return result;
+}
+
+function fixedStrokeColor(style) {
+  return formatColor(parsePalette(style.strokeColor || '#000000')[0] || { r: 0, g: 0, b: 0 });
+}
+
+// Resolves how one cell is drawn: the polygon (inset when there is a gap),
+// fill, and stroke color, opacity and width (width 0 means no stroke)
+function resolveCellStyle(cell, style) {
+  const { outlineMode = 'fixed', outlineAmount = 0.4, gap = 0 } = style;
+
+  let stroke;
+  if (outlineMode === 'darken') {
+    stroke = formatColor(shadeColor(cell.color, -outlineAmount));
+  } else if (outlineMode === 'lighten') {
+    stroke = formatColor(shadeColor(cell.color, outlineAmount));
+  } else {
+    stroke = fixedStrokeColor(style);
+  }
+
+  return {
+    points: gap > 0 ? insetPolygon(cell.points, gap / 2) : cell.points,
+    fill: formatColor(cell.color),
+    stroke: stroke,
+    strokeOpacity: style.strokeOpacity === undefined ? 0.3 : style.strokeOpacity,
+    strokeWidth: cell.lineThickness > 0 ? cell.lineThickness : 0
+  };
+}
+
+// Wireframe lines stay visible even with the cell borders turned off
+const WIREFRAME_MIN_WIDTH = 1;
+
+// Radius of the darkest stipple dot, relative to a circle of its cell's area
+const STIPPLE_MAX_RADIUS = 0.9;
+
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % points.length];
+    area += p.x * q.y - q.x * p.y;
+  }
+  return Math.abs(area) / 2;
+}
+
+// Stipple dots cover an area of their cell proportional to its darkness
+function stippleRadius(cell) {
+  const { r, g, b } = cell.color;
+  const darkness = 1 - (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  return STIPPLE_MAX_RADIUS * Math.sqrt((polygonArea(cell.points) / Math.PI) * darkness);
+}
+
+// Everything a mosaic draws, in order, given its tessellation:
+//   voronoi    the cells, filled and outlined
+//   delaunay   the Delaunay triangles of the seeds (low-poly), drawn like cells
+//   wireframe  the cell outlines in the cell colors over the Delaunay edges
+//   stipple    a dot at every seed, larger for darker cells
+// Shapes are { type: 'polygon', points, fill, stroke, strokeOpacity,
+// strokeWidth }, { type: 'line', points, stroke, strokeOpacity, strokeWidth }
+// or { type: 'circle', x, y, r, fill }, each with an opacity (animation
+// frames fade them in). background is the color behind them, or null.
+function mosaicShapes(data) {
+  const style = data.style || strokeStyleFromSettings(DEFAULT_SETTINGS);
+  const { tessellation = 'voronoi', backgroundColor = '#ffffff' } = style;
+  const opacityOf = item => (item.opacity === undefined ? 1 : item.opacity);
+  const shapes = [];
+
+  if (tessellation === 'stipple') {
+    for (const cell of data.cells) {
+      const r = stippleRadius(cell);
+      if (r > 0) {
+        shapes.push({ type: 'circle', x: cell.seed.x, y: cell.seed.y, r, fill: formatColor(cell.color), opacity: opacityOf(cell) });
+      }
+    }
+    return { background: backgroundColor, shapes };
+  }
+
+  if (tessellation === 'wireframe') {
+    for (const edge of data.edges || []) {
+      shapes.push({
+        type: 'line',
+        points: edge.points,
+        stroke: fixedStrokeColor(style),
+        strokeOpacity: style.strokeOpacity === undefined ? 0.3 : style.strokeOpacity,
+        strokeWidth: Math.max(WIREFRAME_MIN_WIDTH, edge.lineThickness),
+        opacity: 1
+      });
+    }
+    for (const cell of data.cells) {
+      if (cell.points.length < 3) continue;
+      shapes.push({
+        type: 'polygon',
+        points: cell.points,
+        fill: 'none',
+        stroke: formatColor(cell.color),
+        strokeOpacity: 1,
+        strokeWidth: Math.max(WIREFRAME_MIN_WIDTH, cell.lineThickness),
+        opacity: opacityOf(cell)
+      });
+    }
+    return { background: backgroundColor, shapes };
+  }
+
+  const tiles = tessellation === 'delaunay' && data.triangles ? data.triangles : data.cells;
+  for (const tile of tiles) {
+    const resolved = resolveCellStyle(tile, style);
+    if (resolved.points.length < 3) continue;
+    shapes.push({ type: 'polygon', ...resolved, opacity: opacityOf(tile) });
+  }
+  // With a gap, the background shows through between the tiles as grout
+  return { background: style.gap > 0 ? style.gapColor : null, shapes };
+}
+
+// ============================================================================
+// SVG Export
+// ============================================================================
+
+// Default SVG export options; precision is the number of decimals kept in
+// coordinates (null keeps full precision)
+const SVG_EXPORT_DEFAULTS = {
+  precision: null,
+  mergeColors: false,
+  strokeAttributes: 'inline', // 'inline' | 'group' | 'style'
+  metadata: false
+};
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Presentation attributes of one shape (see mosaicShapes()), in output order
+function shapeAttributes(shape, style) {
+  const attributes = { fill: shape.fill || 'none' };
+  if (shape.strokeWidth > 0) {
+    attributes.stroke = shape.stroke;
+    attributes['stroke-opacity'] = shape.strokeOpacity;
+    attributes['stroke-width'] = shape.strokeWidth;
+    attributes['stroke-linejoin'] = style.lineJoin;
+    attributes['stroke-linecap'] = style.lineCap;
+  } else {
+    attributes.stroke = 'none';
+  }
+  if (shape.opacity < 1) attributes.opacity = shape.opacity;
+  return attributes;
+}
+
+// Generate SVG from processed Voronoi data
+function generateSVG(data, options = {}) {
+  const { width, height } = data;
+  const style = data.style || strokeStyleFromSettings(DEFAULT_SETTINGS);
+  const { precision, mergeColors, strokeAttributes, metadata } = { ...SVG_EXPORT_DEFAULTS, ...options };
+  
+  const formatNumber = precision === null || precision === undefined
+    ? n => String(n)
+    : n => String(+n.toFixed(precision));
+  
+  // Resolve every shape once (cells a gap has shrunk away are already gone)
+  const { background, shapes: resolvedShapes } = mosaicShapes(data);
+  const shapes = resolvedShapes
+    .filter(shape => shape.opacity > 0)
+    .map(shape => ({ shape, attributes: shapeAttributes(shape, style) }));
+  
+  // Attributes every shape shares (other than fill) can be written once
+  const shared = {};
+  if (strokeAttributes !== 'inline' && shapes.length > 0) {
+    for (const [name, value] of Object.entries(shapes[0].attributes)) {
+      if (name === 'fill') continue;
+      if (shapes.every(shape => shape.attributes[name] === value)) shared[name] = value;
+    }
+  }
+  
+  const attributeString = attributes => Object.entries(attributes)
+    .filter(([name]) => !(name in shared))
+    .map(([name, value]) => ` ${name}="${escapeXML(value)}"`)
+    .join('');
+  
+  let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n`;
+  
+  if (metadata && data.settings) {
+    const info = {
+      generator: 'Voronoisaic',
+      seed: data.settings.seed,
+      source: { width: width, height: height },
+      settings: data.settings
+    };
+    // Unicode escapes keep the JSON valid while leaving no markup characters
+    const json = JSON.stringify(info).replace(/&/g, '\\u0026').replace(/</g, '\\u003c');
+    svg += `  <metadata id="voronoisaic">${json}</metadata>\n`;
+  }
+  
+  const sharedNames = Object.keys(shared);
+  if (strokeAttributes === 'style' && sharedNames.length > 0) {
+    const rules = sharedNames.map(name => `${name}: ${shared[name]};`).join(' ');
+    svg += `  <style>.cells { ${rules} }</style>\n`;
+  }
+  
+  // Grout or background behind the shapes, matching the canvas
+  if (background) {
+    svg += `  <rect width="${width}" height="${height}" fill="${escapeXML(background)}" />\n`;
+  }
+  
+  if (strokeAttributes === 'group' && sharedNames.length > 0) {
+    svg += `  <g${sharedNames.map(name => ` ${name}="${escapeXML(shared[name])}"`).join('')}>\n`;
+  } else if (strokeAttributes === 'style' && sharedNames.length > 0) {
+    svg += `  <g class="cells">\n`;
+  } else {
+    svg += `  <g>\n`;
+  }
+  
+  const element = ({ shape, attributes }) => {
+    if (shape.type === 'circle') {
+      return `<circle cx="${formatNumber(shape.x)}" cy="${formatNumber(shape.y)}" r="${formatNumber(shape.r)}"${attributeString(attributes)} />`;
+    }
+    if (shape.type === 'line') {
+      const [a, b] = shape.points;
+      return `<line x1="${formatNumber(a.x)}" y1="${formatNumber(a.y)}" x2="${formatNumber(b.x)}" y2="${formatNumber(b.y)}"${attributeString(attributes)} />`;
+    }
+    const pointsString = shape.points.map(p => `${formatNumber(p.x)},${formatNumber(p.y)}`).join(' ');
+    return `<polygon points="${pointsString}"${attributeString(attributes)} />`;
+  };
+  
+  if (mergeColors) {
+    // One path per distinct set of attributes, each polygon a closed subpath
+    // and each line an open one; dots stay separate circles
+    const paths = new Map();
+    for (const entry of shapes) {
+      const { shape, attributes } = entry;
+      if (shape.type === 'circle') {
+        svg += `    ${element(entry)}\n`;
+        continue;
+      }
+      const key = attributeString(attributes);
+      const d = shape.points
+        .map((p, j) => `${j === 0 ? 'M' : j === 1 ? 'L' : ' '}${formatNumber(p.x)} ${formatNumber(p.y)}`)
+        .join('') + (shape.type === 'polygon' ? 'Z' : '');
+      if (paths.has(key)) {
+        paths.get(key).push(d);
+      } else {
+        paths.set(key, [d]);
+      }
+    }
+    
+    for (const [key, subpaths] of paths) {
+      svg += `    <path d="${subpaths.join('')}"${key} />\n`;
+    }
+  } else {
+    // Add each shape as its own element
+    for (const entry of shapes) {
+      svg += `    ${element(entry)}\n`;
+    }
+  }
+  
+  svg += `  </g>\n`;
+  svg += `</svg>`;
+  
+  return svg;
+}
+
+// ============================================================================
+// Fabrication Export
+// ============================================================================
+// Line drawings for laser cutters and pen plotters. The SVG export fills
+// overlapping shapes and draws every shared border twice; here the borders
+// of the cells (or low-poly triangles) become one network of lines, split
+// into a layer per color and ordered to keep the pen's travel short.
+
+// Default fabrication options:
+//   units        'px', 'mm' or 'in'
+//   width        output width in units (null: one unit per image pixel)
+//   kerf         width of material the cut burns away, in units. When set,
+//                every piece is cut on its own, grown by half the kerf so
+//                it comes out at its drawn size
+//   colorLayers  number of layers the colors are reduced to (1: a single
+//                layer holding everything)
+//   penOrder     order each layer's paths to shorten pen-up travel
+//   precision    decimals kept in coordinates
+const FABRICATION_DEFAULTS = {
+  units: 'px',
+  width: null,
+  kerf: 0,
+  colorLayers: 1,
+  penOrder: true,
+  precision: 3
+};
+
+// Millimeters per unit (CSS pixels are 1/96 in)
+const FABRICATION_UNITS = { px: 25.4 / 96, mm: 1, in: 25.4 };
+
+// Kerf corners whose miter would reach further than this many kerf offsets
+// are beveled instead
+const KERF_MITER_LIMIT = 2;
+
+// Stroke width of plotter SVG lines, in millimeters (a fine pen)
+const PLOTTER_LINE_WIDTH = 0.3;
+
+// Grows a convex polygon by moving every edge outward by distance
+function outsetPolygon(points, distance) {
+  const corners = points.filter((p, i) => {
+    const q = points[(i + 1) % points.length];
+    return p.x !== q.x || p.y !== q.y;
+  });
+  if (corners.length < 3) return corners;
+
+  let area = 0;
+  for (let i = 0; i < corners.length; i++) {
+    const p = corners[i];
+    const q = corners[(i + 1) % corners.length];
+    area += p.x * q.y - q.x * p.y;
+  }
+  const side = area > 0 ? 1 : -1;
+
+  // Outward unit normal of each edge i -> i + 1
+  const normals = corners.map((p, i) => {
+    const q = corners[(i + 1) % corners.length];
+    const length = Math.hypot(q.x - p.x, q.y - p.y);
+    return { x: (q.y - p.y) / length * side, y: -(q.x - p.x) / length * side };
+  });
+
+  const result = [];
+  corners.forEach((p, i) => {
+    const before = normals[(i + corners.length - 1) % corners.length];
+    const after = normals[i];
+    const cos = before.x * after.x + before.y * after.y;
+    if (Math.sqrt(2 / (1 + cos)) > KERF_MITER_LIMIT) {
+      result.push({ x: p.x + before.x * distance, y: p.y + before.y * distance });
+      result.push({ x: p.x + after.x * distance, y: p.y + after.y * distance });
+    } else {
+      const miter = distance / (1 + cos);
+      result.push({ x: p.x + (before.x + after.x) * miter, y: p.y + (before.y + after.y) * miter });
+    }
+  });
+  return result;
+}
+
+// Joins polygon borders into a network of unique edges: vertices closer
+// than tolerance merge, and an edge two polygons share is kept once.
+// Returns { vertices: [{ x, y }], edges: [[a, b]] } with vertex indices.
+function edgeNetwork(polygons, tolerance) {
+  // Vertices are bucketed in a grid four tolerances wide, so a neighboring
+  // bucket only needs a look when a vertex lies near its side. Buckets hash
+  // into a typed-array table (Map lookups dominate otherwise); vertices that
+  // share a slot are chained, and a collision only costs a comparison.
+  const size = 4 * tolerance;
+  const pointCount = polygons.reduce((sum, polygon) => sum + polygon.length, 0);
+  const tableSize = 1 << Math.ceil(Math.log2(2 * pointCount + 1));
+  const heads = new Int32Array(tableSize).fill(-1);
+  const chain = new Int32Array(pointCount);
+  const slot = (gx, gy) => (Math.imul(gx, 73856093) ^ Math.imul(gy, 19349663)) & (tableSize - 1);
+  const nearby = (value, cell) => {
+    const offset = value / size - cell;
+    if (offset * size < tolerance) return [cell, cell - 1];
+    if ((1 - offset) * size < tolerance) return [cell, cell + 1];
+    return [cell];
+  };
+
+  const vertices = [];
+  const vertexIndex = p => {
+    const gx = Math.floor(p.x / size);
+    const gy = Math.floor(p.y / size);
+    for (const bx of nearby(p.x, gx)) {
+      for (const by of nearby(p.y, gy)) {
+        for (let i = heads[slot(bx, by)]; i >= 0; i = chain[i]) {
+          if (Math.abs(vertices[i].x - p.x) <= tolerance && Math.abs(vertices[i].y - p.y) <= tolerance) return i;
+        }
+      }
+    }
+    const index = vertices.length;
+    const home = slot(gx, gy);
+    chain[index] = heads[home];
+    heads[home] = index;
+    vertices.push({ x: p.x, y: p.y });
+    return index;
+  };
+
+  const edges = [];
+  const linked = [];
+  for (const polygon of polygons) {
+    const ids = polygon.map(vertexIndex);
+    for (let i = 0; i < ids.length; i++) {
+      const a = Math.min(ids[i], ids[(i + 1) % ids.length]);
+      const b = Math.max(ids[i], ids[(i + 1) % ids.length]);
+      if (a === b) continue;
+      if (!linked[a]) linked[a] = [];
+      if (linked[a].includes(b)) continue;
+      linked[a].push(b);
+      edges.push([a, b]);
+    }
+  }
+  return { vertices, edges };
+}
+
+// Walks a network (see edgeNetwork()) into long polylines, so the pen
+// rarely lifts: paths start at vertices with an odd number of edges (where
+// some path has to end anyway), and each step takes the straightest unused
+// edge. Returns [{ points, closed }].
+function chainEdges(vertices, edges) {
+  const adjacency = vertices.map(() => []);
+  edges.forEach(([a, b], e) => {
+    adjacency[a].push(e);
+    adjacency[b].push(e);
+  });
+  const free = adjacency.map(list => list.length);
+  const used = new Uint8Array(edges.length);
+  const other = (e, v) => (edges[e][0] === v ? edges[e][1] : edges[e][0]);
+
+  const walk = start => {
+    const path = [start];
+    let previous = -1;
+    let current = start;
+    for (;;) {
+      let best = -1;
+      let bestScore = -Infinity;
+      for (const e of adjacency[current]) {
+        if (used[e]) continue;
+        // Cosine of the turn, up to the length of the incoming edge
+        let score = 0;
+        if (previous >= 0) {
+          const p = vertices[previous];
+          const c = vertices[current];
+          const n = vertices[other(e, current)];
+          const outX = n.x - c.x;
+          const outY = n.y - c.y;
+          score = ((c.x - p.x) * outX + (c.y - p.y) * outY) / (Math.sqrt(outX * outX + outY * outY) || 1);
+        }
+        if (score > bestScore) {
+          best = e;
+          bestScore = score;
+        }
+      }
+      if (best < 0) break;
+      used[best] = 1;
+      free[current]--;
+      previous = current;
+      current = other(best, current);
+      free[current]--;
+      path.push(current);
+    }
+    const closed = path.length > 3 && path[0] === path[path.length - 1];
+    if (closed) path.pop();
+    return { points: path.map(i => vertices[i]), closed };
+  };
+
+  const paths = [];
+  for (let v = 0; v < vertices.length; v++) {
+    while (free[v] % 2 === 1) paths.push(walk(v));
+  }
+  // Only closed loops are left
+  for (let v = 0; v < vertices.length; v++) {
+    while (free[v] > 0) paths.push(walk(v));
+  }
+  return paths;
+}
+
+// Orders paths by always moving to the nearest unvisited one, starting from
+// the origin. Open paths may be drawn backwards and closed ones may start at
+// any vertex, whichever is nearest. Entry points are bucketed in a grid, so
+// this stays fast for tens of thousands of paths.
+function orderPaths(paths) {
+  const entries = [];
+  paths.forEach((path, index) => {
+    const candidates = path.closed ? path.points.map((p, i) => i) : [0, path.points.length - 1];
+    for (const vertex of candidates) entries.push({ index, vertex, x: path.points[vertex].x, y: path.points[vertex].y });
+  });
+  if (entries.length === 0) return [];
+
+  let maxX = 0;
+  let maxY = 0;
+  for (const entry of entries) {
+    maxX = Math.max(maxX, entry.x);
+    maxY = Math.max(maxY, entry.y);
+  }
+  const size = Math.max(maxX, maxY, 1) / Math.ceil(Math.sqrt(entries.length));
+  const columns = Math.floor(Math.max(maxX, 0) / size) + 1;
+  const rows = Math.floor(Math.max(maxY, 0) / size) + 1;
+  const cellOf = value => Math.max(0, Math.floor(value / size));
+  const grid = Array.from({ length: columns * rows }, () => []);
+  for (const entry of entries) {
+    grid[Math.min(rows - 1, cellOf(entry.y)) * columns + Math.min(columns - 1, cellOf(entry.x))].push(entry);
+  }
+
+  const done = new Uint8Array(paths.length);
+  const nearest = (x, y) => {
+    const cx = Math.min(columns - 1, cellOf(x));
+    const cy = Math.min(rows - 1, cellOf(y));
+    let best = null;
+    let bestDistance = Infinity;
+    for (let ring = 0; ring < Math.max(columns, rows); ring++) {
+      for (let gy = cy - ring; gy <= cy + ring; gy++) {
+        for (let gx = cx - ring; gx <= cx + ring; gx++) {
+          const onRing = Math.abs(gx - cx) === ring || Math.abs(gy - cy) === ring;
+          if (!onRing || gx < 0 || gy < 0 || gx >= columns || gy >= rows) continue;
+          const bucket = grid[gy * columns + gx];
+          for (let i = bucket.length - 1; i >= 0; i--) {
+            const entry = bucket[i];
+            if (done[entry.index]) {
+              bucket.splice(i, 1);
+              continue;
+            }
+            const distance = Math.hypot(entry.x - x, entry.y - y);
+            if (distance < bestDistance) {
+              best = entry;
+              bestDistance = distance;
+            }
+          }
+        }
+      }
+      // Cells further out are at least ring * size away
+      if (best && bestDistance <= ring * size) break;
+    }
+    return best;
+  };
+
+  const ordered = [];
+  let x = 0;
+  let y = 0;
+  while (ordered.length < paths.length) {
+    const { index, vertex } = nearest(x, y);
+    done[index] = 1;
+    const path = paths[index];
+    let points = path.points;
+    if (path.closed) {
+      points = points.slice(vertex).concat(points.slice(0, vertex));
+    } else if (vertex > 0) {
+      points = points.slice().reverse();
+    }
+    ordered.push({ points, closed: path.closed });
+    const last = path.closed ? points[0] : points[points.length - 1];
+    x = last.x;
+    y = last.y;
+  }
+  return ordered;
+}
+
+function pathLength({ points, closed }) {
+  let length = 0;
+  const count = closed ? points.length : points.length - 1;
+  for (let i = 0; i < count; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % points.length];
+    length += Math.hypot(q.x - p.x, q.y - p.y);
+  }
+  return length;
+}
+
+// Pen-up distance to draw paths in order, starting from the origin
+function penTravel(paths) {
+  let travel = 0;
+  let x = 0;
+  let y = 0;
+  for (const { points, closed } of paths) {
+    travel += Math.hypot(points[0].x - x, points[0].y - y);
+    const last = closed ? points[0] : points[points.length - 1];
+    x = last.x;
+    y = last.y;
+  }
+  return travel;
+}
+
+// Pieces grouped into at most count layers by color, lightest first (the
+// order pens go on, so dark lines are drawn last). With more colors than
+// layers, the layer colors are fitted by k-means over the piece areas.
+function colorLayerGroups(pieces, count, seed) {
+  const distinct = new Map();
+  for (const piece of pieces) {
+    const key = colorToHex(piece.color);
+    if (!distinct.has(key)) distinct.set(key, { color: piece.color, area: 0, pieces: [] });
+    const entry = distinct.get(key);
+    entry.area += polygonArea(piece.points);
+    entry.pieces.push(piece);
+  }
+
+  const entries = Array.from(distinct.values());
+  let palette = entries.map(entry => entry.color);
+  if (entries.length > count) {
+    palette = kMeansPalette(palette, entries.map(entry => entry.area), count, createRandom(`${seed || ''}:layers`));
+  }
+  const groups = palette.map(color => ({ color, pieces: [] }));
+  for (const entry of entries) {
+    const group = groups[palette.indexOf(nearestPaletteColor(entry.color, palette))];
+    group.pieces.push(...entry.pieces);
+  }
+
+  const lightness = ({ r, g, b }) => 0.299 * r + 0.587 * g + 0.114 * b;
+  return groups
+    .filter(group => group.pieces.length > 0)
+    .sort((a, b) => lightness(b.color) - lightness(a.color));
+}
+
+// What to cut or plot for a mosaic (as processImage() returns it), from the
+// cell outlines, or the triangles of a low-poly mosaic. Returns { units,
+// width, height, layers, cutLength, travel } where each layer is { color,
+// pieceCount, paths }, paths are { points, closed } in drawing order and
+// every length is in units. Travel counts from the origin for each layer,
+// since the pen goes home to be changed.
+function fabricationPlan(data, options = {}) {
+  const { units, width, kerf, colorLayers, penOrder } = { ...FABRICATION_DEFAULTS, ...options };
+  const style = data.style || strokeStyleFromSettings(DEFAULT_SETTINGS);
+  const scale = width > 0 ? width / data.width : 1;
+  const pieces = (style.tessellation === 'delaunay' && data.triangles ? data.triangles : data.cells)
+    .filter(piece => piece.points.length >= 3);
+
+  const groups = colorLayers > 1 ?
+    colorLayerGroups(pieces, colorLayers, data.settings && data.settings.seed) :
+    [{ color: parsePalette(style.strokeColor || '#000000')[0] || { r: 0, g: 0, b: 0 }, pieces }];
+
+  const tolerance = 1e-6 * Math.max(data.width, data.height) * scale;
+  const layers = groups.map(group => {
+    const polygons = group.pieces.map(piece => piece.points.map(p => ({ x: p.x * scale, y: p.y * scale })));
+    let paths;
+    if (kerf > 0) {
+      paths = polygons.map(polygon => ({ points: outsetPolygon(polygon, kerf / 2), closed: true }));
+    } else {
+      const { vertices, edges } = edgeNetwork(polygons, tolerance);
+      paths = chainEdges(vertices, edges);
+    }
+    return { color: group.color, pieceCount: group.pieces.length, paths: penOrder ? orderPaths(paths) : paths };
+  });
+
+  let cutLength = 0;
+  let travel = 0;
+  for (const layer of layers) {
+    for (const path of layer.paths) cutLength += pathLength(path);
+    travel += penTravel(layer.paths);
+  }
+  return { units, width: data.width * scale, height: data.height * scale, layers, cutLength, travel };
+}
+
+// Layer name shared by both formats, e.g. "2_e63946"
+function fabricationLayerName(layer, index) {
+  return `${index + 1}_${colorToHex(layer.color).slice(1)}`;
+}
+
+// Plotter SVG of a plan (see fabricationPlan()): one Inkscape layer per
+// color, each path an unfilled line in drawing order
+function generatePlotterSVG(plan, options = {}) {
+  const { precision } = { ...FABRICATION_DEFAULTS, ...options };
+  const formatNumber = n => String(+n.toFixed(precision));
+  const unit = plan.units === 'px' ? '' : plan.units;
+  const lineWidth = formatNumber(PLOTTER_LINE_WIDTH / FABRICATION_UNITS[plan.units]);
+  const width = formatNumber(plan.width);
+  const height = formatNumber(plan.height);
+
+  let svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ` +
+    `width="${width}${unit}" height="${height}${unit}" viewBox="0 0 ${width} ${height}">\n`;
+  plan.layers.forEach((layer, i) => {
+    const color = colorToHex(layer.color);
+    svg += `  <g id="layer-${i + 1}" inkscape:groupmode="layer" inkscape:label="${fabricationLayerName(layer, i)}" ` +
+      `fill="none" stroke="${color}" stroke-width="${lineWidth}" stroke-linecap="round" stroke-linejoin="round">\n`;
+    for (const path of layer.paths) {
+      const d = path.points
+        .map((p, j) => `${j === 0 ? 'M' : j === 1 ? 'L' : ' '}${formatNumber(p.x)} ${formatNumber(p.y)}`)
+        .join('') + (path.closed ? 'Z' : '');
+      svg += `    <path d="${d}" />\n`;
+    }
+    svg += `  </g>\n`;
+  });
+  svg += `</svg>`;
+  return svg;
+}
+
+// AutoCAD color indices every program shows alike, for layer colors
+const DXF_COLORS = [
+  [1, 255, 0, 0], [2, 255, 255, 0], [3, 0, 255, 0], [4, 0, 255, 255], [5, 0, 0, 255],
+  [6, 255, 0, 255], [7, 0, 0, 0], [7, 255, 255, 255], [8, 128, 128, 128], [9, 192, 192, 192]
+];
+
+// Header codes per unit: $INSUNITS (R2000 and later) and $MEASUREMENT
+// (0 imperial, 1 metric); pixels have no measurement system
+const DXF_UNITS = {
+  px: { insunits: 0, measurement: null },
+  in: { insunits: 1, measurement: 0 },
+  mm: { insunits: 4, measurement: 1 }
+};
+
+// ASCII DXF (R12, which every cutter and CAD program reads) of a plan (see
+// fabricationPlan()): a layer per color holding its paths as polylines.
+// DXF's y axis points up, so the drawing is flipped to stay upright.
+// R12 has no header variable for the drawing unit: $MEASUREMENT and decimal
+// $LUNITS hint at it, and $INSUNITS is written for newer readers, but a
+// strict R12 reader takes the coordinates as plain numbers, so the cutter
+// has to be set to the same unit.
+function generateDXF(plan, options = {}) {
+  const { precision } = { ...FABRICATION_DEFAULTS, ...options };
+  const formatNumber = n => String(+n.toFixed(precision));
+  const out = [];
+  const write = (...pairs) => {
+    for (let i = 0; i < pairs.length; i += 2) out.push(pairs[i], pairs[i + 1]);
+  };
+  const names = plan.layers.map(fabricationLayerName);
+  const units = DXF_UNITS[plan.units];
+  const colorIndex = color => {
+    const [index] = DXF_COLORS.reduce((best, entry) => (
+      colorDistanceSquared(color, { r: entry[1], g: entry[2], b: entry[3] }) <
+      colorDistanceSquared(color, { r: best[1], g: best[2], b: best[3] }) ? entry : best
+    ));
+    return index;
+  };
+
+  write(0, 'SECTION', 2, 'HEADER',
+    9, '$ACADVER', 1, 'AC1009',
+    9, '$EXTMIN', 10, 0, 20, 0,
+    9, '$EXTMAX', 10, formatNumber(plan.width), 20, formatNumber(plan.height),
+    9, '$LUNITS', 70, 2,
+    9, '$INSUNITS', 70, units.insunits);
+  if (units.measurement !== null) write(9, '$MEASUREMENT', 70, units.measurement);
+  write(0, 'ENDSEC');
+
+  write(0, 'SECTION', 2, 'TABLES',
+    0, 'TABLE', 2, 'LTYPE', 70, 1,
+    0, 'LTYPE', 2, 'CONTINUOUS', 70, 0, 3, 'Solid line', 72, 65, 73, 0, 40, 0,
+    0, 'ENDTAB',
+    0, 'TABLE', 2, 'LAYER', 70, plan.layers.length);
+  plan.layers.forEach((layer, i) => {
+    write(0, 'LAYER', 2, names[i], 70, 0, 62, colorIndex(layer.color), 6, 'CONTINUOUS');
+  });
+  write(0, 'ENDTAB', 0, 'ENDSEC');
+
+  write(0, 'SECTION', 2, 'ENTITIES');
+  plan.layers.forEach((layer, i) => {
+    for (const path of layer.paths) {
+      write(0, 'POLYLINE', 8, names[i], 66, 1, 70, path.closed ? 1 : 0, 10, 0, 20, 0, 30, 0);
+      for (const p of path.points) {
+        write(0, 'VERTEX', 8, names[i], 10, formatNumber(p.x), 20, formatNumber(plan.height - p.y), 30, 0);
+      }
+      write(0, 'SEQEND', 8, names[i]);
+    }
+  });
+  write(0, 'ENDSEC', 0, 'EOF');
+
+  return out.join('\n') + '\n';
+}
+
+// ============================================================================
+// Software Rendering
+// ============================================================================
+// Draws a mosaic into RGBA bytes without a canvas (for the command line
+// tool), the way renderVoronoi() in app.js draws it: each shape's fill,
+// then its stroke with the style's joins and caps. Pixels average a grid of
+// samples so edges come out antialiased.
+
+// Samples per pixel along each axis
+const RASTER_SUPERSAMPLING = 4;
+
+// Pixel rows rendered at a time, which bounds the memory used
+const RASTER_BAND_HEIGHT = 16;
+
+// Miter joins sharper than this (miter length over line width) are
+// beveled, as with the canvas default
+const RASTER_MITER_LIMIT = 10;
+
+// { r, g, b, a } of a hex or rgb()/rgba() color (a from 0 to 1), or null for
+// 'none'
+function parseCSSColor(color) {
+  if (!color || color === 'none' || color === 'transparent') return null;
+  const text = String(color).trim();
+
+  let match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(text);
+  if (match) {
+    const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+    const value = parseInt(hex, 16);
+    return { r: value >> 16, g: (value >> 8) & 255, b: value & 255, a: 1 };
+  }
+
+  match = /^rgba?\(([^)]*)\)$/i.exec(text);
+  if (match) {
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    if ([r, g, b, a].every(Number.isFinite)) return { r, g, b, a };
+  }
+  throw new Error(`Unsupported color: ${color}`);
+}
+
+// Regular polygon inscribed in a circle, fine enough that its edges stay
+// within a quarter sample of the arc
+function circlePolygon(x, y, r) {
+  const count = Math.max(8, Math.ceil(Math.PI * Math.sqrt(2 * r * RASTER_SUPERSAMPLING)));
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const angle = (i / count) * Math.PI * 2;
+    points.push({ x: x + r * Math.cos(angle), y: y + r * Math.sin(angle) });
+  }
+  return points;
+}
+
+// Convex polygons whose union is the stroke of a polyline (a closed one for
+// polygons): a rectangle per segment plus the joins between segments and,
+// for open lines, the caps
+function strokePieces(points, closed, width, lineJoin = 'miter', lineCap = 'butt') {
+  const half = width / 2;
+
+  const vertices = [];
+  for (const point of points) {
+    const last = vertices[vertices.length - 1];
+    if (!last || last.x !== point.x || last.y !== point.y) vertices.push(point);
+  }
+  if (closed && vertices.length > 2) {
+    const first = vertices[0];
+    const last = vertices[vertices.length - 1];
+    if (first.x === last.x && first.y === last.y) vertices.pop();
+  }
+  // Zero-length strokes draw nothing, as on a canvas
+  if (vertices.length < 2) return [];
+
+  const segments = [];
+  const segmentCount = closed ? vertices.length : vertices.length - 1;
+  for (let i = 0; i < segmentCount; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % vertices.length];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    const dx = (b.x - a.x) / length;
+    const dy = (b.y - a.y) / length;
+    segments.push({ a, b, dx, dy, nx: -dy * half, ny: dx * half });
+  }
+
+  const pieces = segments.map(({ a, b, nx, ny }) => [
+    { x: a.x + nx, y: a.y + ny },
+    { x: b.x + nx, y: b.y + ny },
+    { x: b.x - nx, y: b.y - ny },
+    { x: a.x - nx, y: a.y - ny }
+  ]);
+
+  const joinCount = closed ? segments.length : segments.length - 1;
+  for (let i = 0; i < joinCount; i++) {
+    const s1 = segments[i];
+    const s2 = segments[(i + 1) % segments.length];
+    const v = s1.b;
+    if (lineJoin === 'round') {
+      pieces.push(circlePolygon(v.x, v.y, half));
+      continue;
+    }
+
+    const cross = s1.dx * s2.dy - s1.dy * s2.dx;
+    if (cross === 0 && s1.dx * s2.dx + s1.dy * s2.dy > 0) continue;
+
+    // The join fills the gap on the outer side of the turn
+    const side = cross > 0 ? -1 : 1;
+    const p1 = { x: v.x + side * s1.nx, y: v.y + side * s1.ny };
+    const p2 = { x: v.x + side * s2.nx, y: v.y + side * s2.ny };
+    const mx = s1.nx + s2.nx;
+    const my = s1.ny + s2.ny;
+    // Squared length of the sum of the two unit normals; the miter is
+    // 2 / sqrt(of it) times the line width long
+    const normalSum = (mx * mx + my * my) / (half * half);
+    if (lineJoin === 'miter' && normalSum > 0 && 2 / Math.sqrt(normalSum) <= RASTER_MITER_LIMIT) {
+      const reach = 2 / normalSum;
+      pieces.push([v, p1, { x: v.x + side * mx * reach, y: v.y + side * my * reach }, p2]);
+    } else {
+      pieces.push([v, p1, p2]);
+    }
+  }
+
+  if (!closed) {
+    const first = segments[0];
+    const last = segments[segments.length - 1];
+    if (lineCap === 'round') {
+      pieces.push(circlePolygon(first.a.x, first.a.y, half), circlePolygon(last.b.x, last.b.y, half));
+    } else if (lineCap === 'square') {
+      // Each end extended by half the line width
+      const cap = (p, dx, dy, nx, ny) => [
+        { x: p.x + nx, y: p.y + ny },
+        { x: p.x + nx + dx * half, y: p.y + ny + dy * half },
+        { x: p.x - nx + dx * half, y: p.y - ny + dy * half },
+        { x: p.x - nx, y: p.y - ny }
+      ];
+      pieces.push(cap(first.a, -first.dx, -first.dy, first.nx, first.ny), cap(last.b, last.dx, last.dy, last.nx, last.ny));
+    }
+  }
+  return pieces;
+}
+
+// Renders a mosaic (as processImage() returns it) scale times its size.
+// Returns { width, height, readRows } where readRows(y, count) resolves to
+// the RGBA bytes of rows y..y+count-1, as encodePNG() reads them; rows are
+// rendered on demand so large images never need the whole bitmap at once.
+// Fills must be convex polygons, as every tessellation produces.
+function rasterizeMosaic(data, { scale = 1 } = {}) {
+  const width = Math.max(1, Math.round(data.width * scale));
+  const height = Math.max(1, Math.round(data.height * scale));
+  const style = data.style || strokeStyleFromSettings(DEFAULT_SETTINGS);
+  const { background, shapes } = mosaicShapes(data);
+  const samples = RASTER_SUPERSAMPLING;
+  const toSamples = p => ({ x: p.x * scale * samples, y: p.y * scale * samples });
+
+  // Every fill and every stroke becomes a layer of convex polygons in
+  // sample coordinates, drawn in one flat color
+  const layers = [];
+  const addLayer = (polygons, color, alpha) => {
+    if (!color || alpha * color.a <= 0 || polygons.length === 0) return;
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (const polygon of polygons) {
+      for (const point of polygon) {
+        minY = Math.min(minY, point.y);
+        maxY = Math.max(maxY, point.y);
+      }
+    }
+    layers.push({ polygons, color, alpha: alpha * color.a, minY, maxY });
+  };
+
+  for (const shape of shapes) {
+    if (shape.opacity <= 0) continue;
+    if (shape.type === 'circle') {
+      const center = toSamples(shape);
+      addLayer([circlePolygon(center.x, center.y, shape.r * scale * samples)], parseCSSColor(shape.fill), shape.opacity);
+      continue;
+    }
+    const points = shape.points.map(toSamples);
+    if (shape.type === 'polygon') {
+      addLayer([points], parseCSSColor(shape.fill), shape.opacity);
+    }
+    if (shape.strokeWidth > 0) {
+      const pieces = strokePieces(points, shape.type === 'polygon', shape.strokeWidth * scale * samples,
+        style.lineJoin, style.lineCap);
+      addLayer(pieces, parseCSSColor(shape.stroke), shape.strokeOpacity * shape.opacity);
+    }
+  }
+  const backgroundColor = parseCSSColor(background);
+
+  // Draws rows y..y+count-1 into premultiplied RGBA samples. A sample takes
+  // each layer at most once, so overlapping stroke pieces do not darken.
+  const renderBand = (y, count) => {
+    const bandWidth = width * samples;
+    const bandHeight = count * samples;
+    const top = y * samples;
+    const color = new Float32Array(bandWidth * bandHeight * 4);
+    const drawnBy = new Int32Array(bandWidth * bandHeight).fill(-1);
+
+    if (backgroundColor) {
+      const { r, g, b, a } = backgroundColor;
+      for (let i = 0; i < color.length; i += 4) {
+        color[i] = r * a;
+        color[i + 1] = g * a;
+        color[i + 2] = b * a;
+        color[i + 3] = a;
+      }
+    }
+
+    layers.forEach((layer, index) => {
+      if (layer.maxY <= top || layer.minY >= top + bandHeight) return;
+      const { alpha } = layer;
+      const r = layer.color.r * alpha;
+      const g = layer.color.g * alpha;
+      const b = layer.color.b * alpha;
+      for (const polygon of layer.polygons) {
+        const local = polygon.map(p => ({ x: p.x, y: p.y - top }));
+        scanConvexPolygon(local, bandWidth, bandHeight, (row, startX, endX) => {
+          for (let i = row * bandWidth + startX; i < row * bandWidth + endX; i++) {
+            if (drawnBy[i] === index) continue;
+            drawnBy[i] = index;
+            const o = i * 4;
+            color[o] = r + color[o] * (1 - alpha);
+            color[o + 1] = g + color[o + 1] * (1 - alpha);
+            color[o + 2] = b + color[o + 2] * (1 - alpha);
+            color[o + 3] = alpha + color[o + 3] * (1 - alpha);
+          }
+        });
+      }
+    });
+
+    // Average each pixel's samples, then undo the premultiplication
+    const rgba = new Uint8Array(width * count * 4);
+    const weight = 1 / (samples * samples);
+    for (let py = 0; py < count; py++) {
+      for (let px = 0; px < width; px++) {
+        let r = 0, g = 0, b = 0, a = 0;
+        for (let sy = 0; sy < samples; sy++) {
+          let o = ((py * samples + sy) * bandWidth + px * samples) * 4;
+          for (let sx = 0; sx < samples; sx++, o += 4) {
+            r += color[o];
+            g += color[o + 1];
+            b += color[o + 2];
+            a += color[o + 3];
+          }
+        }
+        const target = (py * width + px) * 4;
+        if (a > 0) {
+          rgba[target] = Math.round(r / a);
+          rgba[target + 1] = Math.round(g / a);
+          rgba[target + 2] = Math.round(b / a);
+          rgba[target + 3] = Math.round(a * weight * 255);
+        }
+      }
+    }
+    return rgba;
+  };
+
+  const readRows = async (y, count) => {
+    const rgba = new Uint8Array(width * count * 4);
+    for (let row = 0; row < count; row += RASTER_BAND_HEIGHT) {
+      const bandRows = Math.min(RASTER_BAND_HEIGHT, count - row);
+      rgba.set(renderBand(y + row, bandRows), row * width * 4);
+      await nextTick();
+    }
+    return rgba;
+  };
+
+  return { width, height, readRows };
+}
+
+// ============================================================================
+// PNG Encoding
+// ============================================================================
+// Streams an image into a PNG strip by strip, so exports far larger than the
+// biggest canvas a browser allows never need the whole bitmap in memory.
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+let crcTable = null;
+
+function crc32(bytes, crc = 0xffffffff) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return crc;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, (crc32(chunk.subarray(4, 8 + data.length)) ^ 0xffffffff) >>> 0);
+  return chunk;
+}
+
+// Encodes a width x height RGBA image as a PNG Blob. readRows(y, count)
+// resolves to the RGBA bytes of rows y..y+count-1; it is called for strips
+// of stripHeight rows from top to bottom. A dpi is stored in a pHYs chunk so
+// print software picks up the intended physical size.
+async function encodePNG(width, height, readRows, options = {}) {
+  const { stripHeight = 256, dpi = null, onProgress, signal } = options;
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = 8; // bit depth
+  header[9] = 6; // color type: RGBA
+
+  // Deflate runs while strips are still being produced
+  const stream = new CompressionStream('deflate');
+  const writer = stream.writable.getWriter();
+  const compressed = new Response(stream.readable).arrayBuffer();
+
+  const rowBytes = width * 4;
+  try {
+    for (let y = 0; y < height; y += stripHeight) {
+      throwIfCancelled(signal);
+      const count = Math.min(stripHeight, height - y);
+      const rgba = await readRows(y, count);
+
+      // Each row gets the "Sub" filter, which suits large flat cells well
+      const filtered = new Uint8Array((rowBytes + 1) * count);
+      for (let row = 0; row < count; row++) {
+        const source = row * rowBytes;
+        const target = row * (rowBytes + 1);
+        filtered[target] = 1;
+        for (let i = 0; i < 4 && i < rowBytes; i++) filtered[target + 1 + i] = rgba[source + i];
+        for (let i = 4; i < rowBytes; i++) {
+          filtered[target + 1 + i] = rgba[source + i] - rgba[source + i - 4];
+        }
+      }
+      await writer.write(filtered);
+
+      if (onProgress) onProgress((y + count) / height);
+    }
+    await writer.close();
+  } catch (error) {
+    // Aborting rejects the compressed result too, which is not wanted now
+    compressed.catch(() => {});
+    writer.abort(error).catch(() => {});
+    throw error;
+  }
+
+  const chunks = [PNG_SIGNATURE, pngChunk('IHDR', header)];
+  if (dpi) {
+    const physical = new Uint8Array(9);
+    const physicalView = new DataView(physical.buffer);
+    const pixelsPerMeter = Math.round(dpi / 0.0254);
+    physicalView.setUint32(0, pixelsPerMeter);
+    physicalView.setUint32(4, pixelsPerMeter);
+    physical[8] = 1; // unit: meter
+    chunks.push(pngChunk('pHYs', physical));
+  }
+  chunks.push(pngChunk('IDAT', new Uint8Array(await compressed)));
+  chunks.push(pngChunk('IEND', new Uint8Array(0)));
+
+  return new Blob(chunks, { type: 'image/png' });
+}
+
+// ============================================================================
+// PNG Decoding
+// ============================================================================
+// Reads PNG files where no browser decodes them (the command line tool):
+// every color type and bit depth, palettes, tRNS transparency and Adam7
+// interlacing. Gamma and color profiles are ignored.
+
+// Adam7 passes as [x0, y0, dx, dy]
+const ADAM7_PASSES = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+// Channels per pixel of each PNG color type
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Reverses the filter of one scanline in place
+function unfilterPNGRow(filter, row, previous, bytesPerPixel) {
+  for (let i = 0; i < row.length; i++) {
+    const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+    const up = previous[i];
+    const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+    switch (filter) {
+      case 0: break;
+      case 1: row[i] += left; break;
+      case 2: row[i] += up; break;
+      case 3: row[i] += (left + up) >> 1; break;
+      case 4: {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        row[i] += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+        break;
+      }
+      default: throw new Error('The PNG file is damaged');
+    }
+  }
+}
+
+// Decodes PNG bytes (a Uint8Array or ArrayBuffer) into { width, height,
+// data } with 8-bit RGBA data, the shape processImage() takes
+async function decodePNG(bytes) {
+  bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  if (bytes.length < 8 || PNG_SIGNATURE.some((value, i) => bytes[i] !== value)) {
+    throw new Error('Not a PNG file');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const imageData = [];
+  for (let offset = 8; offset + 8 <= bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const body = bytes.subarray(offset + 8, offset + 8 + length);
+    if (body.length < length) throw new Error('The PNG file is truncated');
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      const headerView = new DataView(body.buffer, body.byteOffset, body.byteLength);
+      header = {
+        width: headerView.getUint32(0),
+        height: headerView.getUint32(4),
+        depth: body[8],
+        colorType: body[9],
+        interlaced: body[12] === 1
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      imageData.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+  if (!header || imageData.length === 0) throw new Error('The PNG file has no image data');
+
+  const { width, height, depth, colorType, interlaced } = header;
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(depth) || (colorType === 3 && !palette)) {
+    throw new Error('The PNG file uses an unsupported format');
+  }
+
+  let raw;
+  try {
+    const stream = new DecompressionStream('deflate');
+    const writer = stream.writable.getWriter();
+    // Both ends are awaited together, so a failure on either is handled
+    const [inflated] = await Promise.all([
+      new Response(stream.readable).arrayBuffer(),
+      ...imageData.map(chunk => writer.write(chunk)),
+      writer.close()
+    ]);
+    raw = new Uint8Array(inflated);
+  } catch (error) {
+    throw new Error('The PNG file is damaged');
+  }
+
+  // Samples are read at full precision (tRNS keys compare against those)
+  // and scaled to 8 bits for the output
+  const maxSample = 2 ** depth - 1;
+  const to8 = value => (depth === 16 ? value >> 8 : depth === 8 ? value : Math.round(value * 255 / maxSample));
+  const readSample = (row, index) => {
+    if (depth === 8) return row[index];
+    if (depth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+    const bit = index * depth;
+    return (row[bit >> 3] >> (8 - depth - (bit & 7))) & maxSample;
+  };
+  const key = index => (transparency[index * 2] << 8) | transparency[index * 2 + 1];
+  const grayKey = colorType === 0 && transparency && transparency.length >= 2 ? key(0) : null;
+  const colorKey = colorType === 2 && transparency && transparency.length >= 6 ? [key(0), key(1), key(2)] : null;
+
+  const bitsPerPixel = depth * channels;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const rgba = new Uint8Array(width * height * 4);
+  let position = 0;
+
+  for (const [x0, y0, dx, dy] of interlaced ? ADAM7_PASSES : [[0, 0, 1, 1]]) {
+    const passWidth = Math.ceil((width - x0) / dx);
+    const passHeight = Math.ceil((height - y0) / dy);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+
+    const rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+    let previous = new Uint8Array(rowBytes);
+    for (let y = 0; y < passHeight; y++) {
+      if (position + 1 + rowBytes > raw.length) throw new Error('The PNG file is truncated');
+      const row = raw.slice(position + 1, position + 1 + rowBytes);
+      unfilterPNGRow(raw[position], row, previous, bytesPerPixel);
+      position += 1 + rowBytes;
+
+      for (let x = 0; x < passWidth; x++) {
+        const o = ((y0 + y * dy) * width + x0 + x * dx) * 4;
+        const sample = c => readSample(row, x * channels + c);
+        if (colorType === 3) {
+          const index = sample(0);
+          rgba[o] = palette[index * 3];
+          rgba[o + 1] = palette[index * 3 + 1];
+          rgba[o + 2] = palette[index * 3 + 2];
+          rgba[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        } else if (colorType === 0 || colorType === 4) {
+          const gray = sample(0);
+          rgba[o] = rgba[o + 1] = rgba[o + 2] = to8(gray);
+          rgba[o + 3] = colorType === 4 ? to8(sample(1)) : gray === grayKey ? 0 : 255;
+        } else {
+          const r = sample(0);
+          const g = sample(1);
+          const b = sample(2);
+          rgba[o] = to8(r);
+          rgba[o + 1] = to8(g);
+          rgba[o + 2] = to8(b);
+          rgba[o + 3] = colorType === 6 ? to8(sample(3)) :
+            colorKey && r === colorKey[0] && g === colorKey[1] && b === colorKey[2] ? 0 : 255;
+        }
+      }
+      previous = row;
+    }
+  }
+
+  return { width, height, data: rgba };
+}
+
+// ============================================================================
+// ZIP Archives
+// ============================================================================
+// Bundles exported files into one download. Each file is deflated when that
+// makes it smaller (PNGs usually are not) and stored otherwise. There is no
+// ZIP64 support, so archives must stay below 4 GB.
+
+async function deflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// files is a list of { name, data } with data as a string, Uint8Array or
+// Blob; resolves to the archive as a Blob
+async function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    let data = file.data;
+    if (typeof data === 'string') data = encoder.encode(data);
+    if (data instanceof Blob) data = new Uint8Array(await data.arrayBuffer());
+
+    const name = encoder.encode(file.name);
+    const crc = (crc32(data) ^ 0xffffffff) >>> 0;
+    const deflated = await deflateRaw(data);
+    const compressed = deflated.length < data.length;
+    const body = compressed ? deflated : data;
+
+    // Fields shared by the local header and the central directory entry
+    const common = new Uint8Array(26);
+    const view = new DataView(common.buffer);
+    view.setUint16(0, 20, true); // version needed: 2.0
+    view.setUint16(2, 0x0800, true); // flags: UTF-8 file name
+    view.setUint16(4, compressed ? 8 : 0, true); // method: deflate or store
+    view.setUint16(6, time, true);
+    view.setUint16(8, day, true);
+    view.setUint32(10, crc, true);
+    view.setUint32(14, body.length, true);
+    view.setUint32(18, data.length, true);
+    view.setUint16(22, name.length, true);
+
+    const local = new Uint8Array(30 + name.length);
+    new DataView(local.buffer).setUint32(0, 0x04034b50, true);
+    local.set(common, 4);
+    local.set(name, 30);
+    parts.push(local, body);
+
+    const entry = new Uint8Array(46 + name.length);
+    const entryView = new DataView(entry.buffer);
+    entryView.setUint32(0, 0x02014b50, true);
+    entryView.setUint16(4, 20, true); // version made by
+    entry.set(common, 6);
+    entryView.setUint32(42, offset, true);
+    entry.set(name, 46);
+    directory.push(entry);
+
+    offset += local.length + body.length;
+  }
+
+  const directorySize = directory.reduce((size, entry) => size + entry.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, directorySize, true);
+  endView.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
+
+// ============================================================================
+// GIF Encoding
+// ============================================================================
+// Animated GIFs with a local palette of up to 256 colors per frame: exact
+// when a frame has no more colors than that (flat mosaics usually do not),
+// otherwise fitted with k-means to the frame's colors.
+
+// Colors reduced to 5 bits per channel before a palette is fitted
+const GIF_QUANTIZE_SHIFT = 3;
+
+// Palette (flat r, g, b bytes) and per-pixel palette indices of a frame
+function quantizeFrame(rgba, random) {
+  const pixelCount = rgba.length / 4;
+  const indices = new Uint8Array(pixelCount);
+  const lookup = new Map();
+  const exact = [];
+
+  for (let i = 0; i < pixelCount && exact.length <= 256; i++) {
+    const key = (rgba[i * 4] << 16) | (rgba[i * 4 + 1] << 8) | rgba[i * 4 + 2];
+    if (!lookup.has(key)) {
+      lookup.set(key, exact.length);
+      exact.push(key);
+    }
+  }
+
+  let palette;
+  if (exact.length <= 256) {
+    palette = exact.map(key => ({ r: key >> 16, g: (key >> 8) & 255, b: key & 255 }));
+  } else {
+    // Average color and pixel count of every 15-bit bucket, then k-means
+    const bits = 8 - GIF_QUANTIZE_SHIFT;
+    const sums = new Float64Array((1 << (bits * 3)) * 4);
+    for (let i = 0; i < pixelCount; i++) {
+      const r = rgba[i * 4];
+      const g = rgba[i * 4 + 1];
+      const b = rgba[i * 4 + 2];
+      const bucket = ((r >> GIF_QUANTIZE_SHIFT) << (bits * 2)) | ((g >> GIF_QUANTIZE_SHIFT) << bits) | (b >> GIF_QUANTIZE_SHIFT);
+      sums[bucket * 4] += r;
+      sums[bucket * 4 + 1] += g;
+      sums[bucket * 4 + 2] += b;
+      sums[bucket * 4 + 3]++;
+    }
+    const colors = [];
+    const weights = [];
+    for (let bucket = 0; bucket < sums.length / 4; bucket++) {
+      const count = sums[bucket * 4 + 3];
+      if (count === 0) continue;
+      colors.push({ r: sums[bucket * 4] / count, g: sums[bucket * 4 + 1] / count, b: sums[bucket * 4 + 2] / count });
+      weights.push(count);
+    }
+    palette = kMeansPalette(colors, weights, 256, random, 6);
+    lookup.clear();
+  }
+
+  for (let i = 0; i < pixelCount; i++) {
+    const key = (rgba[i * 4] << 16) | (rgba[i * 4 + 1] << 8) | rgba[i * 4 + 2];
+    let index = lookup.get(key);
+    if (index === undefined) {
+      const color = { r: key >> 16, g: (key >> 8) & 255, b: key & 255 };
+      index = palette.indexOf(nearestPaletteColor(color, palette));
+      lookup.set(key, index);
+    }
+    indices[i] = index;
+  }
+
+  const table = new Uint8Array(256 * 3);
+  palette.forEach((color, i) => {
+    table[i * 3] = color.r;
+    table[i * 3 + 1] = color.g;
+    table[i * 3 + 2] = color.b;
+  });
+  return { table, indices };
+}
+
+// GIF-flavored LZW (variable code width up to 12 bits, LSB first), already
+// split into the length-prefixed sub-blocks of an image data section
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let block = [];
+  let buffer = 0;
+  let bufferBits = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  const table = new Map();
+
+  const emit = code => {
+    buffer |= code << bufferBits;
+    bufferBits += codeSize;
+    while (bufferBits >= 8) {
+      block.push(buffer & 255);
+      buffer >>>= 8;
+      bufferBits -= 8;
+      if (block.length === 255) {
+        output.push(255, ...block);
+        block = [];
+      }
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      table.clear();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = index;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bufferBits > 0) block.push(buffer & 255);
+  if (block.length > 0) output.push(block.length, ...block);
+  output.push(0);
+  return new Uint8Array(output);
+}
+
+// Encodes frameCount frames of width x height as a looping GIF Blob.
+// readFrame(index) resolves to a frame's RGBA pixels. Options:
+//   delay       time each frame is shown, in milliseconds
+//   onProgress  called with the fraction of frames encoded
+//   signal      an AbortSignal that cancels encoding
+async function encodeGIF(width, height, frameCount, readFrame, options = {}) {
+  const { delay = 100, onProgress = () => {}, signal } = options;
+  const random = createRandom('gif');
+  const parts = [];
+
+  const header = new Uint8Array(13);
+  header.set([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // GIF89a
+  const view = new DataView(header.buffer);
+  view.setUint16(6, width, true);
+  view.setUint16(8, height, true);
+  parts.push(header);
+
+  // NETSCAPE2.0 extension: repeat forever
+  parts.push(new Uint8Array([0x21, 0xff, 0x0b, ...new TextEncoder().encode('NETSCAPE2.0'), 0x03, 0x01, 0x00, 0x00, 0x00]));
+
+  const centiseconds = Math.max(2, Math.round(delay / 10));
+  for (let index = 0; index < frameCount; index++) {
+    const rgba = await readFrame(index);
+    throwIfCancelled(signal);
+    const { table, indices } = quantizeFrame(rgba, random);
+
+    const frame = new Uint8Array(8 + 10);
+    frame.set([0x21, 0xf9, 0x04, 0x04, centiseconds & 255, centiseconds >> 8, 0x00, 0x00]);
+    const descriptor = new DataView(frame.buffer, 8);
+    descriptor.setUint8(0, 0x2c);
+    descriptor.setUint16(5, width, true);
+    descriptor.setUint16(7, height, true);
+    descriptor.setUint8(9, 0x87); // local color table of 256 entries
+    parts.push(frame, table, new Uint8Array([8]), lzwEncode(indices, 8));
+
+    onProgress((index + 1) / frameCount);
+    await nextTick();
+    throwIfCancelled(signal);
+  }
+
+  parts.push(new Uint8Array([0x3b]));
+  return new Blob(parts, { type: 'image/gif' });
+}
+
+// ============================================================================
+// Seeded Random Numbers
+// ============================================================================
+
+// Hashes a seed string to a 32-bit integer (MurmurHash3-style mixing)
+function hashSeed(seed) {
+  let hash = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+    hash = (hash << 13) | (hash >>> 19);
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+  hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// Deterministic replacement for Math.random (mulberry32): the same seed
+// always yields the same sequence of numbers in [0, 1)
+function createRandom(seed) {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A short random seed string for the randomize button
+function randomSeed() {
+  return Math.floor(Math.random() * 2176782336).toString(36).padStart(6, '0');
+}
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+// Every setting that affects the output, with its default. The type of
+// each default is also the type the value is parsed to.
+const DEFAULT_SETTINGS = {
+  seed: '',
+  numPoints: 2000,
+  distribution: 'uniform',
+  jitter: 0.5,
+  poissonAttempts: 30,
+  detailBias: 0.8,
+  relaxIterations: 0,
+  relaxWeighted: false,
+  edgeStrength: 0,
+  colorMode: 'mean',
+  smoothness: 7,
+  palette: 'none',
+  paletteSize: 8,
+  customPalette: '',
+  tessellation: 'voronoi',
+  backgroundColor: '#ffffff',
+  lineThickness: 3,
+  strokeColor: '#000000',
+  strokeOpacity: 0.3,
+  outlineMode: 'fixed',
+  outlineAmount: 0.4,
+  lineJoin: 'miter',
+  lineCap: 'butt',
+  gap: 0,
+  gapColor: '#ffffff',
+  maskContrast: 8,
+  maskThickness: 0
+};
+
+const PRESET_FORMAT = 'voronoisaic-preset';
+const PRESET_VERSION = 1;
+
+// Fills in defaults and coerces values (e.g. strings from a URL) to the
+// type of their default; unknown keys and unparseable values are dropped
+function normalizeSettings(settings) {
+  const result = { ...DEFAULT_SETTINGS };
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (settings[key] === undefined || settings[key] === null) continue;
+    const value = settings[key];
+    const type = typeof DEFAULT_SETTINGS[key];
+    if (type === 'number') {
+      const number = Number(value);
+      if (value !== '' && Number.isFinite(number)) result[key] = number;
+    } else if (type === 'boolean') {
+      result[key] = value === true || value === 'true' || value === '1';
+    } else {
+      result[key] = String(value);
+    }
+  }
+  return result;
+}
+
+// Settings as a URL query/hash string, e.g. "seed=abc&numPoints=2000&..."
+function serializeSettings(settings) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(normalizeSettings(settings))) {
+    params.set(key, String(value));
+  }
+  return params.toString();
+}
+
+function parseSettings(query) {
+  return normalizeSettings(Object.fromEntries(new URLSearchParams(query)));
+}
+
+// A downloadable preset file holding the settings
+// A mask, if any, travels with the preset as a PNG data URL
+function createPreset(settings, mask = null) {
+  const preset = {
+    format: PRESET_FORMAT,
+    version: PRESET_VERSION,
+    settings: normalizeSettings(settings)
+  };
+  if (mask) preset.mask = mask;
+  return preset;
+}
+
+function readPreset(preset) {
+  if (!preset || preset.format !== PRESET_FORMAT) {
+    throw new Error('Not a Voronoisaic preset file');
+  }
+  if (preset.version > PRESET_VERSION) {
+    throw new Error(`Preset version ${preset.version} is newer than this app supports`);
+  }
+  return normalizeSettings(preset.settings || {});
+}
+
+// ============================================================================
+// Processing Pipeline
+// ============================================================================
+
+// Yields to the event loop so progress can be reported and cancellation
+// requests (or UI events, on the main thread) get a chance to run
+function nextTick() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new DOMException('Processing was cancelled', 'AbortError');
+  }
+}
+
+// Colors the cells of a finished diagram from an RGBA buffer. Progress is
+// reported as a 0-1 fraction. With a mask, every cell records the mask
+// value at its seed, which sets its stroke width. Passing a palette (see
+// computeCellColors()) keeps the colors of an earlier mosaic.
+async function colorCells(voronoi, imageData, settings, onProgress, signal, mask = null, fixedPalette = undefined) {
+  const { width, height } = imageData;
+
+  const entries = Array.from(voronoi.cells.entries()).filter(([, cell]) => cell.length >= 3);
+  const cells = entries.map(([, cell]) => cell);
+  const { colors, palette } = await computeCellColors(cells, imageData, settings,
+    { onProgress, signal, palette: fixedPalette });
+
+  const geometry = await tessellationGeometry(voronoi, imageData, settings, palette, signal, mask);
+
+  return {
+    width: width,
+    height: height,
+    style: strokeStyleFromSettings(settings),
+    settings: normalizeSettings(settings),
+    palette: palette,
+    cells: entries.map(([seed, cell], i) => {
+      const maskValue = mask ? sampleMask(mask, seed.x, seed.y, width, height) : undefined;
+      const result = {
+        seed: { x: seed.x, y: seed.y },
+        points: cell.map(p => ({ x: p.x, y: p.y })),
+        color: colors[i],
+        lineThickness: cellLineThickness(settings, maskValue)
+      };
+      if (mask) result.mask = maskValue;
+      return result;
+    }),
+    ...geometry
+  };
+}
+
+// Shapes beyond the cells that some tessellations draw (see mosaicShapes()):
+// { triangles } for 'delaunay', colored with the cells' palette, and
+// { edges } for 'wireframe'. Both carry a stroke width like cells do.
+async function tessellationGeometry(voronoi, imageData, settings, palette, signal, mask = null) {
+  const { width, height } = imageData;
+  const { triangles, halfedges, hull } = voronoi.delaunay;
+  const point = i => ({ x: voronoi.points[i].x, y: voronoi.points[i].y });
+  const withThickness = (shape, at) => {
+    const maskValue = mask ? sampleMask(mask, at.x, at.y, width, height) : undefined;
+    shape.lineThickness = cellLineThickness(settings, maskValue);
+    if (mask) shape.mask = maskValue;
+    return shape;
+  };
+
+  if (settings.tessellation === 'delaunay') {
+    const polygons = [];
+    for (let t = 0; t < triangles.length; t += 3) {
+      polygons.push([point(triangles[t]), point(triangles[t + 1]), point(triangles[t + 2])]);
+    }
+    const { colors } = await computeCellColors(polygons, imageData, settings, { signal, palette });
+    return {
+      triangles: polygons.map((points, i) => withThickness({ points, color: colors[i] }, polygonCentroid(points)))
+    };
+  }
+
+  if (settings.tessellation === 'wireframe') {
+    const edges = [];
+    const addEdge = (a, b) => {
+      const points = [point(a), point(b)];
+      const middle = { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+      edges.push(withThickness({ points }, middle));
+    };
+    if (triangles.length > 0) {
+      // Each interior edge is shared by two half-edges; keep one of them
+      for (let e = 0; e < triangles.length; e++) {
+        if (e > halfedges[e]) addEdge(triangles[e], triangles[nextHalfedge(e)]);
+      }
+    } else {
+      for (let k = 0; k + 1 < hull.length; k++) addEdge(hull[k], hull[k + 1]);
+    }
+    return { edges };
+  }
+
+  return {};
+}
+
+// Settings that decide where the seeds go, and those that decide the cell
+// colors; all other settings only change how the cells are drawn
+const GEOMETRY_SETTINGS = ['seed', 'numPoints', 'distribution', 'jitter', 'poissonAttempts',
+  'detailBias', 'relaxIterations', 'relaxWeighted', 'edgeStrength', 'maskContrast'];
+const COLOR_SETTINGS = ['colorMode', 'smoothness', 'palette', 'paletteSize', 'customPalette', 'tessellation'];
+
+// How much of a mosaic made with the previous settings must be redone for
+// the next ones: 'geometry' (everything), 'color' (recolor the same seeds),
+// 'style' (redraw only) or null when nothing changed
+function settingsChange(previous, next) {
+  const a = normalizeSettings(previous);
+  const b = normalizeSettings(next);
+  const changed = key => a[key] !== b[key];
+  if (GEOMETRY_SETTINGS.some(changed)) return 'geometry';
+  if (COLOR_SETTINGS.some(changed)) return 'color';
+  if (Object.keys(DEFAULT_SETTINGS).some(changed)) return 'style';
+  return null;
+}
+
+// The same mosaic drawn with the stroke and gap settings of settings
+function restyleMosaic(data, settings) {
+  const normalized = normalizeSettings(settings);
+  const restyle = shapes => shapes.map(shape => ({ ...shape, lineThickness: cellLineThickness(normalized, shape.mask) }));
+  return {
+    ...data,
+    style: strokeStyleFromSettings(normalized),
+    settings: normalized,
+    cells: restyle(data.cells),
+    ...(data.triangles && { triangles: restyle(data.triangles) }),
+    ...(data.edges && { edges: restyle(data.edges) })
+  };
+}
+
+// A mosaic stretched to width x height (e.g. a preview shown full size)
+function scaleMosaic(data, width, height) {
+  const sx = width / data.width;
+  const sy = height / data.height;
+  const scalePoint = p => ({ x: p.x * sx, y: p.y * sy });
+  const scaleShapes = shapes => shapes.map(shape => ({ ...shape, points: shape.points.map(scalePoint) }));
+  return {
+    ...data,
+    width: width,
+    height: height,
+    cells: data.cells.map(cell => ({
+      ...cell,
+      seed: scalePoint(cell.seed),
+      points: cell.points.map(scalePoint)
+    })),
+    ...(data.triangles && { triangles: scaleShapes(data.triangles) }),
+    ...(data.edges && { edges: scaleShapes(data.edges) })
+  };
+}
+
+// Runs point generation, triangulation, cell building and color sampling
+// on an RGBA buffer. Progress is reported as a whole percentage.
+//
+// With settings.relaxIterations > 0 the seeds go through that many Lloyd
+// iterations; each intermediate mosaic is passed to onIteration, and once
+// shouldStop() returns true the current mosaic becomes the result.
+//
+// Passing the seeds of an earlier result (see settingsChange()) skips point
+// generation and relaxation, so only triangulation and coloring rerun.
+//
+// A mask (see maskDensity()) varies the seed density across the image,
+// including during relaxation, and can thin the strokes of its cells.
+//
+// With settings.edgeStrength > 0 the seeds are realigned to the detected
+// image contours (see alignPointsToEdges()) after generation and after
+// every relaxation step, so relaxing does not pull them off the edges.
+async function processImage(imageData, settings, {
+  onProgress = () => {},
+  onIteration = () => {},
+  shouldStop = () => false,
+  signal,
+  seeds = null,
+  mask = null
+} = {}) {
+  const { numPoints, relaxIterations = 0, relaxWeighted = false } = settings;
+  const { width, height } = imageData;
+
+  if (seeds) {
+    const voronoi = new VoronoiDiagram(width, height, seeds.map(p => new Point(p.x, p.y)));
+    await voronoi.generate();
+    onProgress(20);
+    throwIfCancelled(signal);
+    return colorCells(voronoi, imageData, settings,
+      fraction => onProgress(Math.round(20 + fraction * 80)), signal, mask);
+  }
+
+  const maskField = mask ? maskDensity(mask, width, height, settings.maskContrast || 1) : null;
+
+  // Every random decision comes from the seed, so a run can be reproduced
+  const random = createRandom(settings.seed);
+
+  const edgeStrength = settings.edgeStrength || 0;
+  const edgeMap = edgeStrength > 0 ? detectEdges(imageData) : null;
+  const edgeRandom = createRandom(`${settings.seed}:edges`);
+  const alignToEdges = points => (edgeMap ? alignPointsToEdges(points, edgeMap, edgeStrength, edgeRandom) : points);
+
+  // Generate points
+  let points = generatePoints(numPoints, width, height, {
+    distribution: settings.distribution,
+    jitter: settings.jitter,
+    poissonAttempts: settings.poissonAttempts,
+    detailBias: settings.detailBias,
+    imageData: imageData,
+    density: maskField,
+    random: random
+  });
+  points = alignToEdges(points);
+  throwIfCancelled(signal);
+
+  let density = relaxIterations > 0 && relaxWeighted ?
+    computeDetailDensity(imageData, settings.detailBias) : null;
+  if (relaxIterations > 0 && maskField) {
+    if (density) {
+      for (let i = 0; i < density.length; i++) density[i] *= maskField[i];
+    } else {
+      density = maskField;
+    }
+  }
+
+  // One stage per diagram: the initial one plus one per iteration
+  const stages = relaxIterations + 1;
+
+  for (let iteration = 0; ; iteration++) {
+    const reportStage = fraction => {
+      onProgress(Math.round(((iteration + fraction) / stages) * 100));
+    };
+
+    // Create Voronoi diagram
+    const voronoi = new VoronoiDiagram(width, height, points);
+    await voronoi.generate();
+    reportStage(0.2);
+    throwIfCancelled(signal);
+
+    const data = await colorCells(voronoi, imageData, settings,
+      fraction => reportStage(0.2 + fraction * 0.8), signal, mask);
+
+    if (iteration >= relaxIterations || shouldStop()) {
+      return data;
+    }
+
+    onIteration(data, iteration);
+    points = alignToEdges(voronoi.relaxedPoints(density));
+  }
+}
+
+// ============================================================================
+// Mosaic Files
+// ============================================================================
+// A finished mosaic as versioned JSON, for other tools to read the geometry
+// and for the page to open again without the source image. Coordinates are
+// image pixels (origin top left, y down); the format is documented in
+// README.md.
+
+const MOSAIC_FORMAT = 'voronoisaic-mosaic';
+const MOSAIC_VERSION = 1;
+
+function colorToHex(color) {
+  return '#' + [color.r, color.g, color.b]
+    .map(value => Math.round(value).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Indices of the cells sharing a border with each cell. Candidates are the
+// Delaunay neighbors of the seeds; a pair only counts when their polygons
+// share two distinct vertices, so cells meeting at a single corner (four
+// cocircular seeds) or whose common border lies outside the image do not.
+function cellNeighbors(cells, width, height) {
+  const coords = new Float64Array(cells.length * 2);
+  cells.forEach((cell, i) => {
+    coords[2 * i] = cell.seed.x;
+    coords[2 * i + 1] = cell.seed.y;
+  });
+  const { triangles, halfedges, hull } = new Delaunay(coords);
+
+  const tolerance = 1e-6 * Math.max(width, height);
+  const close = (p, q) => Math.abs(p.x - q.x) <= tolerance && Math.abs(p.y - q.y) <= tolerance;
+  const shareBorder = (a, b) => {
+    const shared = cells[a].points.filter(p => cells[b].points.some(q => close(p, q)));
+    return shared.some(p => shared.some(q => !close(p, q)));
+  };
+
+  const neighbors = cells.map(() => []);
+  const link = (a, b) => {
+    if (a < b && shareBorder(a, b)) {
+      neighbors[a].push(b);
+      neighbors[b].push(a);
+    }
+  };
+  if (triangles.length > 0) {
+    for (let e = 0; e < triangles.length; e++) {
+      // Interior edges appear twice; hull edges (no twin) once in either order
+      const a = triangles[e];
+      const b = triangles[nextHalfedge(e)];
+      if (halfedges[e] === -1) link(Math.min(a, b), Math.max(a, b));
+      else link(a, b);
+    }
+  } else {
+    for (let k = 0; k + 1 < hull.length; k++) link(Math.min(hull[k], hull[k + 1]), Math.max(hull[k], hull[k + 1]));
+  }
+  for (const list of neighbors) list.sort((a, b) => a - b);
+  return neighbors;
+}
+
+// The JSON document for a mosaic (as processImage() returns it)
+function createMosaicFile(data) {
+  const toPair = p => [p.x, p.y];
+  const neighbors = cellNeighbors(data.cells, data.width, data.height);
+  const file = {
+    format: MOSAIC_FORMAT,
+    version: MOSAIC_VERSION,
+    width: data.width,
+    height: data.height,
+    settings: normalizeSettings(data.settings || {}),
+    palette: data.palette ? data.palette.map(colorToHex) : null,
+    cells: data.cells.map((cell, i) => {
+      const entry = {
+        seed: toPair(cell.seed),
+        polygon: cell.points.map(toPair),
+        neighbors: neighbors[i],
+        color: colorToHex(cell.color),
+        lineThickness: cell.lineThickness
+      };
+      if (cell.mask !== undefined) entry.mask = cell.mask;
+      return entry;
+    })
+  };
+  if (data.triangles) {
+    file.triangles = data.triangles.map(triangle => ({
+      points: triangle.points.map(toPair),
+      color: colorToHex(triangle.color),
+      lineThickness: triangle.lineThickness
+    }));
+  }
+  if (data.edges) {
+    file.edges = data.edges.map(edge => ({ points: edge.points.map(toPair), lineThickness: edge.lineThickness }));
+  }
+  return file;
+}
+
+// The mosaic (in the shape processImage() returns) stored in a mosaic file;
+// throws an Error explaining what is wrong with a file it cannot read
+function readMosaicFile(file) {
+  if (!file || file.format !== MOSAIC_FORMAT) {
+    throw new Error('Not a Voronoisaic mosaic file');
+  }
+  if (!(file.version >= 1)) {
+    throw new Error('The mosaic file has no valid version');
+  }
+  if (file.version > MOSAIC_VERSION) {
+    throw new Error(`Mosaic version ${file.version} is newer than this app supports`);
+  }
+
+  const { width, height } = file;
+  if (!(Number.isFinite(width) && width > 0 && Number.isFinite(height) && height > 0)) {
+    throw new Error('The mosaic file has no valid size');
+  }
+  if (!Array.isArray(file.cells)) {
+    throw new Error('The mosaic file has no cells');
+  }
+
+  const toPoint = (pair, where) => {
+    if (!Array.isArray(pair) || !Number.isFinite(pair[0]) || !Number.isFinite(pair[1])) {
+      throw new Error(`Invalid coordinates in ${where}`);
+    }
+    return { x: pair[0], y: pair[1] };
+  };
+  const toPoints = (pairs, count, where) => {
+    if (!Array.isArray(pairs) || pairs.length < count) throw new Error(`Too few points in ${where}`);
+    return pairs.map(pair => toPoint(pair, where));
+  };
+  const toColor = (hex, where) => {
+    const [color] = parsePalette(typeof hex === 'string' ? hex : '');
+    if (!color) throw new Error(`Invalid color in ${where}`);
+    return color;
+  };
+  const toThickness = value => (Number.isFinite(value) && value >= 0 ? value : 0);
+
+  const settings = normalizeSettings(file.settings || {});
+  const data = {
+    width,
+    height,
+    style: strokeStyleFromSettings(settings),
+    settings,
+    palette: Array.isArray(file.palette) ? file.palette.map((hex, i) => toColor(hex, `palette entry ${i}`)) : null,
+    cells: file.cells.map((cell, i) => {
+      const where = `cell ${i}`;
+      const result = {
+        seed: toPoint(cell && cell.seed, where),
+        points: toPoints(cell.polygon, 3, where),
+        color: toColor(cell.color, where),
+        lineThickness: toThickness(cell.lineThickness)
+      };
+      if (Number.isFinite(cell.mask)) result.mask = cell.mask;
+      return result;
+    })
+  };
+  if (Array.isArray(file.triangles)) {
+    data.triangles = file.triangles.map((triangle, i) => ({
+      points: toPoints(triangle && triangle.points, 3, `triangle ${i}`),
+      color: toColor(triangle.color, `triangle ${i}`),
+      lineThickness: toThickness(triangle.lineThickness)
+    }));
+  }
+  if (Array.isArray(file.edges)) {
+    data.edges = file.edges.map((edge, i) => ({
+      points: toPoints(edge && edge.points, 2, `edge ${i}`),
+      lineThickness: toThickness(edge.lineThickness)
+    }));
+  }
+  return data;
+}
+
+// ============================================================================
+// Mosaic Editing
+// ============================================================================
+// Adds, moves and removes seeds of a finished mosaic. After each edit the
+// triangulation is rebuilt (cheap), but only cells whose Delaunay neighbors
+// changed get a new polygon and color; every other cell is reused as is.
+//
+// Edits are operations on the seed list:
+//   { type: 'insert', index, point }   new seed at position index
+//   { type: 'remove', index }          drop the seed at index
+//   { type: 'move', index, point }     move the seed at index
+// Applying one returns its inverse, which is what undo/redo replays.
+
+class MosaicEditor {
+  constructor(data, imageData, mask = null) {
+    this.width = data.width;
+    this.height = data.height;
+    this.settings = normalizeSettings(data.settings || {});
+    this.style = data.style;
+    this.palette = data.palette === undefined ? null : data.palette;
+    this.imageData = imageData;
+    this.mask = mask;
+
+    this.seeds = data.cells.map(cell => new Point(cell.seed.x, cell.seed.y));
+    this.polygons = data.cells.map(cell => cell.points);
+    this.colors = data.cells.map(cell => cell.color);
+    this.thicknesses = data.cells.map(cell => cell.lineThickness);
+    this.maskValues = data.cells.map(cell => cell.mask);
+    this.geometry = {
+      ...(data.triangles && { triangles: data.triangles }),
+      ...(data.edges && { edges: data.edges })
+    };
+
+    this.voronoi = null;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.busy = false;
+    this._queue = Promise.resolve();
+  }
+
+  // Runs edits one at a time, in the order they were requested
+  _enqueue(task) {
+    const run = async () => {
+      this.busy = true;
+      try {
+        return await task();
+      } finally {
+        this.busy = false;
+      }
+    };
+    const result = this._queue.then(run, run);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  async _diagram(seeds) {
+    const voronoi = new VoronoiDiagram(this.width, this.height, seeds);
+    await voronoi.generateTriangulation();
+    voronoi.prepareCells();
+    return voronoi;
+  }
+
+  async _apply(op) {
+    const { type, index, point } = op;
+    const oldSeeds = this.seeds;
+    if (!this.voronoi) this.voronoi = await this._diagram(oldSeeds);
+    const old = this.voronoi;
+
+    // oldIndex(j) is the index seed j had before the edit, or -1 if it is new
+    let seeds;
+    let oldIndex;
+    let inverse;
+    if (type === 'insert') {
+      seeds = [...oldSeeds.slice(0, index), new Point(point.x, point.y), ...oldSeeds.slice(index)];
+      oldIndex = j => (j < index ? j : j === index ? -1 : j - 1);
+      inverse = { type: 'remove', index };
+    } else if (type === 'remove') {
+      seeds = [...oldSeeds.slice(0, index), ...oldSeeds.slice(index + 1)];
+      oldIndex = j => (j < index ? j : j + 1);
+      inverse = { type: 'insert', index, point: oldSeeds[index] };
+    } else if (type === 'move') {
+      seeds = oldSeeds.slice();
+      seeds[index] = new Point(point.x, point.y);
+      oldIndex = j => (j === index ? -1 : j);
+      inverse = { type: 'move', index, point: oldSeeds[index] };
+    } else {
+      throw new Error(`Unknown edit: ${type}`);
+    }
+
+    const voronoi = await this._diagram(seeds);
+
+    // A cell only changes when its set of Delaunay neighbors does
+    const affected = [];
+    const polygons = new Array(seeds.length);
+    const colors = new Array(seeds.length);
+    const thicknesses = new Array(seeds.length);
+    const maskValues = new Array(seeds.length);
+    for (let j = 0; j < seeds.length; j++) {
+      const i = oldIndex(j);
+      if (i === -1 || !this._sameNeighbors(voronoi, j, old, i, oldIndex)) {
+        affected.push(j);
+        polygons[j] = voronoi.computeCell(j);
+      } else {
+        polygons[j] = this.polygons[i];
+        colors[j] = this.colors[i];
+      }
+      if (i === -1) {
+        maskValues[j] = this.mask ? sampleMask(this.mask, seeds[j].x, seeds[j].y, this.width, this.height) : undefined;
+        thicknesses[j] = cellLineThickness(this.settings, maskValues[j]);
+      } else {
+        maskValues[j] = this.maskValues[i];
+        thicknesses[j] = this.thicknesses[i];
+      }
+    }
+
+    // Duplicate seeds own no pixels and need no color
+    const recolor = affected.filter(j => polygons[j].length >= 3);
+    const { colors: newColors } = await computeCellColors(
+      recolor.map(j => polygons[j]), this.imageData, this.settings, { palette: this.palette });
+    recolor.forEach((j, k) => {
+      colors[j] = newColors[k];
+    });
+
+    // Triangles and edges are few and cheap next to the cells; redo them all
+    const geometry = await tessellationGeometry(voronoi, this.imageData, this.settings, this.palette, undefined, this.mask);
+
+    this.seeds = seeds;
+    this.polygons = polygons;
+    this.colors = colors;
+    this.thicknesses = thicknesses;
+    this.maskValues = maskValues;
+    this.geometry = geometry;
+    this.voronoi = voronoi;
+    return inverse;
+  }
+
+  _sameNeighbors(voronoi, j, old, i, oldIndex) {
+    const { offsets, indices } = voronoi.neighbors;
+    const { offsets: oldOffsets, indices: oldIndices } = old.neighbors;
+    const count = offsets[j + 1] - offsets[j];
+    if (count !== oldOffsets[i + 1] - oldOffsets[i]) return false;
+
+    const mapped = [];
+    for (let k = offsets[j]; k < offsets[j + 1]; k++) {
+      const neighbor = oldIndex(indices[k]);
+      if (neighbor === -1) return false;
+      mapped.push(neighbor);
+    }
+    const previous = Array.from(oldIndices.subarray(oldOffsets[i], oldOffsets[i + 1]));
+    mapped.sort((a, b) => a - b);
+    previous.sort((a, b) => a - b);
+    return mapped.every((neighbor, k) => neighbor === previous[k]);
+  }
+
+  // Applies an edit without recording it; resolves to its inverse
+  apply(op) {
+    return this._enqueue(() => this._apply(op));
+  }
+
+  // Records an edit (already applied) so it can be undone
+  record(op, inverse) {
+    this.undoStack.push({ op, inverse });
+    this.redoStack.length = 0;
+  }
+
+  perform(op) {
+    return this._enqueue(async () => {
+      const inverse = await this._apply(op);
+      this.record(op, inverse);
+    });
+  }
+
+  undo() {
+    return this._enqueue(async () => {
+      const entry = this.undoStack.pop();
+      if (!entry) return false;
+      await this._apply(entry.inverse);
+      this.redoStack.push(entry);
+      return true;
+    });
+  }
+
+  redo() {
+    return this._enqueue(async () => {
+      const entry = this.redoStack.pop();
+      if (!entry) return false;
+      await this._apply(entry.op);
+      this.undoStack.push(entry);
+      return true;
+    });
+  }
+
+  // Index of the seed closest to (x, y) within radius, or -1
+  seedNear(x, y, radius) {
+    let best = -1;
+    let bestDistance = radius * radius;
+    this.seeds.forEach((seed, i) => {
+      const distance = (seed.x - x) ** 2 + (seed.y - y) ** 2;
+      if (distance <= bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  // Index of the seed whose cell contains (x, y)
+  cellAt(x, y) {
+    return this.seedNear(x, y, Infinity);
+  }
+
+  // The edited mosaic in the same shape processImage() returns
+  toData() {
+    const cells = [];
+    for (let i = 0; i < this.seeds.length; i++) {
+      if (this.polygons[i].length < 3) continue;
+      const cell = {
+        seed: { x: this.seeds[i].x, y: this.seeds[i].y },
+        points: this.polygons[i],
+        color: this.colors[i],
+        lineThickness: this.thicknesses[i]
+      };
+      if (this.maskValues[i] !== undefined) cell.mask = this.maskValues[i];
+      cells.push(cell);
+    }
+    return {
+      width: this.width,
+      height: this.height,
+      style: this.style,
+      settings: this.settings,
+      palette: this.palette,
+      cells: cells,
+      ...this.geometry
+    };
+  }
+}
+
+// ============================================================================
+// Animation
+// ============================================================================
+// Moving versions of a finished mosaic, sampled at a time t from 0 to 1:
+//   morph            the seeds travel to a second layout (the same settings
+//                    with another seed) and back again
+//   drift            every seed circles with a phase from a smooth noise
+//                    field, so neighbors swirl together
+//   reveal-distance  the cells fade in from the center outward
+//   reveal-color     the cells fade in from dark to light
+// The moving modes re-triangulate every frame and recolor the cells from the
+// image, keeping the mosaic's palette; both loop seamlessly. The reveals
+// reuse the cells (or low-poly triangles) as they are and hold the finished
+// mosaic at the end.
+
+const ANIMATION_MODES = ['morph', 'drift', 'reveal-distance', 'reveal-color'];
+
+// Share of a reveal spent fading one cell in, and the share of the whole
+// animation the reveal takes before the finished mosaic is held
+const REVEAL_FADE = 0.2;
+const REVEAL_END = 0.85;
+
+// Smooth value noise in [0, 1) over the plane, one lattice value per unit
+function valueNoise(x, y, salt) {
+  const lattice = (ix, iy) => {
+    let h = Math.imul(ix, 0x27d4eb2d) ^ Math.imul(iy, 0x165667b1) ^ salt;
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+  };
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+  const sx = fx * fx * (3 - 2 * fx);
+  const sy = fy * fy * (3 - 2 * fy);
+  const top = lattice(ix, iy) + (lattice(ix + 1, iy) - lattice(ix, iy)) * sx;
+  const bottom = lattice(ix, iy + 1) + (lattice(ix + 1, iy + 1) - lattice(ix, iy + 1)) * sx;
+  return top + (bottom - top) * sy;
+}
+
+// Indices of points in boustrophedon order over rows of the given height,
+// so matching two layouts by rank pairs up nearby points
+function rowOrder(points, rowHeight) {
+  const row = p => Math.floor(p.y / rowHeight);
+  return points.map((p, i) => i).sort((a, b) => {
+    const ra = row(points[a]);
+    const rb = row(points[b]);
+    if (ra !== rb) return ra - rb;
+    return ra % 2 === 0 ? points[a].x - points[b].x : points[b].x - points[a].x;
+  });
+}
+
+class MosaicAnimation {
+  // data is a mosaic at the size of imageData; amplitude (0-1) scales the
+  // drift radius relative to the average seed spacing
+  constructor(data, imageData, { mode = 'morph', amplitude = 0.5, mask = null } = {}) {
+    if (!ANIMATION_MODES.includes(mode)) {
+      throw new Error(`Unknown animation mode: ${mode}`);
+    }
+    this.data = data;
+    this.imageData = imageData;
+    this.mode = mode;
+    this.amplitude = amplitude;
+    this.mask = mask;
+    this.settings = normalizeSettings(data.settings || {});
+    this.palette = data.palette === undefined ? null : data.palette;
+    this.seeds = data.cells.map(cell => cell.seed);
+    this.spacing = Math.sqrt((data.width * data.height) / Math.max(1, this.seeds.length));
+    this.targets = null;
+    this.phases = null;
+    this.revealOrders = new Map();
+  }
+
+  // Second layout of a morph, paired with the seeds so each one only travels
+  // to a nearby position
+  _targets() {
+    if (!this.targets) {
+      const { width, height } = this.data;
+      const settings = this.settings;
+      let layout = generatePoints(settings.numPoints, width, height, {
+        distribution: settings.distribution,
+        jitter: settings.jitter,
+        poissonAttempts: settings.poissonAttempts,
+        detailBias: settings.detailBias,
+        imageData: this.imageData,
+        density: this.mask ? maskDensity(this.mask, width, height, settings.maskContrast || 1) : null,
+        random: createRandom(`${settings.seed}:morph`)
+      });
+      if (settings.edgeStrength > 0) {
+        layout = alignPointsToEdges(layout, detectEdges(this.imageData), settings.edgeStrength,
+          createRandom(`${settings.seed}:morph:edges`));
+      }
+
+      const from = rowOrder(this.seeds, this.spacing);
+      const to = rowOrder(layout, this.spacing);
+      this.targets = new Array(this.seeds.length);
+      from.forEach((i, rank) => {
+        this.targets[i] = layout[to[Math.floor((rank * to.length) / from.length)]];
+      });
+    }
+    return this.targets;
+  }
+
+  // Starting angle of every seed's drift circle
+  _phases() {
+    if (!this.phases) {
+      const salt = hashSeed(`${this.settings.seed}:drift`);
+      const scale = this.spacing * 4;
+      this.phases = this.seeds.map(p => valueNoise(p.x / scale, p.y / scale, salt) * Math.PI * 4);
+    }
+    return this.phases;
+  }
+
+  // When each of a list of cells (or triangles) starts to fade in, as a
+  // 0-1 rank
+  _revealOrder(shapes) {
+    if (!this.revealOrders.has(shapes)) {
+      const { width, height } = this.data;
+      const key = this.mode === 'reveal-distance' ?
+        shape => {
+          const center = shape.seed || polygonCentroid(shape.points);
+          return Math.hypot(center.x - width / 2, center.y - height / 2);
+        } :
+        shape => 0.299 * shape.color.r + 0.587 * shape.color.g + 0.114 * shape.color.b;
+      const keys = shapes.map(key);
+      const order = shapes.map((shape, i) => i).sort((a, b) => keys[a] - keys[b]);
+      const ranks = new Float64Array(shapes.length);
+      order.forEach((i, rank) => {
+        ranks[i] = shapes.length > 1 ? rank / (shapes.length - 1) : 0;
+      });
+      this.revealOrders.set(shapes, ranks);
+    }
+    return this.revealOrders.get(shapes);
+  }
+
+  // Seed positions at time t
+  seedsAt(t) {
+    const { width, height } = this.data;
+    const clamp = (value, max) => Math.min(max, Math.max(0, value));
+    let points;
+    if (this.mode === 'morph') {
+      const targets = this._targets();
+      const s = (1 - Math.cos(2 * Math.PI * t)) / 2;
+      points = this.seeds.map((p, i) => ({
+        x: p.x + (targets[i].x - p.x) * s,
+        y: p.y + (targets[i].y - p.y) * s
+      }));
+    } else {
+      const phases = this._phases();
+      const radius = this.amplitude * this.spacing;
+      const angle = 2 * Math.PI * t;
+      points = this.seeds.map((p, i) => ({
+        x: p.x + radius * (Math.cos(phases[i] + angle) - Math.cos(phases[i])),
+        y: p.y + radius * (Math.sin(phases[i] + angle) - Math.sin(phases[i]))
+      }));
+    }
+    return points.map(p => new Point(clamp(p.x, width), clamp(p.y, height)));
+  }
+
+  // The mosaic at time t, in the same shape processImage() returns; reveal
+  // frames give every cell an opacity
+  async frame(t, signal) {
+    if (this.mode === 'reveal-distance' || this.mode === 'reveal-color') {
+      const progress = Math.min(1, t / REVEAL_END);
+      const fade = shapes => {
+        const order = this._revealOrder(shapes);
+        return shapes.map((shape, i) => ({
+          ...shape,
+          // (progress - start) / REVEAL_FADE with start = order * (1 - REVEAL_FADE),
+          // arranged so every shape reaches exactly 1 at the end
+          opacity: Math.min(1, Math.max(0, (progress - order[i]) / REVEAL_FADE + order[i]))
+        }));
+      };
+      return {
+        ...this.data,
+        cells: fade(this.data.cells),
+        ...(this.data.triangles && { triangles: fade(this.data.triangles) })
+      };
+    }
+
+    const voronoi = new VoronoiDiagram(this.data.width, this.data.height, this.seedsAt(t));
+    await voronoi.generate();
+    throwIfCancelled(signal);
+    const data = await colorCells(voronoi, this.imageData, this.settings, () => {}, signal, this.mask, this.palette);
+    return { ...data, style: this.data.style };
+  }
+}
+
+// ============================================================================
+// Node Exports
+// ============================================================================
+// The page and worker.js load this file as a classic script (so index.html
+// keeps working from file://); under Node it is a CommonJS module, which
+// index.mjs re-exports for import.
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    Point,
+    orient2d,
+    incircle,
+    Triangle,
+    Delaunay,
+    VoronoiDiagram,
+    calculateCentroid,
+    getAverageColorAtPoint,
+    computeLuminance,
+    computeGradientMagnitude,
+    detectEdges,
+    generatePoints,
+    estimatePointCount,
+    alignPointsToEdges,
+    maskDensity,
+    parsePalette,
+    computeCellColors,
+    strokeStyleFromSettings,
+    mosaicShapes,
+    SVG_EXPORT_DEFAULTS,
+    generateSVG,
+    FABRICATION_DEFAULTS,
+    fabricationPlan,
+    generatePlotterSVG,
+    generateDXF,
+    rasterizeMosaic,
+    encodePNG,
+    decodePNG,
+    createZip,
+    encodeGIF,
+    createRandom,
+    randomSeed,
+    DEFAULT_SETTINGS,
+    normalizeSettings,
+    serializeSettings,
+    parseSettings,
+    createPreset,
+    readPreset,
+    createMosaicFile,
+    readMosaicFile,
+    settingsChange,
+    restyleMosaic,
+    scaleMosaic,
+    processImage,
+    MosaicEditor,
+    ANIMATION_MODES,
+    MosaicAnimation
+  };
+}
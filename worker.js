@@ -0,0 +1,30 @@
+// Voronoi Processing Worker
+// Runs the whole pipeline off the main thread and streams progress back.
+// Cancellation is done by the page terminating the worker; a 'stop'
+// message ends Lloyd relaxation early and keeps the current iteration.
+importScripts('voronoi.js');
+
+let stopRequested = false;
+
+self.addEventListener('message', async (e) => {
+  const { type, imageData, settings, seeds, mask } = e.data;
+  
+  if (type === 'stop') {
+    stopRequested = true;
+    return;
+  }
+  if (type !== 'process') return;
+
+  try {
+    const data = await processImage(imageData, settings, {
+      onProgress: percent => self.postMessage({ type: 'progress', percent }),
+      onIteration: (data, iteration) => self.postMessage({ type: 'iteration', data, iteration }),
+      shouldStop: () => stopRequested,
+      seeds: seeds,
+      mask: mask
+    });
+    self.postMessage({ type: 'result', data });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+});